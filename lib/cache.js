@@ -0,0 +1,330 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const INDEX_FILE = 'index.json';
+
+// 使用缓存的方式对应的统计字段
+const OUTCOME_COUNTERS = {
+  hit: 'hits',
+  revalidated: 'revalidated',
+  miss: 'misses',
+  stale: 'stale'
+};
+
+/**
+ * 计算文件内容的 SHA-256
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+/**
+ * 远程资源下载缓存：按 URL 记录 ETag / Last-Modified，文件按内容哈希存放（相同内容的不同 URL 共用一个文件）
+ * 总大小超过上限时按最近使用时间淘汰，正在被任务使用的文件不会被淘汰
+ */
+class DownloadCache {
+  constructor(options = {}) {
+    this.maxSize = Math.max(0, Number(options.maxSize) || 0);
+    this.ttl = Math.max(0, Number(options.ttl) || 0);
+    this.directory = null;
+    this.entries = new Map(); // URL -> {url, hash, file, size, etag, lastModified, contentType, createdAt, lastAccessedAt, validatedAt, hits}
+    this.pins = new Map(); // 文件名 -> 使用中的任务数
+    this.counters = { hits: 0, revalidated: 0, misses: 0, stale: 0, evicted: 0 };
+  }
+
+  /**
+   * 缓存是否启用（未设置目录或大小上限为 0 时不缓存）
+   */
+  get enabled() {
+    return Boolean(this.directory) && this.maxSize > 0;
+  }
+
+  /**
+   * 设置缓存目录并加载索引，丢弃文件已不存在的记录和未完成的下载
+   */
+  setDirectory(directory) {
+    this.directory = directory;
+    this.entries = new Map();
+    fs.mkdirSync(directory, { recursive: true });
+
+    const indexPath = path.join(directory, INDEX_FILE);
+    if (fs.existsSync(indexPath)) {
+      try {
+        const index = JSON.parse(fs.readFileSync(indexPath, 'utf8')) || {};
+        Object.values(index).forEach(entry => {
+          if (entry && entry.file && fs.existsSync(path.join(directory, entry.file))) {
+            this.entries.set(entry.url, entry);
+          }
+        });
+      } catch (error) {
+        console.error(`读取下载缓存索引失败: ${indexPath}`, error.message);
+      }
+    }
+
+    // 清理没有记录引用的文件（下载中断留下的临时文件等）
+    const referenced = new Set([...this.entries.values()].map(entry => entry.file));
+    fs.readdirSync(directory).forEach(file => {
+      if (file !== INDEX_FILE && !referenced.has(file)) {
+        fs.unlink(path.join(directory, file), () => { });
+      }
+    });
+    this.evict();
+  }
+
+  /**
+   * 写入索引（先写临时文件再重命名）
+   */
+  save() {
+    if (!this.directory) {
+      return;
+    }
+    const index = {};
+    this.entries.forEach((entry, url) => {
+      index[url] = entry;
+    });
+    const indexPath = path.join(this.directory, INDEX_FILE);
+    fs.writeFileSync(`${indexPath}.tmp`, JSON.stringify(index, null, 2));
+    fs.renameSync(`${indexPath}.tmp`, indexPath);
+  }
+
+  /**
+   * 获取 URL 的缓存记录，不存在时返回 null
+   */
+  get(url) {
+    const entry = this.entries.get(url);
+    if (!entry) {
+      return null;
+    }
+    if (!fs.existsSync(this.getPath(entry))) {
+      this.entries.delete(url);
+      this.save();
+      return null;
+    }
+    return entry;
+  }
+
+  /**
+   * 缓存文件路径
+   */
+  getPath(entry) {
+    return path.join(this.directory, entry.file);
+  }
+
+  /**
+   * 上次验证后是否仍在有效期内（有效期内直接使用，不向源站确认）
+   */
+  isFresh(entry) {
+    return Date.now() - new Date(entry.validatedAt).getTime() < this.ttl;
+  }
+
+  /**
+   * 条件请求头：源站内容未变化时返回 304
+   */
+  getConditionalHeaders(entry) {
+    const headers = {};
+    if (entry.etag) {
+      headers['If-None-Match'] = entry.etag;
+    }
+    if (entry.lastModified) {
+      headers['If-Modified-Since'] = entry.lastModified;
+    }
+    return headers;
+  }
+
+  /**
+   * 保存下载完成的文件：按内容哈希命名，已有相同内容的文件时删除新下载的文件
+   * @param {String} url - 资源地址
+   * @param {String} filePath - 已下载到缓存目录的临时文件
+   * @param {Object} meta - 响应信息 {etag, lastModified, contentType}
+   */
+  async store(url, filePath, meta = {}) {
+    const hash = await hashFile(filePath);
+    const file = `${hash}${path.extname(filePath).toLowerCase()}`;
+    const blobPath = path.join(this.directory, file);
+    if (fs.existsSync(blobPath)) {
+      await fs.promises.unlink(filePath);
+    } else {
+      await fs.promises.rename(filePath, blobPath);
+    }
+    const stats = await fs.promises.stat(blobPath);
+
+    const previous = this.entries.get(url);
+    const now = new Date().toISOString();
+    const entry = {
+      url,
+      hash,
+      file,
+      size: stats.size,
+      etag: meta.etag || null,
+      lastModified: meta.lastModified || null,
+      contentType: meta.contentType || null,
+      createdAt: now,
+      lastAccessedAt: now,
+      validatedAt: now,
+      hits: 0
+    };
+    this.entries.set(url, entry);
+    if (previous && previous.file !== file) {
+      this.removeFileIfUnused(previous.file);
+    }
+    this.save();
+    return entry;
+  }
+
+  /**
+   * 占用文件：占用期间不会被淘汰或清除删除，用完后调用返回的释放函数（重复调用无效）
+   */
+  pin(file) {
+    this.pins.set(file, (this.pins.get(file) || 0) + 1);
+    let released = false;
+    return () => {
+      if (released) {
+        return;
+      }
+      released = true;
+      const count = (this.pins.get(file) || 1) - 1;
+      if (count > 0) {
+        this.pins.set(file, count);
+      } else {
+        this.pins.delete(file);
+      }
+      this.removeFileIfUnused(file);
+      this.evict();
+    };
+  }
+
+  /**
+   * 使用缓存记录：更新访问时间并占用文件，用完后调用返回的 release
+   * @param {String} outcome - hit（有效期内直接使用）、revalidated（源站返回 304）、miss（重新下载）或 stale（源站不可用时使用旧文件）
+   */
+  use(entry, outcome) {
+    const now = new Date().toISOString();
+    entry.lastAccessedAt = now;
+    if (outcome === 'revalidated') {
+      entry.validatedAt = now;
+    }
+    if (outcome !== 'miss') {
+      entry.hits++;
+    }
+    this.counters[OUTCOME_COUNTERS[outcome]]++;
+    const release = this.pin(entry.file);
+    this.save();
+    this.evict();
+
+    return {
+      filename: entry.file,
+      path: this.getPath(entry),
+      size: entry.size,
+      originalUrl: entry.url,
+      contentType: entry.contentType,
+      cache: outcome,
+      release
+    };
+  }
+
+  /**
+   * 文件没有记录引用且未被占用时删除
+   */
+  removeFileIfUnused(file) {
+    if (this.pins.has(file)) {
+      return;
+    }
+    for (const entry of this.entries.values()) {
+      if (entry.file === file) {
+        return;
+      }
+    }
+    fs.unlink(path.join(this.directory, file), () => { });
+  }
+
+  /**
+   * 缓存文件的总大小（相同内容只计算一次）
+   */
+  totalSize() {
+    const sizes = new Map();
+    this.entries.forEach(entry => sizes.set(entry.file, entry.size));
+    let total = 0;
+    sizes.forEach(size => {
+      total += size;
+    });
+    return total;
+  }
+
+  /**
+   * 总大小超过上限时按最近使用时间淘汰记录（跳过正在使用的文件）
+   */
+  evict() {
+    let total = this.totalSize();
+    if (total <= this.maxSize) {
+      return;
+    }
+    const candidates = [...this.entries.values()]
+      .filter(entry => !this.pins.has(entry.file))
+      .sort((a, b) => new Date(a.lastAccessedAt) - new Date(b.lastAccessedAt));
+    for (const entry of candidates) {
+      if (total <= this.maxSize) {
+        break;
+      }
+      this.entries.delete(entry.url);
+      this.counters.evicted++;
+      if (![...this.entries.values()].some(other => other.file === entry.file)) {
+        total -= entry.size;
+        fs.unlink(this.getPath(entry), () => { });
+      }
+      console.log(`[下载缓存] 已淘汰: ${entry.url}`);
+    }
+    this.save();
+  }
+
+  /**
+   * 清除缓存记录：指定 URL 时只清除该记录，否则清除全部（正在使用的文件在释放后删除）
+   * @returns {Number} 清除的记录数
+   */
+  purge(url) {
+    const targets = url ? [this.entries.get(url)].filter(Boolean) : [...this.entries.values()];
+    targets.forEach(entry => this.entries.delete(entry.url));
+    new Set(targets.map(entry => entry.file)).forEach(file => this.removeFileIfUnused(file));
+    this.save();
+    return targets.length;
+  }
+
+  /**
+   * 缓存统计
+   */
+  stats() {
+    return {
+      enabled: this.enabled,
+      directory: this.directory,
+      maxSize: this.maxSize,
+      totalSize: this.totalSize(),
+      ttl: this.ttl,
+      entryCount: this.entries.size,
+      fileCount: new Set([...this.entries.values()].map(entry => entry.file)).size,
+      inUse: this.pins.size,
+      ...this.counters
+    };
+  }
+
+  /**
+   * 缓存记录列表（最近使用的在前）
+   */
+  list() {
+    return [...this.entries.values()]
+      .sort((a, b) => new Date(b.lastAccessedAt) - new Date(a.lastAccessedAt))
+      .map(entry => ({ ...entry, inUse: this.pins.has(entry.file) }));
+  }
+}
+
+// 默认最多缓存 1024 MB，验证有效期 60 秒，可通过环境变量配置
+module.exports = new DownloadCache({
+  maxSize: (process.env.CACHE_MAX_SIZE !== undefined ? Number(process.env.CACHE_MAX_SIZE) : 1024) * 1024 * 1024,
+  ttl: (process.env.CACHE_TTL !== undefined ? Number(process.env.CACHE_TTL) : 60) * 1000
+});
+module.exports.DownloadCache = DownloadCache;
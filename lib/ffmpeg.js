@@ -1,16 +1,201 @@
 const { spawn } = require('child_process');
-const { exec } = require('child_process');
+const { exec, execFile } = require('child_process');
 const { promisify } = require('util');
 const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+const pool = require('./pool');
+
+// 片段间转场支持的 xfade 效果
+const XFADE_TRANSITIONS = [
+  'fade', 'fadeblack', 'fadewhite', 'fadegrays', 'dissolve', 'distance',
+  'wipeleft', 'wiperight', 'wipeup', 'wipedown', 'wipetl', 'wipetr', 'wipebl', 'wipebr',
+  'slideleft', 'slideright', 'slideup', 'slidedown',
+  'smoothleft', 'smoothright', 'smoothup', 'smoothdown',
+  'circlecrop', 'rectcrop', 'circleopen', 'circleclose',
+  'vertopen', 'vertclose', 'horzopen', 'horzclose',
+  'diagtl', 'diagtr', 'diagbl', 'diagbr',
+  'hlslice', 'hrslice', 'vuslice', 'vdslice',
+  'radial', 'pixelize', 'hblur', 'squeezeh', 'squeezev', 'zoomin'
+];
+
+// 时间线片段的转场（片段按位置叠加，只支持透明度淡入淡出）
+const TIMELINE_TRANSITIONS = ['none', 'fade', 'fadein', 'fadeout'];
+
+// 图片 Ken Burns 动效
+const IMAGE_MOTIONS = ['none', 'zoomIn', 'zoomOut', 'panLeft', 'panRight', 'panUp', 'panDown', 'custom'];
+
+// 文字入场/出场动画（slide* 为朝该方向移动，同时淡入淡出）
+const TEXT_ANIMATIONS = ['none', 'fade', 'slideUp', 'slideDown', 'slideLeft', 'slideRight'];
+
+// 颜色格式：#RRGGBB，可附加 @透明度（0-1）
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}(@(0|1|0?\.\d+|1\.0+))?$/;
+
+// 闪避参数的取值范围（与 sidechaincompress 滤镜允许的范围一致）
+const DUCKING_RANGES = {
+  threshold: [0.000976563, 1],
+  ratio: [1, 20],
+  attack: [0.01, 2000],
+  release: [0.01, 9000]
+};
+
+// 字幕样式覆盖中写入 force_style 的颜色字段和数值字段的取值范围
+const SUBTITLE_COLOR_FIELDS = ['primaryColor', 'outlineColor', 'backColor'];
+const SUBTITLE_NUMBER_RANGES = {
+  fontSize: [1, 1000],
+  outline: [0, 100],
+  shadow: [0, 100],
+  alignment: [1, 9],
+  marginL: [0, 10000],
+  marginR: [0, 10000],
+  marginV: [0, 10000]
+};
+
+// 文字样式中写入 drawtext 滤镜的颜色字段和数值字段的取值范围
+const TEXT_COLOR_FIELDS = ['fontColor', 'strokeColor', 'shadowColor', 'boxColor'];
+const TEXT_NUMBER_RANGES = {
+  fontSize: [1, 1000],
+  lineSpacing: [-1000, 1000],
+  strokeWidth: [0, 100],
+  shadowX: [-1000, 1000],
+  shadowY: [-1000, 1000],
+  boxOpacity: [0, 100],
+  boxPadding: [0, 1000],
+  margin: [0, 10000],
+  animationDuration: [0, 60]
+};
+
+// 音轨角色：开启闪避（ducking）时，music 在 voice 有声音时自动压低
+const AUDIO_ROLES = ['music', 'voice', 'sfx'];
+
+// 支持的字幕文件格式
+const SUBTITLE_FORMATS = ['srt', 'vtt', 'ass', 'ssa'];
+
+// EBU R128 响度标准化默认目标：综合响度 -23 LUFS、真峰值 -1 dBTP、响度范围 7 LU
+const LOUDNORM_DEFAULTS = { integrated: -23, truePeak: -1, lra: 7 };
+
+// loudnorm 目标值的取值范围 [min, max]：综合响度（LUFS）、真峰值（dBTP）、响度范围（LU）
+const LOUDNORM_RANGES = { integrated: [-70, -5], truePeak: [-9, 0], lra: [1, 50] };
+
+// 取消任务时，发送 q 后等待 FFmpeg 自行退出的时长，超时后强制结束
+const KILL_TIMEOUT = 5000;
+
+/**
+ * 创建任务取消错误（code 为 CANCELLED）
+ */
+function createCancelledError() {
+  const error = new Error('任务已取消');
+  error.code = 'CANCELLED';
+  return error;
+}
+
+/**
+ * 转义滤镜参数中的文件路径（Windows 路径的反斜杠和盘符冒号）
+ */
+function escapeFilterPath(filePath) {
+  return `'${path.resolve(filePath).replace(/\\/g, '/').replace(/:/g, '\\:')}'`;
+}
+
+/**
+ * 将 #RRGGBB 颜色转换为 ASS 样式颜色（&HAABBGGRR）
+ */
+function toAssColor(color) {
+  const hex = String(color || '').replace('#', '').padStart(6, '0');
+  return `&H00${hex.slice(4, 6)}${hex.slice(2, 4)}${hex.slice(0, 2)}`.toUpperCase();
+}
+
+/**
+ * 将 #RRGGBB 颜色转换为 FFmpeg 颜色，可附加透明度（0-1），颜色自带 @透明度时优先
+ */
+function toFFmpegColor(color, opacity) {
+  const [hex, alpha] = String(color || '').split('@');
+  const value = hex.replace('#', '0x');
+  if (alpha !== undefined) {
+    return `${value}@${alpha}`;
+  }
+  return opacity !== undefined && opacity < 1 ? `${value}@${opacity}` : value;
+}
+
+/**
+ * 参数是否未设置（空字符串视为未设置，如表单中清空的数字输入框）
+ */
+function isUnset(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * 将自定义区域 {x, y, width, height}（0-1 比例）转换为可视区域，区域比例与画面不同时取较大边以完整包含
+ */
+function rectToView(rect) {
+  if (!rect) {
+    throw new Error('自定义图片动效需要提供 motionStart 和 motionEnd');
+  }
+  const w = Math.min(1, Math.max(0.05, parseFloat(rect.width) || 1));
+  const h = Math.min(1, Math.max(0.05, parseFloat(rect.height) || w));
+  const x = Math.max(0, parseFloat(rect.x) || 0);
+  const y = Math.max(0, parseFloat(rect.y) || 0);
+  return { cx: x + w / 2, cy: y + h / 2, f: Math.max(w, h) };
+}
+
+/**
+ * 构建图片的 Ken Burns（平移缩放）效果，输入需已缩放为 width x height
+ * 以画面比例表示可视区域（中心点 cx/cy 和可视比例 f，f=1 为整幅画面），
+ * 从起始区域线性过渡到结束区域，由 zoompan 逐帧计算缩放和偏移
+ * @returns {String} 滤镜链，没有动效时返回空字符串
+ */
+function buildMotionFilter(img, duration, width, height, fps) {
+  const motion = img.motion || 'none';
+  if (motion === 'none') {
+    return '';
+  }
+
+  const scale = Math.max(1, parseFloat(img.motionScale) || 1.25);
+  const f = 1 / scale;
+  const full = { cx: 0.5, cy: 0.5, f: 1 };
+  const zoomed = { cx: 0.5, cy: 0.5, f };
+  const presets = {
+    zoomIn: [full, zoomed],
+    zoomOut: [zoomed, full],
+    panLeft: [{ cx: 1 - f / 2, cy: 0.5, f }, { cx: f / 2, cy: 0.5, f }],
+    panRight: [{ cx: f / 2, cy: 0.5, f }, { cx: 1 - f / 2, cy: 0.5, f }],
+    panUp: [{ cx: 0.5, cy: 1 - f / 2, f }, { cx: 0.5, cy: f / 2, f }],
+    panDown: [{ cx: 0.5, cy: f / 2, f }, { cx: 0.5, cy: 1 - f / 2, f }]
+  };
+
+  let from;
+  let to;
+  if (motion === 'custom') {
+    from = rectToView(img.motionStart);
+    to = rectToView(img.motionEnd);
+  } else if (presets[motion]) {
+    [from, to] = presets[motion];
+  } else {
+    throw new Error(`不支持的图片动效: ${motion}`);
+  }
+
+  const frames = Math.max(2, Math.round(duration * fps));
+  const p = `min(1,on/${frames - 1})`;
+  const lerp = (a, b) => (a === b ? `${a}` : `(${a}+(${b - a})*${p})`);
+  const view = lerp(from.f, to.f);
+  const zoomExpr = `1/${view}`;
+  const xExpr = `${lerp(from.cx, to.cx)}*iw-iw/zoom/2`;
+  const yExpr = `${lerp(from.cy, to.cy)}*ih-ih/zoom/2`;
+
+  // 先放大 2 倍再 zoompan，减少整数坐标取整造成的画面抖动
+  return `scale=${width * 2}:${height * 2},zoompan=z='${zoomExpr}':x='${xExpr}':y='${yExpr}':d=1:s=${width}x${height}:fps=${fps},setsar=1`;
+}
 
 class FFmpeg {
   constructor() {
     this.ffmpegPath = this.getFFmpegPath();
+    this.ffprobePath = this.getFFprobePath();
     this.version = null;
     this.isInstalled = false;
     this._checkPromise = null;
+    this.debug = process.env.FFMPEG_DEBUG === 'true';
   }
 
   /**
@@ -56,6 +241,20 @@ class FFmpeg {
     return 'ffmpeg';
   }
 
+  /**
+   * 获取 FFprobe 可执行文件路径（默认与 ffmpeg 位于同一目录）
+   */
+  getFFprobePath() {
+    if (process.env.FFPROBE_PATH) {
+      return process.env.FFPROBE_PATH;
+    }
+    const dir = path.dirname(this.ffmpegPath);
+    const ext = path.extname(this.ffmpegPath);
+    const ffprobePath = path.join(dir, `ffprobe${ext}`);
+    // ffmpeg 从 PATH 中查找时，ffprobe 同样从 PATH 中查找
+    return dir === '.' ? `ffprobe${ext}` : ffprobePath;
+  }
+
   /**
    * 检查 FFmpeg 安装状态
    */
@@ -156,17 +355,52 @@ class FFmpeg {
   }
 
   /**
-   * 执行 FFmpeg 命令
+   * 执行 FFmpeg 命令（经由并发池排队，避免同时启动过多进程）
+   * @param {Array} args - 命令参数
+   * @param {Object} options - 选项 {duration, onProgress, priority, onStart, signal}
    */
   async executeFFmpeg(args, options = {}) {
+    return pool.run(() => {
+      // 排队期间任务可能已被取消
+      if (options.signal && options.signal.aborted) {
+        throw createCancelledError();
+      }
+      return this.spawnFFmpeg(args, options);
+    }, { priority: options.priority, signal: options.signal });
+  }
+
+  /**
+   * 从操作选项中提取执行参数（优先级、回调），供 executeFFmpeg 使用
+   */
+  execOptions(options = {}, extra = {}) {
+    return {
+      priority: options.priority,
+      onStart: options.onStart,
+      onProgress: options.onProgress,
+      signal: options.signal,
+      ...extra
+    };
+  }
+
+  /**
+   * 启动 FFmpeg 进程并等待结束
+   */
+  spawnFFmpeg(args, options = {}) {
     return new Promise((resolve, reject) => {
       const command = this.ffmpegPath;
       const allArgs = Array.isArray(args) ? args : [args];
       
-      console.log('FFmpeg 命令:', `"${command}" ${allArgs.join(' ')}`);
+      // 完整命令已记录在任务结果的 command 中，只在调试时输出
+      if (this.debug) {
+        console.log('FFmpeg 命令:', `"${command}" ${allArgs.join(' ')}`);
+      }
+      if (options.onStart) {
+        options.onStart();
+      }
       
+      // stdin 保持打开，用于取消时发送 q 让 FFmpeg 正常退出
       const ffmpegProcess = spawn(command, allArgs, {
-        stdio: ['ignore', 'pipe', 'pipe'],
+        stdio: ['pipe', 'pipe', 'pipe'],
         shell: false,
         env: process.env
       });
@@ -174,6 +408,33 @@ class FFmpeg {
       let stdout = '';
       let stderr = '';
       let commandStr = `"${command}" ${allArgs.join(' ')}`;
+      let cancelled = false;
+      let killTimer = null;
+
+      // 取消：先发送 q 让 FFmpeg 收尾退出，超时后强制结束
+      const onAbort = () => {
+        cancelled = true;
+        console.log('取消 FFmpeg 进程:', ffmpegProcess.pid);
+        try {
+          ffmpegProcess.stdin.write('q');
+          ffmpegProcess.stdin.end();
+        } catch (e) {
+          // stdin 已关闭，直接等待强制结束
+        }
+        killTimer = setTimeout(() => ffmpegProcess.kill('SIGKILL'), KILL_TIMEOUT);
+      };
+      if (options.signal) {
+        options.signal.addEventListener('abort', onAbort, { once: true });
+      }
+      const detach = () => {
+        clearTimeout(killTimer);
+        if (options.signal) {
+          options.signal.removeEventListener('abort', onAbort);
+        }
+      };
+      ffmpegProcess.stdin.on('error', () => {
+        // 进程退出后写入 stdin 会触发 EPIPE，忽略
+      });
 
       // 进度去重和节流：避免重复和过于频繁的进度日志
       let lastProgressPercent = -1;
@@ -187,56 +448,1085 @@ class FFmpeg {
         // 注意：这里不调用 onProgress，避免重复
       });
 
-      ffmpegProcess.stderr.on('data', (data) => {
-        stderr += data.toString();
-        // FFmpeg 将进度信息输出到 stderr
-        if (options.onProgress) {
-          const progressMatch = data.toString().match(/time=(\d+):(\d+):(\d+\.\d+)/);
-          if (progressMatch) {
-            const hours = parseInt(progressMatch[1]);
-            const minutes = parseInt(progressMatch[2]);
-            const seconds = parseFloat(progressMatch[3]);
-            const totalSeconds = hours * 3600 + minutes * 60 + seconds;
-            if (options.duration && options.duration > 0) {
-              const percent = Math.min(100, (totalSeconds / options.duration) * 100);
-              
-              // 去重和节流：避免重复和过于频繁的进度更新
-              const now = Date.now();
-              const percentDiff = Math.abs(percent - lastProgressPercent);
-              const timeDiff = now - lastProgressTime;
-              
-              // 只有当进度变化超过阈值，且距离上次更新超过时间间隔时，才触发回调
-              if (percentDiff >= PROGRESS_MIN_STEP || timeDiff >= PROGRESS_UPDATE_INTERVAL || percent >= 100) {
-                lastProgressPercent = percent;
-                lastProgressTime = now;
-                options.onProgress({ percent });
-              }
-            }
-          }
-        }
-      });
+      ffmpegProcess.stderr.on('data', (data) => {
+        stderr += data.toString();
+        // FFmpeg 将进度信息输出到 stderr
+        if (options.onProgress) {
+          const stats = this.parseProgress(data.toString());
+          if (stats && options.duration && options.duration > 0) {
+            const percent = Math.min(100, (stats.time / options.duration) * 100);
+            
+            // 去重和节流：避免重复和过于频繁的进度更新
+            const now = Date.now();
+            const percentDiff = Math.abs(percent - lastProgressPercent);
+            const timeDiff = now - lastProgressTime;
+            
+            // 只有当进度变化超过阈值，且距离上次更新超过时间间隔时，才触发回调
+            if (percentDiff >= PROGRESS_MIN_STEP || timeDiff >= PROGRESS_UPDATE_INTERVAL || percent >= 100) {
+              lastProgressPercent = percent;
+              lastProgressTime = now;
+              // 根据编码速度估算剩余时间（秒）
+              const eta = stats.speed > 0 ? Math.max(0, (options.duration - stats.time) / stats.speed) : null;
+              options.onProgress({ percent, ...stats, eta });
+            }
+          }
+        }
+      });
+
+      ffmpegProcess.on('close', (code) => {
+        detach();
+        if (cancelled) {
+          reject(createCancelledError());
+        } else if (code === 0) {
+          resolve({ command: commandStr, stdout, stderr });
+        } else {
+          reject(new Error(`FFmpeg 执行失败 (退出码: ${code}): ${stderr || stdout}`));
+        }
+      });
+
+      ffmpegProcess.on('error', (err) => {
+        detach();
+        reject(new Error(`FFmpeg 启动失败: ${err.message}`));
+      });
+    });
+  }
+
+  /**
+   * 使用 ffprobe 获取媒体信息
+   * @param {String} inputPath - 文件路径
+   * @returns {Object} {format, formatLongName, duration, size, bitrate, streams, video, audio}
+   */
+  async probe(inputPath) {
+    const normalizedPath = path.resolve(inputPath);
+    if (!fs.existsSync(normalizedPath)) {
+      throw new Error(`输入文件不存在: ${normalizedPath}`);
+    }
+
+    let stdout;
+    try {
+      const result = await execFileAsync(this.ffprobePath, [
+        '-v', 'error',
+        '-print_format', 'json',
+        '-show_format',
+        '-show_streams',
+        normalizedPath
+      ], { maxBuffer: 10 * 1024 * 1024 });
+      stdout = result.stdout;
+    } catch (error) {
+      throw new Error(`FFprobe 执行失败: ${(error.stderr || error.message).trim()}`);
+    }
+
+    const data = JSON.parse(stdout || '{}');
+    const format = data.format || {};
+    const streams = (data.streams || []).map(stream => this.normalizeStream(stream));
+    // 封面图（attached_pic）不算作视频流
+    const video = streams.find(stream => stream.type === 'video' && !stream.attachedPic) || null;
+    const audio = streams.find(stream => stream.type === 'audio') || null;
+
+    return {
+      format: format.format_name || null,
+      formatLongName: format.format_long_name || null,
+      duration: this.parseNumber(format.duration) || (video && video.duration) || (audio && audio.duration) || null,
+      size: this.parseNumber(format.size),
+      bitrate: this.parseNumber(format.bit_rate),
+      streams,
+      video,
+      audio
+    };
+  }
+
+  /**
+   * 获取媒体信息，失败时返回 null（用于可选的时长/音轨检测）
+   */
+  async tryProbe(inputPath) {
+    try {
+      return await this.probe(inputPath);
+    } catch (error) {
+      console.warn(`获取媒体信息失败: ${inputPath}`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * 将 ffprobe 的流信息转换为统一格式
+   */
+  normalizeStream(stream) {
+    const base = {
+      index: stream.index,
+      type: stream.codec_type,
+      codec: stream.codec_name || null,
+      codecLongName: stream.codec_long_name || null,
+      duration: this.parseNumber(stream.duration),
+      bitrate: this.parseNumber(stream.bit_rate),
+      language: (stream.tags && stream.tags.language) || null
+    };
+
+    if (stream.codec_type === 'video') {
+      return {
+        ...base,
+        width: stream.width,
+        height: stream.height,
+        fps: this.parseFrameRate(stream.avg_frame_rate) || this.parseFrameRate(stream.r_frame_rate),
+        pixelFormat: stream.pix_fmt || null,
+        rotation: this.parseRotation(stream),
+        attachedPic: Boolean(stream.disposition && stream.disposition.attached_pic)
+      };
+    }
+
+    if (stream.codec_type === 'audio') {
+      return {
+        ...base,
+        sampleRate: this.parseNumber(stream.sample_rate),
+        channels: stream.channels,
+        channelLayout: stream.channel_layout || null
+      };
+    }
+
+    return base;
+  }
+
+  /**
+   * 解析帧率（如 "30000/1001"）
+   */
+  parseFrameRate(rate) {
+    if (!rate) {
+      return null;
+    }
+    const [num, den] = String(rate).split('/').map(Number);
+    if (!num || (den !== undefined && !den)) {
+      return null;
+    }
+    return Math.round((den ? num / den : num) * 100) / 100;
+  }
+
+  /**
+   * 获取视频旋转角度（兼容 rotate 标签和 Display Matrix 旁路数据）
+   */
+  parseRotation(stream) {
+    if (stream.tags && stream.tags.rotate) {
+      return parseInt(stream.tags.rotate) || 0;
+    }
+    const sideData = (stream.side_data_list || []).find(item => item.rotation !== undefined);
+    return sideData ? parseInt(sideData.rotation) || 0 : 0;
+  }
+
+  /**
+   * 将 ffprobe 输出的字符串数字转换为数字，无效时返回 null
+   */
+  parseNumber(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+  }
+
+  /**
+   * 解析 FFmpeg stderr 中的进度行，例如：
+   * frame=  120 fps= 30 q=28.0 size=  512kB time=00:00:04.80 bitrate= 873.8kbits/s speed=1.2x
+   * @returns {Object|null} {time, frame, fps, bitrate, speed}，没有 time 字段时返回 null
+   */
+  parseProgress(text) {
+    const timeMatch = text.match(/time=(\d+):(\d+):(\d+(?:\.\d+)?)/);
+    if (!timeMatch) {
+      return null;
+    }
+    const frameMatch = text.match(/frame=\s*(\d+)/);
+    const fpsMatch = text.match(/fps=\s*([\d.]+)/);
+    const bitrateMatch = text.match(/bitrate=\s*([\d.]+\s*\w+\/s)/);
+    const speedMatch = text.match(/speed=\s*([\d.]+)x/);
+
+    return {
+      time: parseInt(timeMatch[1]) * 3600 + parseInt(timeMatch[2]) * 60 + parseFloat(timeMatch[3]),
+      frame: frameMatch ? parseInt(frameMatch[1]) : null,
+      fps: fpsMatch ? parseFloat(fpsMatch[1]) : null,
+      bitrate: bitrateMatch ? bitrateMatch[1].replace(/\s+/g, '') : null,
+      speed: speedMatch ? parseFloat(speedMatch[1]) : null
+    };
+  }
+
+  /**
+   * 准备输出路径：确保目录存在并删除已存在的同名文件
+   */
+  prepareOutput(outputPath) {
+    const normalizedOutputPath = path.resolve(outputPath);
+    const outputDir = path.dirname(normalizedOutputPath);
+    if (!fs.existsSync(outputDir)) {
+      fs.mkdirSync(outputDir, { recursive: true });
+    }
+    if (fs.existsSync(normalizedOutputPath)) {
+      try {
+        fs.unlinkSync(normalizedOutputPath);
+      } catch (e) {
+        console.warn('无法删除已存在的输出文件:', e.message);
+      }
+    }
+    return normalizedOutputPath;
+  }
+
+  /**
+   * 解析尺寸字符串（如 "1280x720"），无效时返回 null
+   */
+  parseSize(size) {
+    if (!size) {
+      return null;
+    }
+    const parts = String(size).toLowerCase().split('x');
+    const width = parseInt(parts[0]);
+    const height = parseInt(parts[1]);
+    if (!width || !height) {
+      return null;
+    }
+    return { width, height };
+  }
+
+  /**
+   * 将质量参数转换为 CRF 值（支持数字或 high/medium/low）
+   */
+  qualityToCrf(quality) {
+    if (quality === undefined || quality === null || quality === '') {
+      return null;
+    }
+    const presets = { high: 18, medium: 23, low: 28 };
+    if (presets[quality] !== undefined) {
+      return presets[quality];
+    }
+    const crf = parseInt(quality);
+    return crf >= 0 && crf <= 51 ? crf : null;
+  }
+
+  /**
+   * 根据音频格式获取默认编码器
+   */
+  getAudioCodecForFormat(format) {
+    const codecs = {
+      mp3: 'libmp3lame',
+      aac: 'aac',
+      m4a: 'aac',
+      wav: 'pcm_s16le',
+      ogg: 'libvorbis',
+      opus: 'libopus',
+      flac: 'flac'
+    };
+    return codecs[format] || 'aac';
+  }
+
+  /**
+   * 根据视频容器格式获取默认的视频和音频编码器（webm 只能封装 VP8/VP9/AV1 和 Opus/Vorbis）
+   * @returns {Object} {videoCodec, audioCodec}
+   */
+  getCodecsForFormat(format) {
+    const codecs = {
+      webm: { videoCodec: 'libvpx-vp9', audioCodec: 'libopus' },
+      ogv: { videoCodec: 'libtheora', audioCodec: 'libvorbis' }
+    };
+    return codecs[format] || { videoCodec: 'libx264', audioCodec: 'aac' };
+  }
+
+  /**
+   * 软字幕（作为字幕轨封装）使用的编码器，输出格式不支持字幕轨时返回 null
+   * @param {String} format - 输出容器格式
+   * @param {String} subtitlePath - 字幕文件（mkv 中 ASS 字幕保留样式）
+   */
+  getSubtitleCodec(format, subtitlePath) {
+    const ext = subtitlePath ? path.extname(subtitlePath).slice(1).toLowerCase() : '';
+    switch (format) {
+      case 'mp4':
+      case 'mov':
+      case 'm4v':
+        return 'mov_text';
+      case 'mkv':
+        return ext === 'ass' || ext === 'ssa' ? 'ass' : 'srt';
+      case 'webm':
+        return 'webvtt';
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * 校验烧录字幕的样式覆盖：颜色和数值直接写入 force_style，只接受 #RRGGBB 颜色和范围内的数字
+   * @returns {String|null} 错误信息
+   */
+  validateSubtitleStyle(style) {
+    if (isUnset(style)) {
+      return null;
+    }
+    if (typeof style !== 'object' || Array.isArray(style)) {
+      return 'style 必须是对象';
+    }
+    for (const field of SUBTITLE_COLOR_FIELDS) {
+      if (!isUnset(style[field]) && !(typeof style[field] === 'string' && /^#[0-9a-fA-F]{6}$/.test(style[field]))) {
+        return `style.${field} 必须是 #RRGGBB 格式的颜色`;
+      }
+    }
+    for (const [field, [min, max]] of Object.entries(SUBTITLE_NUMBER_RANGES)) {
+      const value = style[field];
+      if (!isUnset(value) && !(typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max)) {
+        return `style.${field} 必须是 ${min} 到 ${max} 之间的数字`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 将样式参数转换为字幕滤镜的 force_style（ASS 样式字段）
+   * @param {Object} style - {fontName, fontSize, primaryColor, outlineColor, backColor, bold, italic, outline, shadow, alignment, marginL, marginR, marginV}
+   */
+  buildSubtitleStyle(style = {}) {
+    const invalid = this.validateSubtitleStyle(style);
+    if (invalid) {
+      throw new Error(`字幕样式参数错误: ${invalid}`);
+    }
+    const fields = [];
+    if (style.fontName) fields.push(`FontName=${String(style.fontName).replace(/[,=':]/g, '')}`);
+    if (style.fontSize) fields.push(`FontSize=${Number(style.fontSize)}`);
+    if (style.primaryColor) fields.push(`PrimaryColour=${toAssColor(style.primaryColor)}`);
+    if (style.outlineColor) fields.push(`OutlineColour=${toAssColor(style.outlineColor)}`);
+    if (style.backColor) fields.push(`BackColour=${toAssColor(style.backColor)}`);
+    if (style.bold !== undefined) fields.push(`Bold=${style.bold ? -1 : 0}`);
+    if (style.italic !== undefined) fields.push(`Italic=${style.italic ? -1 : 0}`);
+    if (style.outline !== undefined) fields.push(`Outline=${Number(style.outline)}`);
+    if (style.shadow !== undefined) fields.push(`Shadow=${Number(style.shadow)}`);
+    // alignment 为小键盘方位（1-9），2 为底部居中
+    if (style.alignment) fields.push(`Alignment=${Number(style.alignment)}`);
+    if (style.marginL !== undefined) fields.push(`MarginL=${Number(style.marginL)}`);
+    if (style.marginR !== undefined) fields.push(`MarginR=${Number(style.marginR)}`);
+    if (style.marginV !== undefined) fields.push(`MarginV=${Number(style.marginV)}`);
+    return fields.join(',');
+  }
+
+  /**
+   * 构建硬字幕滤镜：无样式覆盖的 ASS 字幕使用 ass 滤镜，其他使用 subtitles 滤镜
+   * @param {Object} subtitle - {path, style, fontsDir}
+   */
+  buildSubtitleFilter(subtitle) {
+    const ext = path.extname(subtitle.path).slice(1).toLowerCase();
+    const forceStyle = this.buildSubtitleStyle(subtitle.style);
+    const params = [`filename=${escapeFilterPath(subtitle.path)}`];
+    if (subtitle.fontsDir) {
+      params.push(`fontsdir=${escapeFilterPath(subtitle.fontsDir)}`);
+    }
+    if ((ext === 'ass' || ext === 'ssa') && !forceStyle) {
+      return `ass=${params.join(':')}`;
+    }
+    if (forceStyle) {
+      params.push(`force_style='${forceStyle}'`);
+    }
+    return `subtitles=${params.join(':')}`;
+  }
+
+  /**
+   * 将滤镜依次作用在 filter_complex 的最终画面 [outv] 上
+   */
+  appendOutputFilters(filterComplex, filters) {
+    if (filters.length === 0) {
+      return;
+    }
+    const outIndex = filterComplex.findIndex(filter => filter.endsWith('[outv]'));
+    filterComplex[outIndex] = filterComplex[outIndex].replace(/\[outv\]$/, '[basev]');
+    filterComplex.push(`[basev]${filters.join(',')}[outv]`);
+  }
+
+  /**
+   * 校验闪避参数：数值直接写入 sidechaincompress 滤镜，只接受滤镜允许范围内的数字
+   * @returns {String|null} 错误信息
+   */
+  validateDucking(ducking) {
+    if (isUnset(ducking) || typeof ducking === 'boolean') {
+      return null;
+    }
+    if (typeof ducking !== 'object' || Array.isArray(ducking)) {
+      return 'ducking 必须是布尔值或对象';
+    }
+    const unknown = Object.keys(ducking).find(key => !DUCKING_RANGES[key]);
+    if (unknown) {
+      return `ducking 不支持的字段: ${unknown}（支持 ${Object.keys(DUCKING_RANGES).join('、')}）`;
+    }
+    for (const [field, [min, max]] of Object.entries(DUCKING_RANGES)) {
+      const value = ducking[field];
+      if (!isUnset(value) && !(typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max)) {
+        return `ducking.${field} 必须是 ${min} 到 ${max} 之间的数字`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 混合多条音轨，输出到 outLabel
+   * @param {Array} tracks - 音轨 [{label, role: music | voice | sfx}]
+   * @param {Object|Boolean} ducking - 闪避参数 {threshold, ratio, attack, release}，为 true 时使用默认值
+   * @returns {Array} 滤镜列表，没有音轨时为空
+   */
+  buildAudioMix(tracks, ducking, outLabel = '[outa]') {
+    const filters = [];
+    if (tracks.length === 0) {
+      return filters;
+    }
+
+    // 多条输入时用 amix 混合，单条直接改名
+    const mix = (labels, label) => {
+      if (labels.length === 1) {
+        filters.push(`${labels[0]}anull${label}`);
+      } else {
+        filters.push(`${labels.join('')}amix=inputs=${labels.length}:duration=longest:dropout_transition=0${label}`);
+      }
+      return label;
+    };
+
+    const voices = tracks.filter(track => track.role === 'voice').map(track => track.label);
+    const music = tracks.filter(track => (track.role || 'music') === 'music').map(track => track.label);
+    if (!ducking || voices.length === 0 || music.length === 0) {
+      mix(tracks.map(track => track.label), outLabel);
+      return filters;
+    }
+
+    // 闪避：人声同时作为 sidechaincompress 的侦测信号压缩音乐
+    const invalid = this.validateDucking(ducking);
+    if (invalid) {
+      throw new Error(`闪避参数错误: ${invalid}`);
+    }
+    const duck = ducking === true ? {} : ducking;
+    const threshold = duck.threshold !== undefined ? duck.threshold : 0.05;
+    const ratio = duck.ratio || 8;
+    const attack = duck.attack || 20;
+    const release = duck.release || 400;
+    const voiceLabel = mix(voices, '[voicemix]');
+    filters.push(`${voiceLabel}asplit=2[voicemain][voicesc]`);
+    const musicLabel = mix(music, '[musicmix]');
+    filters.push(`${musicLabel}[voicesc]sidechaincompress=threshold=${threshold}:ratio=${ratio}:attack=${attack}:release=${release}[ducked]`);
+    const sfx = tracks.filter(track => track.role === 'sfx').map(track => track.label);
+    mix(['[ducked]', '[voicemain]', ...sfx], outLabel);
+    return filters;
+  }
+
+  /**
+   * 为软字幕添加输入、映射和编码参数（在所有其他输入之后调用）
+   * @param {Array} args - FFmpeg 参数
+   * @param {Array} subtitles - 软字幕 [{path, language}]
+   * @param {Number} firstInputIndex - 第一个字幕输入的序号
+   * @param {String} outputPath - 输出路径（按扩展名确定字幕编码）
+   * @returns {Array} 输出参数，放在输出文件之前
+   */
+  buildSoftSubtitleArgs(args, subtitles, firstInputIndex, outputPath) {
+    const format = path.extname(outputPath).slice(1).toLowerCase();
+    const outputArgs = [];
+    subtitles.forEach((subtitle, i) => {
+      const codec = this.getSubtitleCodec(format, subtitle.path);
+      if (!codec) {
+        throw new Error(`输出格式 ${format} 不支持软字幕，请使用 mp4、mov、mkv 或 webm`);
+      }
+      args.push('-i', path.resolve(subtitle.path));
+      outputArgs.push('-map', `${firstInputIndex + i}:s`, `-c:s:${i}`, codec);
+      if (subtitle.language) {
+        outputArgs.push(`-metadata:s:s:${i}`, `language=${subtitle.language}`);
+      }
+    });
+    return outputArgs;
+  }
+
+  /**
+   * 格式转换
+   * @param {String} inputPath - 输入路径
+   * @param {String} outputPath - 输出路径
+   * @param {Object} options - 选项 {format, videoCodec, audioCodec, quality, size, fps, audioBitrate, startTime, duration}
+   *   - scaleMode: size 的缩放方式，stretch（拉伸，默认）或 fit（按比例缩放并补黑边）
+   *   - videoPreset、videoCrf（优先于 quality）、videoBitrate、videoProfile、pixelFormat、audioSampleRate、audioChannels：来自输出预设的编码参数
+   */
+  async convert(inputPath, outputPath, options = {}) {
+    const normalizedOutputPath = this.prepareOutput(outputPath);
+    const format = options.format || path.extname(normalizedOutputPath).slice(1) || 'mp4';
+    const args = ['-y'];
+
+    if (options.startTime !== undefined && parseFloat(options.startTime) > 0) {
+      args.push('-ss', String(options.startTime));
+    }
+    args.push('-i', path.resolve(inputPath));
+    if (options.duration !== undefined && parseFloat(options.duration) > 0) {
+      args.push('-t', String(options.duration));
+    }
+
+    const videoFilters = [];
+    const size = this.parseSize(options.size);
+    if (size && options.scaleMode === 'fit') {
+      videoFilters.push(`scale=${size.width}:${size.height}:force_original_aspect_ratio=decrease`, `pad=${size.width}:${size.height}:(ow-iw)/2:(oh-ih)/2`, 'setsar=1');
+    } else if (size) {
+      videoFilters.push(`scale=${size.width}:${size.height}`);
+    }
+
+    if (format === 'gif') {
+      // GIF 不支持音频，使用调色板滤镜提高画质
+      const fps = parseInt(options.fps) || 10;
+      videoFilters.push(`fps=${fps}`, 'split[s0][s1];[s0]palettegen[p];[s1][p]paletteuse');
+      args.push('-vf', videoFilters.join(','), '-an');
+    } else {
+      if (videoFilters.length > 0) {
+        args.push('-vf', videoFilters.join(','));
+      }
+      if (options.fps) {
+        args.push('-r', String(options.fps));
+      }
+      const defaultCodecs = this.getCodecsForFormat(format);
+      const videoCodec = options.videoCodec || defaultCodecs.videoCodec;
+      args.push('-c:v', videoCodec);
+      const crf = options.videoCrf !== undefined ? options.videoCrf : this.qualityToCrf(options.quality);
+      if (videoCodec === 'libx264' || videoCodec === 'libx265') {
+        if (options.videoPreset) {
+          args.push('-preset', options.videoPreset);
+        }
+        if (crf !== null) {
+          args.push('-crf', String(crf));
+        } else if (options.videoBitrate) {
+          args.push('-b:v', options.videoBitrate);
+        }
+      } else if (crf !== null && videoCodec !== 'copy' && !videoCodec.startsWith('prores')) {
+        args.push('-crf', String(crf));
+      }
+      if (options.videoProfile !== undefined && videoCodec !== 'copy') {
+        args.push('-profile:v', String(options.videoProfile));
+      }
+      if (options.pixelFormat && videoCodec !== 'copy') {
+        args.push('-pix_fmt', options.pixelFormat);
+      } else if (videoCodec === 'libx264' || videoCodec === 'libx265') {
+        args.push('-pix_fmt', 'yuv420p');
+      }
+      const audioCodec = options.audioCodec || defaultCodecs.audioCodec;
+      args.push('-c:a', audioCodec);
+      if (options.audioBitrate && !audioCodec.startsWith('pcm_') && audioCodec !== 'flac') {
+        args.push('-b:a', options.audioBitrate);
+      }
+      if (options.audioSampleRate && audioCodec !== 'copy') {
+        args.push('-ar', String(options.audioSampleRate));
+      }
+      if (options.audioChannels && audioCodec !== 'copy') {
+        args.push('-ac', String(options.audioChannels));
+      }
+    }
+
+    args.push(normalizedOutputPath);
+    const result = await this.executeFFmpeg(args, this.execOptions(options, { duration: parseFloat(options.duration) || 0 }));
+    return { command: result.command, outputPath: normalizedOutputPath };
+  }
+
+  /**
+   * 调整视频大小
+   * @param {Object} options - 选项 {width, height, maintainAspectRatio}
+   */
+  async resize(inputPath, outputPath, options = {}) {
+    const width = parseInt(options.width) || -2;
+    const height = parseInt(options.height) || -2;
+    if (width < 0 && height < 0) {
+      throw new Error('调整大小需要提供 width 或 height');
+    }
+
+    let scaleFilter;
+    if (options.maintainAspectRatio !== false && width > 0 && height > 0) {
+      // 保持比例：缩放到目标框内，并保证宽高为偶数（编码器要求）
+      scaleFilter = `scale=${width}:${height}:force_original_aspect_ratio=decrease,scale=trunc(iw/2)*2:trunc(ih/2)*2`;
+    } else {
+      scaleFilter = `scale=${width}:${height}`;
+    }
+
+    const normalizedOutputPath = this.prepareOutput(outputPath);
+    const args = [
+      '-y',
+      '-i', path.resolve(inputPath),
+      '-vf', scaleFilter,
+      '-c:v', 'libx264',
+      '-pix_fmt', 'yuv420p',
+      '-c:a', 'copy',
+      normalizedOutputPath
+    ];
+
+    const result = await this.executeFFmpeg(args, this.execOptions(options));
+    return { command: result.command, outputPath: normalizedOutputPath };
+  }
+
+  /**
+   * 裁剪视频画面
+   * @param {Object} options - 选项 {x, y, width, height, startTime, duration}
+   */
+  async crop(inputPath, outputPath, options = {}) {
+    const width = parseInt(options.width);
+    const height = parseInt(options.height);
+    if (!width || !height) {
+      throw new Error('裁剪需要提供 width 和 height');
+    }
+    const x = parseInt(options.x) || 0;
+    const y = parseInt(options.y) || 0;
+
+    const normalizedOutputPath = this.prepareOutput(outputPath);
+    const args = ['-y'];
+    if (options.startTime !== undefined && parseFloat(options.startTime) > 0) {
+      args.push('-ss', String(options.startTime));
+    }
+    args.push('-i', path.resolve(inputPath));
+    if (options.duration !== undefined && parseFloat(options.duration) > 0) {
+      args.push('-t', String(options.duration));
+    }
+    args.push(
+      '-vf', `crop=${width}:${height}:${x}:${y}`,
+      '-c:v', 'libx264',
+      '-pix_fmt', 'yuv420p',
+      '-c:a', 'copy',
+      normalizedOutputPath
+    );
+
+    const result = await this.executeFFmpeg(args, this.execOptions(options, { duration: parseFloat(options.duration) || 0 }));
+    return { command: result.command, outputPath: normalizedOutputPath };
+  }
+
+  /**
+   * 提取视频帧（截图）
+   * @param {Object} options - 选项 {time, size}
+   */
+  async extractFrame(inputPath, outputPath, options = {}) {
+    const normalizedOutputPath = this.prepareOutput(outputPath);
+    const time = parseFloat(options.time) || 0;
+    const args = ['-y', '-ss', String(time), '-i', path.resolve(inputPath), '-frames:v', '1'];
+
+    const size = this.parseSize(options.size);
+    if (size) {
+      args.push('-vf', `scale=${size.width}:${size.height}`);
+    }
+    args.push(normalizedOutputPath);
+
+    const result = await this.executeFFmpeg(args, this.execOptions(options));
+    return { command: result.command, outputPath: normalizedOutputPath };
+  }
+
+  /**
+   * 提取音频
+   * @param {Object} options - 选项 {format, audioCodec, audioBitrate}
+   */
+  async extractAudio(inputPath, outputPath, options = {}) {
+    const normalizedOutputPath = this.prepareOutput(outputPath);
+    const format = options.format || path.extname(normalizedOutputPath).slice(1) || 'mp3';
+    const audioCodec = options.audioCodec || this.getAudioCodecForFormat(format);
+    const args = ['-y', '-i', path.resolve(inputPath), '-vn', '-c:a', audioCodec];
+
+    // 无损/PCM 编码不需要码率
+    if (!['pcm_s16le', 'flac', 'copy'].includes(audioCodec)) {
+      args.push('-b:a', options.audioBitrate || '192k');
+    }
+    args.push(normalizedOutputPath);
+
+    const result = await this.executeFFmpeg(args, this.execOptions(options));
+    return { command: result.command, outputPath: normalizedOutputPath };
+  }
+
+  /**
+   * 添加图片水印
+   * @param {Object} options - 选项 {watermarkPath, position, x, y, scale, opacity}
+   */
+  async addWatermark(inputPath, outputPath, options = {}) {
+    if (!options.watermarkPath || !fs.existsSync(options.watermarkPath)) {
+      throw new Error('水印文件不存在');
+    }
+
+    const position = options.position || 'bottom-right';
+    const marginX = options.x !== undefined ? parseInt(options.x) || 0 : 10;
+    const marginY = options.y !== undefined ? parseInt(options.y) || 0 : 10;
+    const scale = parseFloat(options.scale) || 1.0;
+    const opacity = Math.max(0, Math.min(1, options.opacity !== undefined ? parseFloat(options.opacity) : 1.0));
+
+    // 根据位置计算 overlay 坐标（x/y 作为边距）
+    const positions = {
+      'top-left': [`${marginX}`, `${marginY}`],
+      'top-right': [`W-w-${marginX}`, `${marginY}`],
+      'bottom-left': [`${marginX}`, `H-h-${marginY}`],
+      'bottom-right': [`W-w-${marginX}`, `H-h-${marginY}`],
+      'center': ['(W-w)/2', '(H-h)/2']
+    };
+    const [overlayX, overlayY] = positions[position] || positions['bottom-right'];
+
+    let watermarkFilter = `[1:v]scale=iw*${scale}:ih*${scale},format=rgba`;
+    if (opacity < 1) {
+      watermarkFilter += `,colorchannelmixer=aa=${opacity}`;
+    }
+    watermarkFilter += '[wm]';
+    const filterComplex = `${watermarkFilter};[0:v][wm]overlay=${overlayX}:${overlayY}[outv]`;
+
+    const normalizedOutputPath = this.prepareOutput(outputPath);
+    const args = [
+      '-y',
+      '-i', path.resolve(inputPath),
+      '-i', path.resolve(options.watermarkPath),
+      '-filter_complex', filterComplex,
+      '-map', '[outv]',
+      '-map', '0:a?',
+      '-c:v', 'libx264',
+      '-pix_fmt', 'yuv420p',
+      '-c:a', 'copy',
+      normalizedOutputPath
+    ];
+
+    const result = await this.executeFFmpeg(args, this.execOptions(options));
+    return { command: result.command, outputPath: normalizedOutputPath };
+  }
+
+  /**
+   * 图片转视频
+   * @param {Object} options - 选项 {duration, fps, resolution}
+   */
+  async imageToVideo(inputPath, outputPath, options = {}) {
+    const duration = parseFloat(options.duration) || 5;
+    const fps = parseInt(options.fps) || 25;
+    const size = this.parseSize(options.resolution) || { width: 1280, height: 720 };
+
+    const normalizedOutputPath = this.prepareOutput(outputPath);
+    const { videoCodec } = this.getCodecsForFormat(path.extname(normalizedOutputPath).slice(1).toLowerCase());
+    const args = [
+      '-y',
+      '-loop', '1',
+      '-framerate', String(fps),
+      '-i', path.resolve(inputPath),
+      '-t', String(duration),
+      '-vf', `scale=${size.width}:${size.height}:force_original_aspect_ratio=decrease,pad=${size.width}:${size.height}:(ow-iw)/2:(oh-ih)/2,setsar=1`,
+      '-c:v', videoCodec,
+      '-pix_fmt', 'yuv420p',
+      '-r', String(fps),
+      normalizedOutputPath
+    ];
+
+    const result = await this.executeFFmpeg(args, this.execOptions(options, { duration }));
+    return { command: result.command, outputPath: normalizedOutputPath };
+  }
+
+  /**
+   * 添加字幕
+   * @param {Object} options - 选项 {subtitlePath, mode: burn（烧录到画面）| soft（封装为字幕轨）, style, language, fontsDir}
+   */
+  async addSubtitles(inputPath, outputPath, options = {}) {
+    if (!options.subtitlePath || !fs.existsSync(options.subtitlePath)) {
+      throw new Error('字幕文件不存在');
+    }
+
+    const normalizedOutputPath = this.prepareOutput(outputPath);
+    const info = await this.tryProbe(inputPath);
+    const args = ['-y', '-i', path.resolve(inputPath)];
+
+    if (options.mode === 'soft') {
+      // 软字幕不重新编码音视频
+      const outputArgs = this.buildSoftSubtitleArgs(args, [{ path: options.subtitlePath, language: options.language }], 1, normalizedOutputPath);
+      args.push('-map', '0:v', '-map', '0:a?', '-c:v', 'copy', '-c:a', 'copy', ...outputArgs);
+    } else {
+      const filter = this.buildSubtitleFilter({ path: options.subtitlePath, style: options.style, fontsDir: options.fontsDir });
+      args.push('-vf', filter, '-map', '0:v', '-map', '0:a?', '-c:v', 'libx264', '-pix_fmt', 'yuv420p', '-c:a', 'copy');
+    }
+    args.push(normalizedOutputPath);
+
+    const result = await this.executeFFmpeg(args, this.execOptions(options, { duration: info ? info.duration : undefined }));
+    return { command: result.command, outputPath: normalizedOutputPath };
+  }
+
+  /**
+   * 字幕格式转换（SRT、VTT、ASS 互转）
+   * @param {Object} options - 选项 {format: srt | vtt | ass}
+   */
+  async convertSubtitle(inputPath, outputPath, options = {}) {
+    const normalizedOutputPath = this.prepareOutput(outputPath);
+    const format = options.format || path.extname(normalizedOutputPath).slice(1).toLowerCase();
+    if (!SUBTITLE_FORMATS.includes(format)) {
+      throw new Error(`不支持的字幕格式: ${format}`);
+    }
+    const codecs = { srt: 'srt', vtt: 'webvtt', ass: 'ass', ssa: 'ssa' };
+    const args = ['-y', '-i', path.resolve(inputPath), '-map', '0:s:0', '-c:s', codecs[format], '-f', codecs[format], normalizedOutputPath];
+
+    const result = await this.executeFFmpeg(args, this.execOptions(options));
+    return { command: result.command, outputPath: normalizedOutputPath };
+  }
+
+  /**
+   * 校验响度目标：数值直接写入 loudnorm 滤镜，只接受滤镜允许范围内的数字，未设置的字段使用默认值
+   * @returns {String|null} 错误信息
+   */
+  validateLoudnessTarget(options = {}) {
+    for (const [field, [min, max]] of Object.entries(LOUDNORM_RANGES)) {
+      const value = options[field];
+      if (!isUnset(value) && !(typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max)) {
+        return `${field} 必须是 ${min} 到 ${max} 之间的数字`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 解析响度目标，未设置的使用 EBU R128 默认值
+   * @param {Object} options - 选项 {integrated（LUFS）, truePeak（dBTP）, lra（LU）}
+   */
+  getLoudnessTarget(options = {}) {
+    const target = {};
+    Object.keys(LOUDNORM_DEFAULTS).forEach(key => {
+      const value = parseFloat(options[key]);
+      target[key] = Number.isFinite(value) ? value : LOUDNORM_DEFAULTS[key];
+    });
+    return target;
+  }
+
+  /**
+   * 从 loudnorm 滤镜的 stderr 输出中解析 JSON 测量结果
+   */
+  parseLoudnormOutput(stderr) {
+    const matches = String(stderr || '').match(/\{[^{}]*"input_i"[^{}]*\}/g);
+    if (!matches) {
+      throw new Error('无法解析 loudnorm 测量结果');
+    }
+    const data = JSON.parse(matches[matches.length - 1]);
+    const number = value => this.parseNumber(value);
+    return {
+      input: {
+        integrated: number(data.input_i),
+        truePeak: number(data.input_tp),
+        lra: number(data.input_lra),
+        threshold: number(data.input_thresh)
+      },
+      output: {
+        integrated: number(data.output_i),
+        truePeak: number(data.output_tp),
+        lra: number(data.output_lra),
+        threshold: number(data.output_thresh)
+      },
+      normalizationType: data.normalization_type || null,
+      targetOffset: number(data.target_offset)
+    };
+  }
+
+  /**
+   * 测量响度（loudnorm 第一遍，不产生输出文件）
+   * @param {Object} options - 选项 {integrated, truePeak, lra, duration}
+   */
+  async measureLoudness(inputPath, options = {}) {
+    const target = this.getLoudnessTarget(options);
+    const filter = `loudnorm=I=${target.integrated}:TP=${target.truePeak}:LRA=${target.lra}:print_format=json`;
+    const args = ['-y', '-i', path.resolve(inputPath), '-vn', '-af', filter, '-f', 'null', '-'];
+
+    const result = await this.executeFFmpeg(args, this.execOptions(options, { duration: options.duration }));
+    return { command: result.command, ...this.parseLoudnormOutput(result.stderr) };
+  }
+
+  /**
+   * 两遍 EBU R128 响度标准化：第一遍测量，第二遍按测量值线性调整，视频流直接复制
+   * @param {Object} options - 选项 {integrated, truePeak, lra, audioCodec, audioBitrate, sampleRate, channels}
+   * @returns {Object} {commands, outputPath, loudness: {target, measured, output, normalizationType}}，静音输入不调整响度，output 为 null、normalizationType 为 none
+   */
+  async normalizeAudio(inputPath, outputPath, options = {}) {
+    const info = await this.probe(inputPath);
+    if (!info.audio) {
+      throw new Error('输入文件没有音频流');
+    }
+
+    const invalid = this.validateLoudnessTarget(options);
+    if (invalid) {
+      throw new Error(`响度参数错误: ${invalid}`);
+    }
+
+    const normalizedOutputPath = this.prepareOutput(outputPath);
+    const format = path.extname(normalizedOutputPath).slice(1).toLowerCase();
+    const target = this.getLoudnessTarget(options);
+    const hasVideo = Boolean(info.video) && !['mp3', 'aac', 'm4a', 'wav', 'ogg', 'opus', 'flac'].includes(format);
+
+    // 两遍各占一半进度
+    const onProgress = options.onProgress;
+    const passProgress = (offset) => onProgress ? (progress) => {
+      onProgress({ ...progress, percent: progress.percent !== undefined ? offset + progress.percent / 2 : undefined });
+    } : undefined;
+
+    const measured = await this.measureLoudness(inputPath, {
+      ...options,
+      ...target,
+      duration: info.duration,
+      onProgress: passProgress(0)
+    });
+
+    // 静音输入的测量值为 -inf，无法用于第二遍，此时只转码不调整响度
+    const measurable = [...Object.values(measured.input), measured.targetOffset].every(Number.isFinite);
+    if (!measurable) {
+      console.warn('输入音频为静音，无法测量响度，跳过响度标准化');
+    }
+    const filter = measurable && [
+      `loudnorm=I=${target.integrated}:TP=${target.truePeak}:LRA=${target.lra}`,
+      `measured_I=${measured.input.integrated}`,
+      `measured_TP=${measured.input.truePeak}`,
+      `measured_LRA=${measured.input.lra}`,
+      `measured_thresh=${measured.input.threshold}`,
+      `offset=${measured.targetOffset}`,
+      'linear=true',
+      'print_format=json'
+    ].join(':');
+
+    // loudnorm 内部会上采样到 192kHz，输出时恢复原采样率；声道数需显式指定，否则单声道输入无法协商声道布局
+    const sampleRate = parseInt(options.sampleRate) || info.audio.sampleRate || 48000;
+    const channels = parseInt(options.channels) || info.audio.channels || 2;
+    const args = ['-y', '-i', path.resolve(inputPath)];
+    let audioCodec = options.audioCodec;
+    if (hasVideo) {
+      args.push('-map', '0:v', '-map', '0:a:0', '-c:v', 'copy');
+      audioCodec = audioCodec || (format === 'webm' ? 'libopus' : 'aac');
+    } else {
+      args.push('-vn');
+      audioCodec = audioCodec || this.getAudioCodecForFormat(format);
+    }
+    args.push('-af', filter ? `${filter},aresample=${sampleRate}` : `aresample=${sampleRate}`, '-ac', String(channels), '-c:a', audioCodec);
+    if (!['pcm_s16le', 'flac'].includes(audioCodec)) {
+      args.push('-b:a', options.audioBitrate || '192k');
+    }
+    args.push(normalizedOutputPath);
+
+    const result = await this.executeFFmpeg(args, this.execOptions(options, {
+      duration: info.duration,
+      onProgress: passProgress(50)
+    }));
+    const applied = measurable ? this.parseLoudnormOutput(result.stderr) : { output: null, normalizationType: 'none' };
+
+    return {
+      commands: [measured.command, result.command],
+      outputPath: normalizedOutputPath,
+      loudness: {
+        target,
+        measured: measured.input,
+        output: applied.output,
+        normalizationType: applied.normalizationType
+      }
+    };
+  }
+
+  /**
+   * 将文字内容写入临时文件（drawtext 通过 textfile 读取，避免滤镜转义问题）
+   */
+  writeTextFile(text) {
+    const textFile = path.join(os.tmpdir(), `drawtext_${crypto.randomUUID()}.txt`);
+    fs.writeFileSync(textFile, String(text));
+    return textFile;
+  }
+
+  /**
+   * 删除 writeTextFile 生成的临时文件
+   */
+  removeTextFiles(textFiles) {
+    textFiles.forEach(textFile => {
+      try {
+        fs.unlinkSync(textFile);
+      } catch (e) {
+        console.warn('删除文字临时文件失败:', e.message);
+      }
+    });
+  }
+
+  /**
+   * 校验文字资源的样式参数：颜色和数值直接写入 drawtext 滤镜，只接受 #RRGGBB 颜色和范围内的数字
+   * @returns {String|null} 错误信息
+   */
+  validateTextStyle(item) {
+    for (const field of TEXT_COLOR_FIELDS) {
+      if (!isUnset(item[field]) && !(typeof item[field] === 'string' && COLOR_PATTERN.test(item[field]))) {
+        return `${field} 必须是 #RRGGBB 格式的颜色（可附加 @透明度，如 #000000@0.5）`;
+      }
+    }
+    for (const [field, [min, max]] of Object.entries(TEXT_NUMBER_RANGES)) {
+      const value = item[field];
+      if (!isUnset(value) && !(typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max)) {
+        return `${field} 必须是 ${min} 到 ${max} 之间的数字`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 构建文字叠加的 drawtext 滤镜
+   * @param {Object} item - 文字资源 {text, fontPath, fontSize, fontColor, strokeColor, strokeWidth, shadowColor, shadowX, shadowY,
+   *   box, boxColor, boxOpacity, boxPadding, lineSpacing, align, position, margin, x, y, enter, exit, animationDuration}
+   * @param {String} textFile - 文字内容临时文件
+   * @param {Number} start - 开始时间（秒）
+   * @param {Number} end - 结束时间（秒），为 null 时显示到视频结束
+   */
+  buildTextFilter(item, textFile, start, end) {
+    const invalid = this.validateTextStyle(item);
+    if (invalid) {
+      throw new Error(`文字样式参数错误: ${invalid}`);
+    }
+    const margin = !isUnset(item.margin) ? item.margin : 40;
+    const align = item.align || 'center';
+    const position = item.position || 'bottom';
+
+    // 水平方向按 align、垂直方向按 position 定位，x/y（像素）优先
+    let baseX = align === 'left' ? `${margin}` : align === 'right' ? `w-text_w-${margin}` : '(w-text_w)/2';
+    let baseY = position === 'top' ? `${margin}` : position === 'center' ? '(h-text_h)/2' : `h-text_h-${margin}`;
+    if (item.x !== undefined && item.x !== null) {
+      baseX = `${Number(item.x)}`;
+    }
+    if (item.y !== undefined && item.y !== null) {
+      baseY = `${Number(item.y)}`;
+    }
 
-      ffmpegProcess.on('close', (code) => {
-        if (code === 0) {
-          resolve({ command: commandStr, stdout, stderr });
-        } else {
-          reject(new Error(`FFmpeg 执行失败 (退出码: ${code}): ${stderr || stdout}`));
-        }
-      });
+    // 动画：进度 0→1，slide 的位移为画面宽/高的 10%
+    const enter = item.enter || 'none';
+    const exit = end !== null ? (item.exit || 'none') : 'none';
+    const animationDuration = item.animationDuration || 0.5;
+    const enterProgress = `clip((t-${start})/${animationDuration},0,1)`;
+    const exitProgress = `clip((t-${end !== null ? end - animationDuration : 0})/${animationDuration},0,1)`;
+    const offsets = { x: [], y: [] };
+    const alphas = [];
+    if (enter !== 'none') {
+      alphas.push(enterProgress);
+      const slide = {
+        slideUp: ['y', '+', 'h'], slideDown: ['y', '-', 'h'], slideLeft: ['x', '+', 'w'], slideRight: ['x', '-', 'w']
+      }[enter];
+      if (slide) {
+        offsets[slide[0]].push(`${slide[1]}(1-${enterProgress})*${slide[2]}*0.1`);
+      }
+    }
+    if (exit !== 'none') {
+      alphas.push(`(1-${exitProgress})`);
+      const slide = {
+        slideUp: ['y', '-', 'h'], slideDown: ['y', '+', 'h'], slideLeft: ['x', '-', 'w'], slideRight: ['x', '+', 'w']
+      }[exit];
+      if (slide) {
+        offsets[slide[0]].push(`${slide[1]}${exitProgress}*${slide[2]}*0.1`);
+      }
+    }
 
-      ffmpegProcess.on('error', (err) => {
-        reject(new Error(`FFmpeg 启动失败: ${err.message}`));
-      });
-    });
+    const params = [`textfile=${escapeFilterPath(textFile)}`, 'expansion=none'];
+    if (item.fontPath) {
+      params.push(`fontfile=${escapeFilterPath(item.fontPath)}`);
+    }
+    params.push(`fontsize=${item.fontSize || 48}`);
+    params.push(`fontcolor=${toFFmpegColor(item.fontColor || '#ffffff')}`);
+    if (item.lineSpacing) {
+      params.push(`line_spacing=${item.lineSpacing}`);
+    }
+    if (item.strokeWidth > 0) {
+      params.push(`borderw=${item.strokeWidth}`, `bordercolor=${toFFmpegColor(item.strokeColor || '#000000')}`);
+    }
+    if (item.shadowX || item.shadowY) {
+      params.push(`shadowx=${item.shadowX || 0}`, `shadowy=${item.shadowY || 0}`, `shadowcolor=${toFFmpegColor(item.shadowColor || '#000000', 0.6)}`);
+    }
+    if (item.box) {
+      const boxOpacity = !isUnset(item.boxOpacity) ? item.boxOpacity / 100 : 0.5;
+      params.push('box=1', `boxcolor=${toFFmpegColor(item.boxColor || '#000000', boxOpacity)}`, `boxborderw=${!isUnset(item.boxPadding) ? item.boxPadding : 10}`);
+    }
+    params.push(`x='${baseX}${offsets.x.join('')}'`, `y='${baseY}${offsets.y.join('')}'`);
+    if (alphas.length > 0) {
+      params.push(`alpha='${alphas.length > 1 ? `min(${alphas.join(',')})` : alphas[0]}'`);
+    }
+    params.push(end !== null ? `enable='between(t,${start},${end})'` : `enable='gte(t,${start})'`);
+    return `drawtext=${params.join(':')}`;
   }
 
   /**
    * 合成视频（多资源合成）
    * @param {Array} resources - 资源列表 [{type: 'image', path: '...', duration: 3, ...}, ...]
    * @param {String} outputPath - 输出路径
-   * @param {Object} options - 选项 {resolution: '1280x720', fps: 25, audioCodec: 'aac', videoCodec: 'libx264'}
+   * @param {Object} options - 选项 {resolution: '1280x720', fps: 25, audioCodec: 'aac', videoCodec: 'libx264', onProgress: Function}
+   *   - keepClipAudio: 是否保留视频片段的原声并与添加的音频混合（默认 true）
+   *   - clipAudioRole: 片段原声的音轨角色（默认 voice），音频资源通过 role 指定（默认 music）
+   *   - ducking: 闪避，true 或 {threshold, ratio, attack, release}，音乐在人声处自动压低
+   *   - loudnorm: 输出响度标准化，true 或 {integrated, truePeak, lra}（两遍 EBU R128）
    */
   async composeVideo(resources, outputPath, options = {}) {
+    if (options.loudnorm) {
+      return this.composeWithLoudnorm(outputPath, options, (composedPath, composeOptions) => {
+        return this.composeVideo(resources, composedPath, composeOptions);
+      });
+    }
+
     // 确保输出目录存在
     const outputDir = path.dirname(outputPath);
     if (!fs.existsSync(outputDir)) {
@@ -275,43 +1565,69 @@ class FFmpeg {
       }
     }
     const resolutionFilter = `${width}:${height}`;
-    const fps = options.fps || 25;
-    const videoCodec = options.videoCodec || 'libx264';
-    const videoPreset = options.videoPreset || 'medium';
-    const videoCrf = options.videoCrf !== undefined ? options.videoCrf : 23;
-    const audioCodec = options.audioCodec || 'aac';
-    const audioBitrate = options.audioBitrate || '192k';
-    const audioSampleRate = options.audioSampleRate || 44100;
-    const audioChannels = options.audioChannels || 2;
-    const videoBitrate = options.videoBitrate || '2000k';
+    const settings = this.getComposeSettings(options);
+    const fps = settings.fps;
+    const audioSampleRate = settings.audioSampleRate;
+    const audioChannels = settings.audioChannels;
     const backgroundColor = options.backgroundColor || '#000000';
     
     // 将背景颜色从 #RRGGBB 转换为 0xRRGGBB 格式（用于FFmpeg）
     const bgColorHex = backgroundColor.replace('#', '0x');
+    const channelLayout = audioChannels === 1 ? 'mono' : 'stereo';
+    // 是否保留片段原声（与添加的音频混合），默认保留；GIF 不支持音频
+    const keepClipAudio = options.keepClipAudio !== false && !settings.isGif;
 
     if (!resources || resources.length === 0) {
       throw new Error('资源列表不能为空');
     }
 
-    // 验证所有输入文件存在
+    // 验证所有输入文件存在（文字资源没有输入文件）
     for (const resource of resources) {
-      if (!fs.existsSync(resource.path)) {
+      if (resource.type !== 'text' && !fs.existsSync(resource.path)) {
         throw new Error(`输入文件不存在: ${resource.path}`);
       }
     }
 
-    // 分离不同类型的资源
+    // 使用 ffprobe 获取视频/音频的实际时长（扣除开始时间，用于未指定时长时）以及视频是否包含音轨
+    resources = await Promise.all(resources.map(async (resource) => {
+      if (['image', 'text', 'subtitle'].includes(resource.type) || (resource.type === 'audio' && resource.duration > 0)) {
+        return resource;
+      }
+      const info = await this.tryProbe(resource.path);
+      if (!info) {
+        return resource;
+      }
+      const probed = { ...resource, hasAudio: Boolean(info.audio) };
+      if (info.duration) {
+        probed.mediaDuration = Math.max(0, info.duration - (resource.startTime || 0));
+      }
+      return probed;
+    }));
+
+    // 分离不同类型的资源，画面片段（图片和视频）保持请求中的顺序
     const images = [];
     const videos = [];
+    const visuals = [];
     const audios = [];
+    const texts = [];
+    const subtitles = [];
 
     resources.forEach((resource) => {
       if (resource.type === 'image') {
         images.push(resource);
+        visuals.push(resource);
       } else if (resource.type === 'video') {
         videos.push(resource);
+        visuals.push(resource);
       } else if (resource.type === 'audio') {
-        audios.push(resource);
+        // GIF 不支持音频，忽略音频资源
+        if (!settings.isGif) {
+          audios.push(resource);
+        }
+      } else if (resource.type === 'text') {
+        texts.push(resource);
+      } else if (resource.type === 'subtitle') {
+        subtitles.push(resource);
       }
     });
 
@@ -386,7 +1702,9 @@ class FFmpeg {
     }
     
     // 辅助函数：构建过渡效果filter
-    function buildTransitionFilter(transition, transitionDuration, totalDuration, currentWidth, currentHeight) {
+    // 返回追加在片段 filter 链之后的部分；滑动/缩放效果需要多个输入，会以 ";" 拆分出带标签的子图，
+    // 调用方在末尾追加输出标签即可。clipIndex 用于生成唯一的中间标签。
+    function buildTransitionFilter(transition, transitionDuration, totalDuration, clipIndex) {
       let filter = '';
       
       if (transition === 'none') {
@@ -402,46 +1720,45 @@ class FFmpeg {
         filter += `,fade=t=out:st=${fadeOutStart}:d=${transitionDuration}`;
       }
       
-      // Slide效果（使用x和y坐标实现滑动）
-      // 注意：这些效果需要在已经缩放和pad的基础上应用
-      if (transition === 'slideLeft') {
-        // 从左滑入：x从-width到0
-        const xExpr = `-${currentWidth}*(1-t/${transitionDuration})`;
-        filter += `,crop=${currentWidth}:${currentHeight}:max(0,${xExpr}):0,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=${bgColorHex}`;
-      } else if (transition === 'slideRight') {
-        // 从右滑入：x从width到0
-        const xExpr = `${currentWidth}*(1-t/${transitionDuration})`;
-        filter += `,crop=${currentWidth}:${currentHeight}:min(iw-${currentWidth},${xExpr}):0,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=${bgColorHex}`;
-      } else if (transition === 'slideUp') {
-        // 从下滑入：y从height到0
-        const yExpr = `${currentHeight}*(1-t/${transitionDuration})`;
-        filter += `,crop=${currentWidth}:${currentHeight}:0:min(ih-${currentHeight},${yExpr}),pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=${bgColorHex}`;
-      } else if (transition === 'slideDown') {
-        // 从上滑入：y从-height到0
-        const yExpr = `-${currentHeight}*(1-t/${transitionDuration})`;
-        filter += `,crop=${currentWidth}:${currentHeight}:0:max(0,${yExpr}),pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=${bgColorHex}`;
-      }
-      
-      // Zoom效果（在已经缩放的基础上再次缩放）
+      // 动画进度：0 -> 1，transitionDuration 秒后保持为 1
+      const progress = `min(1,t/${transitionDuration})`;
+      
+      // Slide效果：将片段叠加在背景色画布上，按时间表达式逐帧移动 overlay 坐标
+      const slidePositions = {
+        slideLeft: [`-w+w*${progress}`, '0'], // 从左滑入：x 从 -w 到 0
+        slideRight: [`w-w*${progress}`, '0'], // 从右滑入：x 从 w 到 0
+        slideUp: ['0', `h-h*${progress}`], // 从下滑入：y 从 h 到 0
+        slideDown: ['0', `-h+h*${progress}`] // 从上滑入：y 从 -h 到 0
+      };
+      if (slidePositions[transition]) {
+        const [xExpr, yExpr] = slidePositions[transition];
+        const clipLabel = `[mt${clipIndex}clip]`;
+        const bgLabel = `[mt${clipIndex}bg]`;
+        filter += `,setpts=PTS-STARTPTS${clipLabel};`;
+        filter += `color=c=${bgColorHex}:s=${width}x${height}:r=${fps},format=yuv420p${bgLabel};`;
+        filter += `${bgLabel}${clipLabel}overlay=x='${xExpr}':y='${yExpr}':eval=frame:shortest=1,setsar=1`;
+      }
+      
+      // Zoom效果：使用 zoompan 逐帧计算缩放系数（d=1 表示每个输入帧输出一帧）
+      // zoompan 的缩放系数不能小于 1，因此放大效果先把画面居中 pad 到 2 倍画布，
+      // 缩放系数从 1 到 2 即对应原画面从 0.5 倍到 1 倍
+      const frames = Math.max(1, Math.round(transitionDuration * fps));
+      const zoomProgress = `min(1,on/${frames})`;
+      const zoomCenter = `x='iw/2-iw/zoom/2':y='ih/2-ih/zoom/2'`;
       if (transition === 'zoomIn') {
         // 从0.5倍放大到1倍
-        const scaleStart = 0.5;
-        const scaleEnd = 1.0;
-        const scaleExpr = `${scaleStart}+(${scaleEnd}-${scaleStart})*min(1,t/${transitionDuration})`;
-        filter += `,scale=iw*${scaleExpr}:ih*${scaleExpr},pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=${bgColorHex}`;
+        filter += `,pad=${width * 2}:${height * 2}:${Math.floor(width / 2)}:${Math.floor(height / 2)}:color=${bgColorHex}`;
+        filter += `,zoompan=z='1+${zoomProgress}':${zoomCenter}:d=1:s=${width}x${height}:fps=${fps},setsar=1`;
       } else if (transition === 'zoomOut') {
         // 从1.5倍缩小到1倍
-        const scaleStart = 1.5;
-        const scaleEnd = 1.0;
-        const scaleExpr = `${scaleStart}+(${scaleEnd}-${scaleStart})*min(1,t/${transitionDuration})`;
-        filter += `,scale=iw*${scaleExpr}:ih*${scaleExpr},pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=${bgColorHex}`;
+        filter += `,zoompan=z='1.5-0.5*${zoomProgress}':${zoomCenter}:d=1:s=${width}x${height}:fps=${fps},setsar=1`;
       }
       
       return filter;
     }
 
     // 处理图片：转换为视频片段
-    images.forEach((img) => {
+    function addImageClip(img) {
       const duration = img.duration || 3;
       const transition = img.transition || 'none';
       const transitionDuration = img.transitionDuration || 0.5;
@@ -474,22 +1791,32 @@ class FFmpeg {
       // 设置帧率和像素格式，并限制总时长（避免无限循环）
       filter += `,setsar=1,fps=${fps}:round=up,trim=duration=${duration}`;
       
+      // Ken Burns 平移缩放效果
+      const motionFilter = buildMotionFilter(img, duration, width, height, fps);
+      if (motionFilter) {
+        filter += `,${motionFilter}`;
+      }
+      
       // 应用过渡效果
       if (transition !== 'none' && transitionDuration > 0) {
-        // 获取当前filter处理后的尺寸（通常是目标尺寸）
-        const currentWidth = width;
-        const currentHeight = height;
-        filter += buildTransitionFilter(transition, transitionDuration, duration, currentWidth, currentHeight);
+        filter += buildTransitionFilter(transition, transitionDuration, duration, inputIndex);
       }
       
       filter += `[v${inputIndex}]`;
       filterComplex.push(filter);
-      videoInputs.push({ index: inputIndex, duration: duration });
+      videoInputs.push({
+        index: inputIndex,
+        duration: duration,
+        xfade: img.xfade,
+        xfadeDuration: img.xfadeDuration,
+        hasAudio: false
+      });
       inputIndex++;
-    });
+    }
 
     // 处理视频：调整大小和帧率
-    videos.forEach((vid) => {
+    let firstVideoIndex = null;
+    function addVideoClip(vid) {
       const normalizedPath = path.resolve(vid.path);
       
       // 添加输入选项（-ss 和 -t 必须在 -i 之前）
@@ -513,19 +1840,142 @@ class FFmpeg {
       
       // 应用过渡效果
       if (transition !== 'none' && transitionDuration > 0) {
-        // 获取当前filter处理后的尺寸（通常是目标尺寸）
-        const currentWidth = width;
-        const currentHeight = height;
-        filter += buildTransitionFilter(transition, transitionDuration, vidDuration || 5, currentWidth, currentHeight);
+        filter += buildTransitionFilter(transition, transitionDuration, vidDuration || vid.mediaDuration || 5, inputIndex);
       }
       
       filter += `[v${inputIndex}]`;
       filterComplex.push(filter);
-      videoInputs.push({ index: inputIndex, duration: vidDuration });
+      videoInputs.push({
+        index: inputIndex,
+        duration: vidDuration || vid.mediaDuration,
+        xfade: vid.xfade,
+        xfadeDuration: vid.xfadeDuration,
+        hasAudio: Boolean(vid.hasAudio) && !vid.mute,
+        volume: vid.volume
+      });
+      if (firstVideoIndex === null) {
+        firstVideoIndex = inputIndex;
+      }
       inputIndex++;
+    }
+
+    // 按请求中的顺序添加片段，xfade 连接的是用户排列在一起的相邻片段
+    visuals.forEach((resource) => {
+      if (resource.type === 'image') {
+        addImageClip(resource);
+      } else {
+        addVideoClip(resource);
+      }
     });
 
-    // 处理音频
+    // 片段原声：与画面等长的音频段，图片和无音轨（或静音）的视频用静音填充
+    function buildClipAudioSegment(clip) {
+      const duration = clip.duration || 5;
+      const volume = clip.volume !== undefined ? clip.volume : 100;
+      const source = clip.hasAudio
+        ? `[${clip.index}:a]atrim=duration=${duration},asetpts=PTS-STARTPTS,${volume !== 100 ? `volume=${volume / 100},` : ''}`
+        : `anullsrc=r=${audioSampleRate}:cl=${channelLayout},atrim=duration=${duration},`;
+      return `${source}aresample=${audioSampleRate},aformat=sample_rates=${audioSampleRate}:channel_layouts=${channelLayout}[xa${clip.index}]`;
+    }
+
+    /**
+     * 构建片段间转场链：相邻片段有 xfade 时用 xfade（音频用 acrossfade），否则直接 concat。
+     * 每次转场两个片段重叠 d 秒，时间线总长相应减少 d。
+     */
+    function buildXfadeChain(clips, withAudio) {
+      const filters = [];
+
+      // xfade 要求输入的像素格式和时间基一致
+      clips.forEach((clip) => {
+        filters.push(`[v${clip.index}]format=yuv420p,settb=AVTB[xv${clip.index}]`);
+        if (withAudio) {
+          filters.push(buildClipAudioSegment(clip));
+        }
+      });
+
+      let videoLabel = `[xv${clips[0].index}]`;
+      let audioLabel = `[xa${clips[0].index}]`;
+      let timeline = clips[0].duration || 0;
+
+      for (let i = 1; i < clips.length; i++) {
+        const prev = clips[i - 1];
+        const clip = clips[i];
+        const isLast = i === clips.length - 1;
+        const nextVideoLabel = isLast ? '[outv]' : `[xfv${i}]`;
+        const nextAudioLabel = isLast ? '[clipa]' : `[xfa${i}]`;
+        const transition = clip.xfade && clip.xfade !== 'none' ? clip.xfade : null;
+        // 转场时长不能超过相邻任一片段的时长
+        const xfadeDuration = transition && prev.duration && clip.duration
+          ? Math.min(clip.xfadeDuration || 0.5, prev.duration, clip.duration)
+          : 0;
+
+        if (xfadeDuration > 0) {
+          const offset = Math.max(0, timeline - xfadeDuration);
+          filters.push(`${videoLabel}[xv${clip.index}]xfade=transition=${transition}:duration=${xfadeDuration}:offset=${offset}${nextVideoLabel}`);
+          if (withAudio) {
+            filters.push(`${audioLabel}[xa${clip.index}]acrossfade=d=${xfadeDuration}:c1=tri:c2=tri${nextAudioLabel}`);
+          }
+          timeline += (clip.duration || 0) - xfadeDuration;
+        } else {
+          filters.push(`${videoLabel}[xv${clip.index}]concat=n=2:v=1:a=0${nextVideoLabel}`);
+          if (withAudio) {
+            filters.push(`${audioLabel}[xa${clip.index}]concat=n=2:v=0:a=1${nextAudioLabel}`);
+          }
+          timeline += clip.duration || 0;
+        }
+
+        videoLabel = nextVideoLabel;
+        audioLabel = nextAudioLabel;
+      }
+
+      return { filters, duration: timeline };
+    }
+
+    // 连接所有视频片段，片段原声随画面一起连接（转场时交叉淡化）
+    let timelineDuration = null;
+    let clipAudioLabel = null;
+    const buildClipAudio = keepClipAudio && videoInputs.some(item => item.hasAudio);
+    if (videoInputs.length > 0) {
+      if (buildClipAudio && !videoInputs.some((item, i) => i > 0 && item.xfade && item.xfade !== 'none')) {
+        videoInputs.forEach(clip => filterComplex.push(buildClipAudioSegment(clip)));
+        const segments = videoInputs.map(clip => `[xa${clip.index}]`).join('');
+        filterComplex.push(`${segments}concat=n=${videoInputs.length}:v=0:a=1[clipa]`);
+        clipAudioLabel = '[clipa]';
+      }
+      if (videoInputs.length === 1) {
+        // 如果只有一个视频片段，不需要 concat，直接修改最后一个 filter 的输出标签
+        const idx = typeof videoInputs[0] === 'object' ? videoInputs[0].index : videoInputs[0];
+        for (let i = filterComplex.length - 1; i >= 0; i--) {
+          if (filterComplex[i].endsWith(`[v${idx}]`)) {
+            filterComplex[i] = filterComplex[i].replace(`[v${idx}]`, '[outv]');
+            break;
+          }
+        }
+      } else if (videoInputs.some((item, i) => i > 0 && item.xfade && item.xfade !== 'none')) {
+        // 片段之间有转场：使用 xfade 逐段连接，音频用 acrossfade 同步过渡
+        const chain = buildXfadeChain(videoInputs, buildClipAudio);
+        filterComplex.push(...chain.filters);
+        timelineDuration = chain.duration;
+        if (buildClipAudio) {
+          clipAudioLabel = '[clipa]';
+        }
+      } else {
+        // 多个视频片段，使用 concat
+        const concatInputs = videoInputs.map(item => {
+          const idx = typeof item === 'object' ? item.index : item;
+          return `[v${idx}]`;
+        }).join('');
+        filterComplex.push(`${concatInputs}concat=n=${videoInputs.length}:v=1:a=0[outv]`);
+      }
+    }
+
+    // 计算画面总时长（音频截断/循环和进度显示），有转场时使用扣除重叠后的时间线长度
+    const totalDuration = timelineDuration || (images.reduce((sum, img) => sum + (img.duration || 3), 0) + 
+                           videos.reduce((sum, vid) => sum + (vid.duration || vid.mediaDuration || 5), 0));
+    // 所有视频时长已知时按画面长度精确输出，否则退回 -shortest
+    const exactDuration = videos.every(vid => vid.duration || vid.mediaDuration);
+
+    // 处理音频：offset 延迟进入时间线，loop 循环铺满画面，trimToVideo（默认开启）在画面结束处截断
     audios.forEach((aud) => {
       const normalizedPath = path.resolve(aud.path);
       
@@ -538,11 +1988,28 @@ class FFmpeg {
       }
       args.push('-i', normalizedPath);
       
+      const offset = Math.max(0, Number(aud.offset) || 0);
+      const available = Math.max(0, totalDuration - offset);
+      const sourceDuration = aud.duration || aud.mediaDuration;
+      // 音频在时间线上实际播放的时长（未知时为 null）
+      let playDuration = aud.loop ? available : (sourceDuration || null);
+      if (aud.trimToVideo !== false) {
+        playDuration = playDuration ? Math.min(playDuration, available) : available;
+      }
+
       // 应用音频效果
       const fade = aud.fade || 'none';
       const fadeDuration = aud.fadeDuration || 1;
       const volume = aud.volume !== undefined ? aud.volume : 100;
       const audioFilters = [];
+
+      // 循环后截断到需要的长度
+      if (aud.loop) {
+        audioFilters.push('aloop=loop=-1:size=2147483647');
+      }
+      if (aud.loop || aud.trimToVideo !== false) {
+        audioFilters.push(`atrim=duration=${playDuration}`, 'asetpts=PTS-STARTPTS');
+      }
       
       // 音量调整
       if (volume !== 100) {
@@ -550,150 +2017,566 @@ class FFmpeg {
         audioFilters.push(`volume=${volumeMultiplier}`);
       }
       
-      // 淡入淡出
+      // 淡入淡出（淡出在实际播放结束处）
       if (fade !== 'none' && fadeDuration > 0) {
         if (fade === 'fadein' || fade === 'both') {
           audioFilters.push(`afade=t=in:st=0:d=${fadeDuration}`);
         }
         if (fade === 'fadeout' || fade === 'both') {
-          const audioDuration = aud.duration || 10;
+          const audioDuration = playDuration || 10;
           const fadeOutStart = Math.max(0, audioDuration - fadeDuration);
           audioFilters.push(`afade=t=out:st=${fadeOutStart}:d=${fadeDuration}`);
         }
       }
       
-      if (audioFilters.length > 0) {
-        const audioFilterStr = audioFilters.join(',');
-        filterComplex.push(`[${inputIndex}:a]${audioFilterStr}[a${inputIndex}]`);
-        audioInputs.push({ index: inputIndex, filterIndex: inputIndex });
-      } else {
-        audioInputs.push({ index: inputIndex, filterIndex: null });
+      // 统一采样率和声道，便于与片段原声混合和闪避
+      audioFilters.push(`aresample=${audioSampleRate}`, `aformat=sample_rates=${audioSampleRate}:channel_layouts=${channelLayout}`);
+      if (offset > 0) {
+        const delay = Math.round(offset * 1000);
+        audioFilters.push(`adelay=${new Array(audioChannels).fill(delay).join('|')}`);
       }
+      filterComplex.push(`[${inputIndex}:a]${audioFilters.join(',')}[a${inputIndex}]`);
+      audioInputs.push({ label: `[a${inputIndex}]`, role: aud.role || 'music' });
       inputIndex++;
     });
 
-    // 连接所有视频片段
-    if (videoInputs.length > 0) {
-      if (videoInputs.length === 1) {
-        // 如果只有一个视频片段，不需要 concat，直接修改最后一个 filter 的输出标签
-        const idx = typeof videoInputs[0] === 'object' ? videoInputs[0].index : videoInputs[0];
-        for (let i = filterComplex.length - 1; i >= 0; i--) {
-          if (filterComplex[i].endsWith(`[v${idx}]`)) {
-            filterComplex[i] = filterComplex[i].replace(`[v${idx}]`, '[outv]');
-            break;
+    // 混合片段原声和添加的音频，开启闪避时音乐在人声处自动压低
+    // 音频比画面短时用静音补齐，配合 -t 使输出长度始终等于画面长度
+    if (clipAudioLabel) {
+      audioInputs.unshift({ label: clipAudioLabel, role: options.clipAudioRole || 'voice' });
+    }
+    if (audioInputs.length > 0) {
+      filterComplex.push(...this.buildAudioMix(audioInputs, options.ducking, exactDuration ? '[mixa]' : '[outa]'));
+      if (exactDuration) {
+        filterComplex.push('[mixa]apad[outa]');
+      }
+    }
+
+    // 文字和硬字幕叠加在合成后的画面上，start/duration 和字幕时间轴为输出视频中的时间
+    const textFiles = [];
+    try {
+      const outputFilters = texts.map((text) => {
+        const start = Number(text.start) || 0;
+        const end = text.duration > 0 ? start + Number(text.duration) : null;
+        const textFile = this.writeTextFile(text.text);
+        textFiles.push(textFile);
+        return this.buildTextFilter(text, textFile, start, end);
+      });
+      subtitles.filter(subtitle => subtitle.mode !== 'soft').forEach((subtitle) => {
+        outputFilters.push(this.buildSubtitleFilter(subtitle));
+      });
+      this.appendOutputFilters(filterComplex, outputFilters);
+      if (settings.isGif) {
+        this.appendGifFilters(filterComplex);
+      }
+
+      // 软字幕作为额外输入放在最后，不影响其他输入的序号
+      const softSubtitles = subtitles.filter(subtitle => subtitle.mode === 'soft');
+      const subtitleArgs = softSubtitles.length > 0
+        ? this.buildSoftSubtitleArgs(args, softSubtitles, args.filter(arg => arg === '-i').length, normalizedOutputPath)
+        : [];
+
+      // 添加 filter_complex
+      if (filterComplex.length > 0) {
+        args.push('-filter_complex', filterComplex.join(';'));
+      }
+
+      // 添加输出选项
+      args.push(...this.buildVideoCodecArgs(settings));
+      // -shortest 会在最后一条软字幕处截断，且与滤镜中的 apad 同用时不会结束，能确定画面长度时直接指定输出时长
+      if (exactDuration || subtitleArgs.length > 0) {
+        args.push('-t', String(totalDuration));
+      } else {
+        args.push('-shortest');
+      }
+
+      // 映射输出流
+      if (videoInputs.length > 0) {
+        args.push('-map', '[outv]');
+      }
+    
+      // 音频编码参数
+      if (audioInputs.length > 0) {
+        args.push(...this.buildAudioCodecArgs(settings));
+        args.push('-map', '[outa]');
+      } else if (videos.length > 0 && keepClipAudio) {
+        // 如果有视频但没有单独添加的音频，尝试复制视频中的音频
+        args.push('-map', `${firstVideoIndex}:a?`);
+        args.push(...this.buildAudioCodecArgs(settings, false));
+      }
+
+      args.push(...subtitleArgs);
+
+      // 添加输出文件路径
+      args.push(normalizedOutputPath);
+
+      // 执行命令
+      try {
+        const result = await this.executeFFmpeg(args, {
+          duration: totalDuration,
+          priority: options.priority,
+          onStart: options.onStart,
+          signal: options.signal,
+          onProgress: options.onProgress
+        });
+
+        console.log('合成完成:', normalizedOutputPath);
+        return { command: result.command, outputPath: normalizedOutputPath };
+      } catch (error) {
+        // 删除未完成的输出文件
+        if (fs.existsSync(normalizedOutputPath)) {
+          try {
+            fs.unlinkSync(normalizedOutputPath);
+          } catch (e) {
+            console.warn('删除未完成的输出文件失败:', e.message);
           }
         }
-      } else {
-        // 多个视频片段，使用 concat
-        const concatInputs = videoInputs.map(item => {
-          const idx = typeof item === 'object' ? item.index : item;
-          return `[v${idx}]`;
-        }).join('');
-        filterComplex.push(`${concatInputs}concat=n=${videoInputs.length}:v=1:a=0[outv]`);
+        if (error.code === 'CANCELLED') {
+          throw error;
+        }
+        console.error('FFmpeg 错误详情:', error);
+        console.error('输出路径:', normalizedOutputPath);
+        console.error('输出目录:', path.dirname(normalizedOutputPath));
+        console.error('输出目录是否存在:', fs.existsSync(path.dirname(normalizedOutputPath)));
+        throw new Error(`FFmpeg 合成视频失败: ${error.message}`);
       }
+    } finally {
+      this.removeTextFiles(textFiles);
     }
+  }
 
-    // 合并所有音频
-    if (audioInputs.length > 0) {
-      const audioLabels = audioInputs.map(item => {
-        if (typeof item === 'object' && item.filterIndex !== null) {
-          return `[a${item.filterIndex}]`;
-        } else if (typeof item === 'object') {
-          return `[${item.index}:a]`;
-        }
-        return `[${item}:a]`;
-      }).join('');
-      filterComplex.push(`${audioLabels}amix=inputs=${audioInputs.length}:duration=longest:dropout_transition=2[outa]`);
+  /**
+   * 解析合成输出选项（分辨率、帧率、编码参数），未设置的使用默认值
+   */
+  getComposeSettings(options = {}) {
+    let width = options.width || 1280;
+    let height = options.height || 720;
+    const size = this.parseSize(options.resolution);
+    if (size) {
+      width = size.width;
+      height = size.height;
     }
+    const isGif = options.format === 'gif' || options.videoCodec === 'gif';
+    return {
+      width,
+      height,
+      fps: options.fps || 25,
+      isGif,
+      videoCodec: isGif ? 'gif' : options.videoCodec || 'libx264',
+      videoPreset: options.videoPreset || 'medium',
+      videoCrf: options.videoCrf !== undefined ? options.videoCrf : 23,
+      videoBitrate: options.videoBitrate || '2000k',
+      videoProfile: options.videoProfile,
+      pixelFormat: options.pixelFormat || 'yuv420p',
+      audioCodec: options.audioCodec || 'aac',
+      audioBitrate: options.audioBitrate || '192k',
+      audioSampleRate: options.audioSampleRate || 44100,
+      audioChannels: options.audioChannels || 2,
+      // 将背景颜色从 #RRGGBB 转换为 0xRRGGBB 格式（用于FFmpeg）
+      bgColorHex: (options.backgroundColor || '#000000').replace('#', '0x')
+    };
+  }
 
-    // 添加 filter_complex
-    if (filterComplex.length > 0) {
-      console.log('Filter Complex:', JSON.stringify(filterComplex, null, 2));
-      args.push('-filter_complex', filterComplex.join(';'));
+  /**
+   * 构建合成输出的编码参数
+   */
+  buildCodecArgs(settings, hasAudio) {
+    const args = this.buildVideoCodecArgs(settings);
+    if (hasAudio) {
+      args.push(...this.buildAudioCodecArgs(settings));
     }
+    return args;
+  }
 
-    // 添加输出选项
-    args.push('-vcodec', videoCodec);
-    
-    // 如果使用libx264或libx265，添加preset和CRF
-    if (videoCodec === 'libx264' || videoCodec === 'libx265') {
-      args.push('-preset', videoPreset);
+  /**
+   * 构建视频编码参数（GIF 由调色板滤镜输出 pal8，不设置码率和像素格式）
+   */
+  buildVideoCodecArgs(settings) {
+    const args = ['-vcodec', settings.videoCodec];
+    if (settings.isGif) {
+      return args;
+    }
+    if (settings.videoCodec === 'libx264' || settings.videoCodec === 'libx265') {
+      args.push('-preset', settings.videoPreset);
       // 如果设置了CRF，使用CRF（质量模式），否则使用码率模式
-      if (videoCrf !== undefined && videoCrf >= 0 && videoCrf <= 51) {
-        args.push('-crf', String(videoCrf));
+      if (settings.videoCrf !== undefined && settings.videoCrf >= 0 && settings.videoCrf <= 51) {
+        args.push('-crf', String(settings.videoCrf));
       } else {
-        args.push('-b:v', videoBitrate);
+        args.push('-b:v', settings.videoBitrate);
       }
-    } else {
-      // 其他编码器使用码率
-      args.push('-b:v', videoBitrate);
+    } else if (!settings.videoCodec.startsWith('prores')) {
+      // ProRes 按 profile 决定码率，其他编码器使用码率
+      args.push('-b:v', settings.videoBitrate);
     }
-    
-    args.push('-pix_fmt', 'yuv420p');
-    args.push('-shortest');
+    if (settings.videoProfile !== undefined) {
+      args.push('-profile:v', String(settings.videoProfile));
+    }
+    args.push('-pix_fmt', settings.pixelFormat);
+    return args;
+  }
 
-    // 映射输出流
-    if (videoInputs.length > 0) {
-      args.push('-map', '[outv]');
+  /**
+   * 构建音频编码参数
+   * @param {Boolean} filtered - 音频是否经过滤镜处理（经过滤镜的音频无法直接复制）
+   */
+  buildAudioCodecArgs(settings, filtered = true) {
+    if (settings.audioCodec === 'copy' && !filtered) {
+      return ['-acodec', 'copy'];
     }
-    
-    // 音频编码参数
-    if (audioInputs.length > 0) {
-      if (audioCodec !== 'copy') {
-        args.push('-acodec', audioCodec);
-        args.push('-b:a', audioBitrate);
-        args.push('-ar', String(audioSampleRate));
-        args.push('-ac', String(audioChannels));
-      } else {
-        args.push('-acodec', 'copy');
-      }
-      args.push('-map', '[outa]');
-    } else if (videos.length > 0) {
-      // 如果有视频但没有单独添加的音频，尝试复制视频中的音频
-      const firstVideoIndex = images.length;
-      args.push('-map', `${firstVideoIndex}:a?`);
-      if (audioCodec !== 'copy') {
-        args.push('-acodec', audioCodec);
-        args.push('-b:a', audioBitrate);
-        args.push('-ar', String(audioSampleRate));
-        args.push('-ac', String(audioChannels));
-      } else {
-        args.push('-acodec', 'copy');
+    // 经过滤镜处理的音频无法直接复制，copy 时回退为 aac
+    const audioCodec = settings.audioCodec === 'copy' ? 'aac' : settings.audioCodec;
+    const args = ['-acodec', audioCodec];
+    // 无损/PCM 编码不需要码率
+    if (!audioCodec.startsWith('pcm_') && audioCodec !== 'flac') {
+      args.push('-b:a', settings.audioBitrate);
+    }
+    args.push('-ar', String(settings.audioSampleRate), '-ac', String(settings.audioChannels));
+    return args;
+  }
+
+  /**
+   * GIF 输出：画面经调色板滤镜提高画质（GIF 不支持音频，合成时不构建音频）
+   */
+  appendGifFilters(filterComplex) {
+    this.appendOutputFilters(filterComplex, ['split[gif0][gif1];[gif0]palettegen[gifp];[gif1][gifp]paletteuse']);
+  }
+
+  /**
+   * 先合成到临时文件，再做两遍响度标准化写入最终输出（合成占 80% 进度）
+   * @param {Function} compose - (composedPath, composeOptions) => 合成结果
+   */
+  async composeWithLoudnorm(outputPath, options, compose) {
+    const normalizedOutputPath = this.prepareOutput(outputPath);
+    const ext = path.extname(normalizedOutputPath);
+    const composedPath = path.join(path.dirname(normalizedOutputPath), `${path.basename(normalizedOutputPath, ext)}_prenorm${ext}`);
+    const onProgress = options.onProgress;
+    const scaleProgress = (offset, range) => onProgress ? (progress) => {
+      onProgress({ ...progress, percent: progress.percent !== undefined ? offset + progress.percent * range / 100 : undefined });
+    } : undefined;
+
+    try {
+      const composed = await compose(composedPath, { ...options, loudnorm: false, onProgress: scaleProgress(0, 80) });
+      const info = await this.tryProbe(composedPath);
+      if (!info || !info.audio) {
+        console.warn('合成结果没有音频流，跳过响度标准化');
+        fs.renameSync(composedPath, normalizedOutputPath);
+        return { ...composed, outputPath: normalizedOutputPath };
+      }
+
+      const loudnorm = typeof options.loudnorm === 'object' ? options.loudnorm : {};
+      const normalized = await this.normalizeAudio(composedPath, normalizedOutputPath, {
+        ...this.execOptions(options),
+        ...loudnorm,
+        onProgress: scaleProgress(80, 20)
+      });
+      console.log('响度标准化完成:', JSON.stringify(normalized.loudness.measured));
+      return { ...composed, outputPath: normalizedOutputPath, loudness: normalized.loudness };
+    } catch (error) {
+      if (fs.existsSync(normalizedOutputPath)) {
+        try {
+          fs.unlinkSync(normalizedOutputPath);
+        } catch (e) {
+          console.warn('删除未完成的输出文件失败:', e.message);
+        }
+      }
+      throw error;
+    } finally {
+      if (fs.existsSync(composedPath)) {
+        try {
+          fs.unlinkSync(composedPath);
+        } catch (e) {
+          console.warn('删除临时合成文件失败:', e.message);
+        }
       }
     }
+  }
 
-    // 添加输出文件路径
-    args.push(normalizedOutputPath);
+  /**
+   * 多轨道时间线合成：可视片段按图层叠加到背景画布上，音频按开始时间延迟后混合
+   * @param {Array} tracks - 轨道列表 [{layer, items: [{type, path, start, duration, layer, x, y, width, height, ...}]}]
+   *   - type 为 text 的片段没有 path，参数见 buildTextFilter，x/y 为文字左上角坐标
+   *   - type 为 subtitle 的片段 {path, mode, style, language, fontsDir} 作用于整个输出视频
+   *   - start 省略时紧接在同一轨道上一个片段之后
+   *   - layer 省略时使用轨道的 layer，再省略则使用轨道序号（数值大的在上层）
+   *   - x/y/width/height 为片段在画布上的位置和尺寸（像素），省略 width/height 时铺满画布
+   * @param {String} outputPath - 输出路径
+   * @param {Object} options - 同 composeVideo，另支持 duration（总时长，默认为最后一个可视片段的结束时间）
+   */
+  async composeTimeline(tracks, outputPath, options = {}) {
+    if (!Array.isArray(tracks) || tracks.length === 0) {
+      throw new Error('时间线轨道不能为空');
+    }
+    if (options.loudnorm) {
+      return this.composeWithLoudnorm(outputPath, options, (composedPath, composeOptions) => {
+        return this.composeTimeline(tracks, composedPath, composeOptions);
+      });
+    }
+
+    const normalizedOutputPath = this.prepareOutput(outputPath);
+    const settings = this.getComposeSettings(options);
+    const { width, height, fps, bgColorHex, audioSampleRate, audioChannels } = settings;
+    const channelLayout = audioChannels === 1 ? 'mono' : 'stereo';
+
+    // 获取片段时长（未指定时使用 ffprobe 结果）以及视频是否包含音轨
+    const resolvedTracks = await Promise.all(tracks.map(async (track) => {
+      return Promise.all((track.items || []).map(async (item) => {
+        if (item.type === 'text' || item.type === 'subtitle') {
+          return { ...item, clipDuration: item.type === 'text' ? item.duration || null : null, hasAudio: false };
+        }
+        if (!fs.existsSync(item.path)) {
+          throw new Error(`输入文件不存在: ${item.path}`);
+        }
+        if (item.type === 'image') {
+          return { ...item, clipDuration: item.duration || 3, hasAudio: false };
+        }
+        const info = await this.tryProbe(item.path);
+        const mediaDuration = info && info.duration ? Math.max(0, info.duration - (item.startTime || 0)) : null;
+        return {
+          ...item,
+          clipDuration: item.duration || mediaDuration || (item.type === 'video' ? 5 : null),
+          hasAudio: item.type === 'audio' || Boolean(info && info.audio)
+        };
+      }));
+    }));
 
-    // 计算总时长（用于进度显示）
-    const totalDuration = images.reduce((sum, img) => sum + (img.duration || 3), 0) + 
-                           videos.reduce((sum, vid) => sum + (vid.duration || 5), 0);
+    // 计算每个片段在时间线上的位置
+    const items = [];
+    resolvedTracks.forEach((trackItems, trackIndex) => {
+      const track = tracks[trackIndex];
+      let cursor = 0;
+      trackItems.forEach((item) => {
+        const start = item.start !== undefined && item.start !== null ? Math.max(0, Number(item.start) || 0) : cursor;
+        const layer = item.layer !== undefined ? Number(item.layer) : (track.layer !== undefined ? Number(track.layer) : trackIndex);
+        items.push({ ...item, start, layer, trackIndex, order: items.length });
+        cursor = start + (item.clipDuration || 0);
+      });
+    });
 
-    console.log('FFmpeg 合成视频命令:', `"${this.ffmpegPath}" ${args.join(' ')}`);
-    console.log('输出路径:', normalizedOutputPath);
+    // 未指定时长的文字显示到时间线结束，不参与总时长计算
+    const visuals = items.filter(item => item.type === 'image' || item.type === 'video' || item.type === 'text');
+    const timedVisuals = visuals.filter(item => item.clipDuration);
+    if (timedVisuals.length === 0 && !options.duration) {
+      throw new Error('至少需要一个图片或视频资源');
+    }
+    const totalDuration = options.duration || Math.max(...timedVisuals.map(item => item.start + item.clipDuration));
+    visuals.forEach((item) => {
+      if (!item.clipDuration) {
+        item.clipDuration = Math.max(0, totalDuration - item.start);
+      }
+    });
 
-    // 执行命令
+    const args = ['-y'];
+    const filterComplex = [];
+    const audioLabels = [];
+    const textFiles = [];
     try {
-      const result = await this.executeFFmpeg(args, {
-        duration: totalDuration,
-        onProgress: (progress) => {
-          if (progress.percent !== undefined) {
-            // 只在进度更新时输出日志（已通过去重和节流控制频率）
-            console.log(`[视频合成进度] ${progress.percent.toFixed(1)}%`);
+      // 背景画布
+      filterComplex.push(`color=c=${bgColorHex}:s=${width}x${height}:r=${fps}:d=${totalDuration},format=yuv420p[base]`);
+
+      let inputIndex = 0;
+      items.forEach((item) => {
+        // GIF 不支持音频，音频片段不作为输入
+        if (item.type === 'text' || item.type === 'subtitle' || (item.type === 'audio' && settings.isGif)) {
+          return;
+        }
+        if (item.type === 'image') {
+          args.push('-i', path.resolve(item.path));
+        } else {
+          if (item.startTime !== undefined && item.startTime > 0) {
+            args.push('-ss', String(item.startTime));
+          }
+          if (item.clipDuration) {
+            args.push('-t', String(item.clipDuration));
+          }
+          args.push('-i', path.resolve(item.path));
+        }
+        item.inputIndex = inputIndex++;
+
+        // 音频：视频自带音轨（未静音）和音频片段按开始时间延迟
+        // 音频片段 loop 时循环铺满到时间线结束，trimToVideo（默认开启）在时间线结束处截断
+        if (item.hasAudio && !item.mute && !settings.isGif) {
+          const available = Math.max(0, totalDuration - item.start);
+          const loop = item.type === 'audio' && item.loop;
+          let playDuration = loop ? available : item.clipDuration;
+          if (item.trimToVideo !== false) {
+            playDuration = playDuration ? Math.min(playDuration, available) : available;
+          }
+          const audioFilters = loop ? ['aloop=loop=-1:size=2147483647'] : [];
+          if (playDuration) {
+            audioFilters.push(`atrim=duration=${playDuration}`);
+          }
+          audioFilters.push('asetpts=PTS-STARTPTS');
+          const volume = item.volume !== undefined ? item.volume : 100;
+          if (volume !== 100) {
+            audioFilters.push(`volume=${volume / 100}`);
           }
+          const fade = item.fade || 'none';
+          const fadeDuration = item.fadeDuration || 1;
+          if ((fade === 'fadein' || fade === 'both') && fadeDuration > 0) {
+            audioFilters.push(`afade=t=in:st=0:d=${fadeDuration}`);
+          }
+          if ((fade === 'fadeout' || fade === 'both') && fadeDuration > 0 && playDuration) {
+            audioFilters.push(`afade=t=out:st=${Math.max(0, playDuration - fadeDuration)}:d=${fadeDuration}`);
+          }
+          audioFilters.push(`aresample=${audioSampleRate}`, `aformat=sample_rates=${audioSampleRate}:channel_layouts=${channelLayout}`);
+          const delay = Math.round(item.start * 1000);
+          if (delay > 0) {
+            audioFilters.push(`adelay=${new Array(audioChannels).fill(delay).join('|')}`);
+          }
+          filterComplex.push(`[${item.inputIndex}:a]${audioFilters.join(',')}[ta${item.inputIndex}]`);
+          audioLabels.push({ label: `[ta${item.inputIndex}]`, role: item.role || (item.type === 'video' ? 'voice' : 'music') });
         }
       });
 
-      console.log('合成完成:', normalizedOutputPath);
-      return { command: result.command, outputPath: normalizedOutputPath };
-    } catch (error) {
-      console.error('FFmpeg 错误详情:', error);
-      console.error('输出路径:', normalizedOutputPath);
-      console.error('输出目录:', path.dirname(normalizedOutputPath));
-      console.error('输出目录是否存在:', fs.existsSync(path.dirname(normalizedOutputPath)));
-      throw new Error(`FFmpeg 合成视频失败: ${error.message}`);
+      // 可视片段按图层从低到高叠加，同图层按轨道和添加顺序
+      const layered = visuals.slice().sort((a, b) => a.layer - b.layer || a.trackIndex - b.trackIndex || a.order - b.order);
+      let canvasLabel = '[base]';
+      layered.forEach((item, i) => {
+        const k = item.inputIndex;
+        const end = item.start + item.clipDuration;
+        const nextLabel = i === layered.length - 1 ? '[outv]' : `[tc${i}]`;
+
+        // 文字直接绘制在当前画布上
+        if (item.type === 'text') {
+          const textFile = this.writeTextFile(item.text);
+          textFiles.push(textFile);
+          filterComplex.push(`${canvasLabel}${this.buildTextFilter(item, textFile, item.start, end)}${nextLabel}`);
+          canvasLabel = nextLabel;
+          return;
+        }
+        const boxX = Number(item.x) || 0;
+        const boxY = Number(item.y) || 0;
+        const boxWidth = parseInt(item.width) || 0;
+        const boxHeight = parseInt(item.height) || 0;
+        const scaleMode = item.scaleMode || 'fit';
+        const filters = [];
+
+        if (item.type === 'image') {
+          filters.push('loop=-1:size=1:start=0', `fps=${fps}:round=up`, `trim=duration=${item.clipDuration}`);
+        } else {
+          filters.push(`fps=${fps}`);
+        }
+
+        // 缩放到目标区域：同时指定宽高时按缩放模式处理，只指定一边时保持比例，都不指定时适应画布
+        let overlayX = `${boxX}`;
+        let overlayY = `${boxY}`;
+        if (item.type === 'image' && item.motion && item.motion !== 'none') {
+          // Ken Burns 动效填满目标区域（只指定一边时按画布比例计算另一边，都不指定时为整个画布）
+          const motionWidth = boxWidth || (boxHeight ? Math.round(boxHeight * width / height / 2) * 2 : width);
+          const motionHeight = boxHeight || (boxWidth ? Math.round(boxWidth * height / width / 2) * 2 : height);
+          filters.push(`scale=${motionWidth}:${motionHeight}:force_original_aspect_ratio=increase`, `crop=${motionWidth}:${motionHeight}`);
+          filters.push(buildMotionFilter(item, item.clipDuration, motionWidth, motionHeight, fps));
+          if (!boxWidth && !boxHeight) {
+            overlayX = '0';
+            overlayY = '0';
+          }
+        } else if (boxWidth && boxHeight) {
+          if (scaleMode === 'fill' || scaleMode === 'crop') {
+            filters.push(`scale=${boxWidth}:${boxHeight}:force_original_aspect_ratio=increase`, `crop=${boxWidth}:${boxHeight}`);
+          } else if (scaleMode === 'stretch') {
+            filters.push(`scale=${boxWidth}:${boxHeight}`);
+          } else {
+            filters.push(`scale=${boxWidth}:${boxHeight}:force_original_aspect_ratio=decrease`);
+            overlayX = `${boxX}+(${boxWidth}-w)/2`;
+            overlayY = `${boxY}+(${boxHeight}-h)/2`;
+          }
+        } else if (boxWidth || boxHeight) {
+          filters.push(`scale=${boxWidth || -2}:${boxHeight || -2}`);
+        } else {
+          filters.push(`scale=${width}:${height}:force_original_aspect_ratio=decrease`);
+          overlayX = '(W-w)/2';
+          overlayY = '(H-h)/2';
+        }
+
+        // 保留透明通道（PNG 图标等），旋转时空白区域透明
+        filters.push('setsar=1', 'format=rgba');
+        const rotation = item.rotation || 0;
+        if (rotation !== 0) {
+          const angle = rotation * Math.PI / 180;
+          filters.push(`rotate=${angle}:c=none:ow=rotw(${angle}):oh=roth(${angle})`);
+        }
+        const opacity = item.opacity !== undefined ? item.opacity : 100;
+        if (opacity < 100) {
+          filters.push(`colorchannelmixer=aa=${opacity / 100}`);
+        }
+
+        // 淡入淡出作用于透明度，露出下层画面
+        const transition = item.transition || 'none';
+        const transitionDuration = item.transitionDuration || 0.5;
+        if (transition === 'fade' || transition === 'fadein') {
+          filters.push(`fade=t=in:st=0:d=${transitionDuration}:alpha=1`);
+        }
+        if (transition === 'fade' || transition === 'fadeout') {
+          filters.push(`fade=t=out:st=${Math.max(0, item.clipDuration - transitionDuration)}:d=${transitionDuration}:alpha=1`);
+        }
+
+        // 平移到时间线上的开始时间
+        filters.push(`setpts=PTS-STARTPTS+${item.start}/TB`);
+        filterComplex.push(`[${k}:v]${filters.join(',')}[tv${k}]`);
+        filterComplex.push(`${canvasLabel}[tv${k}]overlay=x='${overlayX}':y='${overlayY}':eof_action=pass:enable='between(t,${item.start},${end})'${nextLabel}`);
+        canvasLabel = nextLabel;
+      });
+
+      // 混合所有音频，开启闪避时音乐在人声处自动压低
+      filterComplex.push(...this.buildAudioMix(audioLabels, options.ducking));
+
+      // 字幕不参与图层排序，时间轴为输出视频中的时间：硬字幕绘制在最终画面上，软字幕作为字幕轨封装
+      const subtitles = items.filter(item => item.type === 'subtitle');
+      this.appendOutputFilters(filterComplex, subtitles.filter(subtitle => subtitle.mode !== 'soft').map(subtitle => this.buildSubtitleFilter(subtitle)));
+      if (settings.isGif) {
+        this.appendGifFilters(filterComplex);
+      }
+      const subtitleArgs = this.buildSoftSubtitleArgs(args, subtitles.filter(subtitle => subtitle.mode === 'soft'), inputIndex, normalizedOutputPath);
+
+      args.push('-filter_complex', filterComplex.join(';'));
+      args.push('-map', '[outv]');
+      if (audioLabels.length > 0) {
+        args.push('-map', '[outa]');
+      }
+      args.push(...this.buildCodecArgs(settings, audioLabels.length > 0));
+      args.push(...subtitleArgs);
+      args.push('-t', String(totalDuration));
+      args.push(normalizedOutputPath);
+
+      try {
+        const result = await this.executeFFmpeg(args, {
+          duration: totalDuration,
+          priority: options.priority,
+          onStart: options.onStart,
+          signal: options.signal,
+          onProgress: options.onProgress
+        });
+        console.log('时间线合成完成:', normalizedOutputPath);
+        return { command: result.command, outputPath: normalizedOutputPath, duration: totalDuration };
+      } catch (error) {
+        if (fs.existsSync(normalizedOutputPath)) {
+          try {
+            fs.unlinkSync(normalizedOutputPath);
+          } catch (e) {
+            console.warn('删除未完成的输出文件失败:', e.message);
+          }
+        }
+        if (error.code === 'CANCELLED') {
+          throw error;
+        }
+        throw new Error(`FFmpeg 时间线合成失败: ${error.message}`);
+      }
+    } finally {
+      this.removeTextFiles(textFiles);
     }
   }
 }
 
+
 module.exports = new FFmpeg();
+module.exports.createCancelledError = createCancelledError;
+module.exports.XFADE_TRANSITIONS = XFADE_TRANSITIONS;
+module.exports.TIMELINE_TRANSITIONS = TIMELINE_TRANSITIONS;
+module.exports.IMAGE_MOTIONS = IMAGE_MOTIONS;
+module.exports.TEXT_ANIMATIONS = TEXT_ANIMATIONS;
+module.exports.COLOR_PATTERN = COLOR_PATTERN;
+module.exports.SUBTITLE_FORMATS = SUBTITLE_FORMATS;
+module.exports.AUDIO_ROLES = AUDIO_ROLES;
+module.exports.LOUDNORM_DEFAULTS = LOUDNORM_DEFAULTS;
+module.exports.LOUDNORM_RANGES = LOUDNORM_RANGES;
+module.exports.DUCKING_RANGES = DUCKING_RANGES;
@@ -0,0 +1,256 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+
+// 任务状态
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  DOWNLOADING: 'downloading',
+  ENCODING: 'encoding',
+  DONE: 'done',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+// 已结束任务的保留时长和最大数量（避免内存无限增长）
+const FINISHED_JOB_TTL = 60 * 60 * 1000;
+const MAX_FINISHED_JOBS = 500;
+
+class JobManager extends EventEmitter {
+  constructor() {
+    super();
+    this.jobs = new Map();
+    // 每个 SSE 连接都会注册监听器，不限制监听器数量
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * 创建任务
+   * @param {String} type - 任务类型（compose / process / batch）
+   * @param {Object} meta - 附加信息，会原样出现在任务详情中
+   */
+  create(type, meta = {}) {
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      status: JOB_STATUS.QUEUED,
+      progress: 0,
+      meta,
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    };
+    // 取消信号，传给下载和 FFmpeg 执行
+    const controller = new AbortController();
+    Object.defineProperty(job, 'controller', { value: controller });
+    Object.defineProperty(job, 'signal', { value: controller.signal });
+    this.jobs.set(job.id, job);
+    this.prune();
+    return job;
+  }
+
+  /**
+   * 获取任务
+   */
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * 未结束（排队/下载/编码中）的任务数
+   */
+  pendingCount() {
+    let count = 0;
+    for (const job of this.jobs.values()) {
+      if (!this.isFinished(job)) {
+        count++;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * 更新任务字段并触发 update 事件
+   */
+  update(id, fields) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      return null;
+    }
+    Object.assign(job, fields);
+    this.emit('update', job);
+    return job;
+  }
+
+  /**
+   * 更新任务进度（0-100）
+   * @param {Object} stats - 编码统计 {frame, fps, speed, bitrate, eta}（可选）
+   */
+  setProgress(id, percent, stats) {
+    const fields = { progress: Math.max(0, Math.min(100, Math.round(percent * 10) / 10)) };
+    if (stats) {
+      fields.stats = {
+        frame: stats.frame,
+        fps: stats.fps,
+        speed: stats.speed,
+        bitrate: stats.bitrate,
+        eta: stats.eta !== null && stats.eta !== undefined ? Math.round(stats.eta) : null
+      };
+    }
+    return this.update(id, fields);
+  }
+
+  /**
+   * 取消任务：标记为已取消并发出取消信号，正在运行的 handler 负责清理
+   * @returns {Boolean} 任务已结束时返回 false
+   */
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job || this.isFinished(job)) {
+      return false;
+    }
+    this.update(id, {
+      status: JOB_STATUS.CANCELLED,
+      finishedAt: new Date().toISOString()
+    });
+    job.controller.abort();
+    return true;
+  }
+
+  /**
+   * 任务已取消时抛出错误，用于在各步骤之间中断执行
+   */
+  throwIfCancelled(job) {
+    if (job.signal.aborted) {
+      const error = new Error('任务已取消');
+      error.code = 'CANCELLED';
+      throw error;
+    }
+  }
+
+  /**
+   * 任务是否已结束（完成、失败或取消）
+   */
+  isFinished(job) {
+    return Boolean(job.finishedAt);
+  }
+
+  /**
+   * 等待任务结束（完成、失败或取消），返回任务本身
+   */
+  wait(job) {
+    if (this.isFinished(job)) {
+      return Promise.resolve(job);
+    }
+    return new Promise(resolve => {
+      const onUpdate = (updated) => {
+        if (updated.id === job.id && this.isFinished(updated)) {
+          this.removeListener('update', onUpdate);
+          resolve(updated);
+        }
+      };
+      this.on('update', onUpdate);
+    });
+  }
+
+  /**
+   * 异步执行任务，handler 的返回值作为任务结果
+   * @param {Object} job - 任务
+   * @param {Function} handler - async (job) => result
+   */
+  run(job, handler) {
+    setImmediate(async () => {
+      if (job.signal.aborted) {
+        return;
+      }
+      this.update(job.id, { startedAt: new Date().toISOString() });
+      try {
+        const result = await handler(job);
+        // 已取消的任务保持 cancelled 状态
+        if (job.signal.aborted) {
+          return;
+        }
+        this.update(job.id, {
+          status: JOB_STATUS.DONE,
+          progress: 100,
+          result,
+          finishedAt: new Date().toISOString()
+        });
+      } catch (error) {
+        if (job.signal.aborted) {
+          console.log(`[任务 ${job.id}] 已取消`);
+          return;
+        }
+        console.error(`[任务 ${job.id}] 执行失败:`, error.message);
+        this.update(job.id, {
+          status: JOB_STATUS.FAILED,
+          error: error.message,
+          details: error.details,
+          finishedAt: new Date().toISOString()
+        });
+      }
+    });
+    return job;
+  }
+
+  /**
+   * 清理过期的已结束任务
+   */
+  prune() {
+    const now = Date.now();
+    const finished = [];
+    for (const job of this.jobs.values()) {
+      if (job.finishedAt) {
+        if (now - new Date(job.finishedAt).getTime() > FINISHED_JOB_TTL) {
+          this.jobs.delete(job.id);
+        } else {
+          finished.push(job);
+        }
+      }
+    }
+    // Map 按插入顺序遍历，超出上限时删除最早的任务
+    const overflow = finished.length - MAX_FINISHED_JOBS;
+    for (let i = 0; i < overflow; i++) {
+      this.jobs.delete(finished[i].id);
+    }
+  }
+
+  /**
+   * 转换为接口返回的格式
+   */
+  toJSON(job) {
+    const data = {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      progress: job.progress,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      ...job.meta
+    };
+    if (job.stats) {
+      data.stats = job.stats;
+    }
+    if (job.result) {
+      Object.assign(data, job.result);
+    }
+    if (job.downloads) {
+      data.downloads = job.downloads;
+    }
+    if (job.webhook) {
+      data.webhook = job.webhook;
+    }
+    if (job.error) {
+      data.error = job.error;
+      if (job.details) {
+        data.details = job.details;
+      }
+    }
+    return data;
+  }
+}
+
+module.exports = new JobManager();
+module.exports.JOB_STATUS = JOB_STATUS;
@@ -0,0 +1,123 @@
+const os = require('os');
+
+/**
+ * 创建任务取消错误（code 为 CANCELLED）
+ */
+function createCancelledError() {
+  const error = new Error('任务已取消');
+  error.code = 'CANCELLED';
+  return error;
+}
+
+/**
+ * 并发受限的任务池：限制同时运行的 FFmpeg 进程数，超出的任务按优先级排队
+ */
+class WorkerPool {
+  constructor(options = {}) {
+    this.maxConcurrent = Math.max(1, parseInt(options.maxConcurrent) || 1);
+    this.maxQueued = Math.max(0, parseInt(options.maxQueued) || 0);
+    this.running = 0;
+    this.queue = [];
+    this._seq = 0;
+  }
+
+  /**
+   * 在池中执行任务
+   * @param {Function} task - async () => result
+   * @param {Object} options - 选项 {priority: 数值越大越优先，默认 0, signal: 取消信号，排队期间取消时移出队列}
+   */
+  run(task, options = {}) {
+    return new Promise((resolve, reject) => {
+      const signal = options.signal;
+      if (signal && signal.aborted) {
+        reject(createCancelledError());
+        return;
+      }
+
+      const entry = {
+        task,
+        resolve,
+        reject,
+        priority: Number(options.priority) || 0,
+        seq: this._seq++
+      };
+
+      if (this.running < this.maxConcurrent) {
+        this._start(entry);
+        return;
+      }
+
+      if (this.queue.length >= this.maxQueued) {
+        const error = new Error(`任务队列已满（最多排队 ${this.maxQueued} 个）`);
+        error.code = 'QUEUE_FULL';
+        reject(error);
+        return;
+      }
+
+      // 按优先级降序插入，同优先级保持先进先出
+      let index = this.queue.findIndex(item => item.priority < entry.priority);
+      if (index === -1) {
+        index = this.queue.length;
+      }
+      this.queue.splice(index, 0, entry);
+
+      // 排队期间取消时立即移出队列，不再占用排队名额
+      if (signal) {
+        entry.signal = signal;
+        entry.onAbort = () => {
+          const position = this.queue.indexOf(entry);
+          if (position !== -1) {
+            this.queue.splice(position, 1);
+            reject(createCancelledError());
+          }
+        };
+        signal.addEventListener('abort', entry.onAbort, { once: true });
+      }
+    });
+  }
+
+  /**
+   * 池的总容量（运行中 + 排队）
+   */
+  capacity() {
+    return this.maxConcurrent + this.maxQueued;
+  }
+
+  /**
+   * 当前状态
+   */
+  stats() {
+    return {
+      maxConcurrent: this.maxConcurrent,
+      maxQueued: this.maxQueued,
+      running: this.running,
+      queued: this.queue.length
+    };
+  }
+
+  _start(entry) {
+    if (entry.signal) {
+      entry.signal.removeEventListener('abort', entry.onAbort);
+    }
+    this.running++;
+    Promise.resolve()
+      .then(() => entry.task())
+      .then(entry.resolve, entry.reject)
+      .finally(() => {
+        this.running--;
+        const next = this.queue.shift();
+        if (next) {
+          this._start(next);
+        }
+      });
+  }
+}
+
+// 默认并发数为 CPU 核数的一半（至少 1），可通过环境变量配置
+const defaultConcurrent = Math.max(1, Math.floor(os.cpus().length / 2));
+
+module.exports = new WorkerPool({
+  maxConcurrent: process.env.FFMPEG_MAX_CONCURRENT || defaultConcurrent,
+  maxQueued: process.env.FFMPEG_MAX_QUEUED !== undefined ? process.env.FFMPEG_MAX_QUEUED : 20
+});
+module.exports.WorkerPool = WorkerPool;
@@ -0,0 +1,334 @@
+const fs = require('fs');
+const path = require('path');
+const builtinPresets = require('./presets.json');
+const { DUCKING_RANGES, LOUDNORM_RANGES } = require('./ffmpeg');
+
+// 预设名称：字母或数字开头，可包含字母、数字、- 和 _
+const PRESET_NAME_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9_-]{0,63}$/;
+
+// x264/x265 的编码速度预设
+const VIDEO_PRESETS = ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'];
+
+/**
+ * 将 {字段: [min, max]} 形式的取值范围转换为数字字段的校验规则
+ */
+function numberProperties(ranges) {
+  const properties = {};
+  Object.entries(ranges).forEach(([key, [min, max]]) => {
+    properties[key] = { type: 'number', min, max };
+  });
+  return properties;
+}
+
+// 预设中允许的合成选项（与 composeVideo 的 options 一致）：{type, min, max, pattern, enum, properties}
+// properties 为对象值中各字段的规则
+const OPTION_SCHEMA = {
+  format: { type: 'string', pattern: /^[a-z0-9]{2,8}$/ },
+  width: { type: 'integer', min: 16, max: 7680 },
+  height: { type: 'integer', min: 16, max: 7680 },
+  resolution: { type: 'string', pattern: /^\d+x\d+$/ },
+  fps: { type: 'number', min: 1, max: 120 },
+  videoCodec: { type: 'string', pattern: /^[a-z0-9_]+$/ },
+  videoPreset: { type: 'string', enum: VIDEO_PRESETS },
+  videoCrf: { type: 'number', min: 0, max: 51 },
+  videoBitrate: { type: 'string', pattern: /^\d+(\.\d+)?[kKmM]?$/ },
+  videoProfile: { type: ['string', 'integer'] },
+  pixelFormat: { type: 'string', pattern: /^[a-z0-9_]+$/ },
+  audioCodec: { type: 'string', pattern: /^[a-z0-9_]+$/ },
+  audioBitrate: { type: 'string', pattern: /^\d+(\.\d+)?[kKmM]?$/ },
+  audioSampleRate: { type: 'integer', min: 8000, max: 192000 },
+  audioChannels: { type: 'integer', min: 1, max: 8 },
+  backgroundColor: { type: 'string', pattern: /^#[0-9a-fA-F]{6}$/ },
+  keepClipAudio: { type: 'boolean' },
+  clipAudioRole: { type: 'string', enum: ['music', 'voice', 'sfx'] },
+  ducking: { type: ['boolean', 'object'], properties: numberProperties(DUCKING_RANGES) },
+  loudnorm: { type: ['boolean', 'object'], properties: numberProperties(LOUDNORM_RANGES) }
+};
+
+/**
+ * 创建带错误码的预设错误
+ */
+function createPresetError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * 判断值是否符合类型（integer 为整数，object 不含数组和 null）
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * 按规则校验单个选项，对象值按 properties 逐个字段校验
+ * @returns {String|null} 错误信息
+ */
+function checkOption(key, value, rule) {
+  if (!rule) {
+    return `不支持的选项: ${key}`;
+  }
+  const types = Array.isArray(rule.type) ? rule.type : [rule.type];
+  if (!types.some(type => matchesType(value, type))) {
+    return `选项 ${key} 的类型必须是 ${types.join(' 或 ')}`;
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `选项 ${key} 必须是 ${rule.enum.join('、')} 之一`;
+  }
+  if (rule.pattern && !rule.pattern.test(value)) {
+    return `选项 ${key} 的格式不正确: ${value}`;
+  }
+  if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+    return `选项 ${key} 必须在 ${rule.min} 到 ${rule.max} 之间`;
+  }
+  if (rule.properties && matchesType(value, 'object')) {
+    for (const field of Object.keys(value)) {
+      const invalid = checkOption(`${key}.${field}`, value[field], rule.properties[field]);
+      if (invalid) {
+        return invalid;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * 输出预设：按目标平台预先配置的分辨率、帧率和编码参数，请求中的同名字段优先
+ * 内置预设来自 presets.json，用户预设保存在数据目录的 JSON 文件中
+ */
+class PresetManager {
+  constructor() {
+    this.builtin = builtinPresets;
+    this.user = {};
+    this.storagePath = null;
+  }
+
+  /**
+   * 设置用户预设的存储文件并加载
+   */
+  setStorage(storagePath) {
+    this.storagePath = storagePath;
+    this.user = {};
+    if (!fs.existsSync(storagePath)) {
+      return;
+    }
+    try {
+      this.user = JSON.parse(fs.readFileSync(storagePath, 'utf8')) || {};
+    } catch (error) {
+      console.error(`读取用户预设失败: ${storagePath}`, error.message);
+    }
+  }
+
+  /**
+   * 写入用户预设（先写临时文件再重命名，避免写入中断导致文件损坏）
+   */
+  save() {
+    if (!this.storagePath) {
+      return;
+    }
+    fs.mkdirSync(path.dirname(this.storagePath), { recursive: true });
+    const tempPath = `${this.storagePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.user, null, 2));
+    fs.renameSync(tempPath, this.storagePath);
+  }
+
+  /**
+   * 预设列表（内置预设在前）
+   */
+  list() {
+    return [...Object.keys(this.builtin), ...Object.keys(this.user)].map(name => this.get(name));
+  }
+
+  /**
+   * 获取预设，不存在时返回 null
+   */
+  get(name) {
+    const has = (presets) => Object.prototype.hasOwnProperty.call(presets, name);
+    const builtin = has(this.builtin);
+    const preset = builtin ? this.builtin[name] : has(this.user) ? this.user[name] : null;
+    if (!preset) {
+      return null;
+    }
+    const data = {
+      name,
+      label: preset.label || name,
+      description: preset.description || '',
+      builtin,
+      options: { ...preset.options }
+    };
+    if (!builtin) {
+      data.createdAt = preset.createdAt;
+      data.updatedAt = preset.updatedAt;
+    }
+    return data;
+  }
+
+  /**
+   * 校验预设选项是否符合合成选项的格式
+   * @returns {String|null} 错误信息
+   */
+  validateOptions(options) {
+    if (!matchesType(options, 'object')) {
+      return 'options 必须是对象';
+    }
+    const keys = Object.keys(options);
+    if (keys.length === 0) {
+      return 'options 不能为空';
+    }
+    for (const key of keys) {
+      const invalid = checkOption(key, options[key], OPTION_SCHEMA[key]);
+      if (invalid) {
+        return invalid;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 校验合并预设后的合成选项：忽略 preset 字段和未填写（undefined、null、空字符串）的字段，允许为空
+   * @returns {String|null} 错误信息
+   */
+  validateComposeOptions(options) {
+    const filled = {};
+    Object.keys(options).forEach(key => {
+      const value = options[key];
+      if (key !== 'preset' && value !== undefined && value !== null && value !== '') {
+        filled[key] = value;
+      }
+    });
+    return Object.keys(filled).length > 0 ? this.validateOptions(filled) : null;
+  }
+
+  /**
+   * 校验并整理用户预设的内容 {label, description, options}
+   */
+  normalizeUserPreset(data, name) {
+    const invalid = this.validateOptions(data.options);
+    if (invalid) {
+      throw createPresetError(invalid, 'INVALID_PRESET');
+    }
+    if (data.label !== undefined && typeof data.label !== 'string') {
+      throw createPresetError('label 必须是字符串', 'INVALID_PRESET');
+    }
+    if (data.description !== undefined && typeof data.description !== 'string') {
+      throw createPresetError('description 必须是字符串', 'INVALID_PRESET');
+    }
+    return {
+      label: (data.label || '').trim() || name,
+      description: (data.description || '').trim(),
+      options: { ...data.options }
+    };
+  }
+
+  /**
+   * 新建用户预设
+   */
+  create(name, data = {}) {
+    if (typeof name !== 'string' || !PRESET_NAME_PATTERN.test(name)) {
+      throw createPresetError('预设名称只能包含字母、数字、- 和 _，且以字母或数字开头（最多 64 个字符）', 'INVALID_PRESET');
+    }
+    if (this.get(name)) {
+      throw createPresetError(`预设已存在: ${name}`, 'PRESET_EXISTS');
+    }
+    const now = new Date().toISOString();
+    this.user[name] = { ...this.normalizeUserPreset(data, name), createdAt: now, updatedAt: now };
+    this.save();
+    return this.get(name);
+  }
+
+  /**
+   * 更新用户预设（整体替换 label、description 和 options）
+   */
+  update(name, data = {}) {
+    this.assertUserPreset(name, '修改');
+    this.user[name] = {
+      ...this.normalizeUserPreset(data, name),
+      createdAt: this.user[name].createdAt,
+      updatedAt: new Date().toISOString()
+    };
+    this.save();
+    return this.get(name);
+  }
+
+  /**
+   * 删除用户预设
+   */
+  remove(name) {
+    this.assertUserPreset(name, '删除');
+    delete this.user[name];
+    this.save();
+  }
+
+  /**
+   * 确认预设存在且为用户预设（内置预设不能修改或删除）
+   */
+  assertUserPreset(name, action) {
+    const preset = this.get(name);
+    if (!preset) {
+      throw createPresetError(`预设不存在: ${name}`, 'PRESET_NOT_FOUND');
+    }
+    if (preset.builtin) {
+      throw createPresetError(`内置预设不能${action}: ${name}`, 'PRESET_BUILTIN');
+    }
+  }
+
+  /**
+   * 将 options.preset 指定的预设展开为合成选项，options 中的其他字段逐项覆盖预设
+   * @returns {Object} 合并后的选项（未指定预设时原样复制）
+   */
+  resolve(options = {}) {
+    if (!options.preset) {
+      return { ...options };
+    }
+    const preset = this.get(options.preset);
+    if (!preset) {
+      throw createPresetError(`预设不存在: ${options.preset}`, 'PRESET_NOT_FOUND');
+    }
+    const overrides = {};
+    Object.keys(options).forEach(key => {
+      if (options[key] !== undefined && options[key] !== null) {
+        overrides[key] = options[key];
+      }
+    });
+    return { ...preset.options, ...overrides };
+  }
+
+  /**
+   * 将预设选项转换为 convert 操作的参数（分辨率按比例缩放并补边）
+   */
+  toConvertParams(options) {
+    const params = {
+      format: options.format,
+      videoCodec: options.videoCodec,
+      videoPreset: options.videoPreset,
+      videoCrf: options.videoCrf,
+      videoBitrate: options.videoBitrate,
+      videoProfile: options.videoProfile,
+      pixelFormat: options.pixelFormat,
+      fps: options.fps,
+      audioCodec: options.audioCodec,
+      audioBitrate: options.audioBitrate,
+      audioSampleRate: options.audioSampleRate,
+      audioChannels: options.audioChannels
+    };
+    if (options.width && options.height) {
+      params.size = `${options.width}x${options.height}`;
+      params.scaleMode = 'fit';
+    }
+    Object.keys(params).forEach(key => params[key] === undefined && delete params[key]);
+    return params;
+  }
+}
+
+module.exports = new PresetManager();
+module.exports.OPTION_SCHEMA = OPTION_SCHEMA;
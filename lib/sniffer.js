@@ -0,0 +1,277 @@
+const fs = require('fs');
+const path = require('path');
+const ffmpeg = require('./ffmpeg');
+
+// 读取文件开头的字节数（足够识别常见格式的文件头和字幕文件的第一条记录）
+const HEADER_SIZE = 4096;
+
+// 扩展名对应的资源类型和 MIME 类型（URL 或文件名带扩展名时作为识别依据之一）
+const EXTENSIONS = {
+  '.jpg': { type: 'image', mime: 'image/jpeg' },
+  '.jpeg': { type: 'image', mime: 'image/jpeg' },
+  '.png': { type: 'image', mime: 'image/png' },
+  '.gif': { type: 'image', mime: 'image/gif' },
+  '.webp': { type: 'image', mime: 'image/webp' },
+  '.bmp': { type: 'image', mime: 'image/bmp' },
+  '.tif': { type: 'image', mime: 'image/tiff' },
+  '.tiff': { type: 'image', mime: 'image/tiff' },
+  '.avif': { type: 'image', mime: 'image/avif' },
+  '.heic': { type: 'image', mime: 'image/heic' },
+  '.mp4': { type: 'video', mime: 'video/mp4' },
+  '.m4v': { type: 'video', mime: 'video/mp4' },
+  '.mov': { type: 'video', mime: 'video/quicktime' },
+  '.avi': { type: 'video', mime: 'video/x-msvideo' },
+  '.mkv': { type: 'video', mime: 'video/x-matroska' },
+  '.webm': { type: 'video', mime: 'video/webm' },
+  '.flv': { type: 'video', mime: 'video/x-flv' },
+  '.3gp': { type: 'video', mime: 'video/3gpp' },
+  '.wmv': { type: 'video', mime: 'video/x-ms-wmv' },
+  '.ts': { type: 'video', mime: 'video/mp2t' },
+  '.mpg': { type: 'video', mime: 'video/mpeg' },
+  '.mp3': { type: 'audio', mime: 'audio/mpeg' },
+  '.wav': { type: 'audio', mime: 'audio/wav' },
+  '.aac': { type: 'audio', mime: 'audio/aac' },
+  '.m4a': { type: 'audio', mime: 'audio/mp4' },
+  '.ogg': { type: 'audio', mime: 'audio/ogg' },
+  '.opus': { type: 'audio', mime: 'audio/opus' },
+  '.flac': { type: 'audio', mime: 'audio/flac' },
+  '.srt': { type: 'subtitle', mime: 'application/x-subrip' },
+  '.vtt': { type: 'subtitle', mime: 'text/vtt' },
+  '.ass': { type: 'subtitle', mime: 'text/x-ssa' },
+  '.ssa': { type: 'subtitle', mime: 'text/x-ssa' }
+};
+
+// Content-Type 对应的扩展名
+const MIME_EXTENSIONS = {
+  'image/jpg': '.jpg',
+  'image/heif': '.heic',
+  'audio/mp3': '.mp3',
+  'audio/x-wav': '.wav',
+  'video/avi': '.avi'
+};
+Object.entries(EXTENSIONS).forEach(([ext, { mime }]) => {
+  if (!(mime in MIME_EXTENSIONS)) {
+    MIME_EXTENSIONS[mime] = ext;
+  }
+});
+
+// ISO BMFF（ftyp）主品牌：纯音频和 QuickTime 单独识别，其余按 MP4 视频处理
+const FTYP_BRANDS = {
+  'M4A ': '.m4a',
+  'M4B ': '.m4a',
+  'qt  ': '.mov'
+};
+
+// HEIF 图片品牌，主品牌或兼容品牌中出现即为图片；AVIF 也带 mif1/msf1 兼容品牌，优先识别
+const FTYP_IMAGE_BRANDS = [
+  [['avif', 'avis'], '.avif'],
+  [['heic', 'heix', 'mif1', 'msf1'], '.heic']
+];
+
+/**
+ * 从指定位置比较字节
+ */
+function startsWith(buffer, bytes, offset = 0) {
+  if (buffer.length < offset + bytes.length) {
+    return false;
+  }
+  return bytes.every((byte, i) => buffer[offset + i] === byte);
+}
+
+/**
+ * 从指定位置比较 ASCII 字符串
+ */
+function startsWithText(buffer, text, offset = 0) {
+  return buffer.toString('latin1', offset, offset + text.length) === text;
+}
+
+/**
+ * 根据 ftyp 盒的主品牌（8-12 字节）和兼容品牌（16 字节起到盒结束）识别 ISO BMFF 文件
+ */
+function detectFtyp(buffer) {
+  const major = buffer.toString('latin1', 8, 12);
+  if (FTYP_BRANDS[major]) {
+    return FTYP_BRANDS[major];
+  }
+  const brands = [major];
+  const boxEnd = Math.min(buffer.length >= 4 ? buffer.readUInt32BE(0) : 0, buffer.length);
+  for (let offset = 16; offset + 4 <= boxEnd; offset += 4) {
+    brands.push(buffer.toString('latin1', offset, offset + 4));
+  }
+  const image = FTYP_IMAGE_BRANDS.find(([names]) => names.some(name => brands.includes(name)));
+  return image ? image[1] : '.mp4';
+}
+
+// 文件头特征，按顺序匹配，返回扩展名
+const SIGNATURES = [
+  buffer => startsWith(buffer, [0xFF, 0xD8, 0xFF]) && '.jpg',
+  buffer => startsWith(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]) && '.png',
+  buffer => (startsWithText(buffer, 'GIF87a') || startsWithText(buffer, 'GIF89a')) && '.gif',
+  buffer => startsWithText(buffer, 'RIFF') && startsWithText(buffer, 'WEBP', 8) && '.webp',
+  buffer => startsWithText(buffer, 'RIFF') && startsWithText(buffer, 'WAVE', 8) && '.wav',
+  buffer => startsWithText(buffer, 'RIFF') && startsWithText(buffer, 'AVI ', 8) && '.avi',
+  buffer => (startsWith(buffer, [0x49, 0x49, 0x2A, 0x00]) || startsWith(buffer, [0x4D, 0x4D, 0x00, 0x2A])) && '.tif',
+  buffer => startsWithText(buffer, 'ftyp', 4) && detectFtyp(buffer),
+  // Matroska 的 DocType 在 EBML 头中，webm 和 mkv 共用文件头
+  buffer => startsWith(buffer, [0x1A, 0x45, 0xDF, 0xA3]) && (buffer.subarray(0, 64).includes('webm', 0, 'latin1') ? '.webm' : '.mkv'),
+  buffer => startsWithText(buffer, 'FLV\x01') && '.flv',
+  buffer => startsWith(buffer, [0x30, 0x26, 0xB2, 0x75, 0x8E, 0x66, 0xCF, 0x11]) && '.wmv',
+  buffer => buffer.length >= 189 && buffer[0] === 0x47 && buffer[188] === 0x47 && '.ts',
+  buffer => startsWith(buffer, [0x00, 0x00, 0x01, 0xBA]) && '.mpg',
+  buffer => startsWithText(buffer, 'OggS') && (buffer.indexOf('OpusHead', 0, 'latin1') !== -1 ? '.opus' : '.ogg'),
+  buffer => startsWithText(buffer, 'fLaC') && '.flac',
+  buffer => startsWithText(buffer, 'ID3') && '.mp3',
+  // ADTS（AAC）和 MPEG 音频帧同步字，需在 JPEG 之后判断
+  buffer => buffer.length >= 2 && buffer[0] === 0xFF && (buffer[1] & 0xF6) === 0xF0 && '.aac',
+  buffer => buffer.length >= 2 && buffer[0] === 0xFF && (buffer[1] & 0xE0) === 0xE0 && '.mp3',
+  buffer => startsWith(buffer, [0x42, 0x4D]) && buffer.length >= 26 && buffer.readUInt32LE(2) > 26 && '.bmp'
+];
+
+// 文本字幕：去掉 BOM 和开头的空白后按内容识别
+const TEXT_SIGNATURES = [
+  text => /^WEBVTT(\s|$)/.test(text) && '.vtt',
+  text => /^\[Script Info\]/i.test(text) && '.ass',
+  text => /^\d+\r?\n\d{1,2}:\d{2}:\d{2}[,.]\d{1,3}\s*-->\s*\d{1,2}:\d{2}:\d{2}[,.]\d{1,3}/.test(text) && '.srt'
+];
+
+// 同一种文件头既可能是视频也可能只有音频的格式，需要 ffprobe 确认
+const CONTAINER_EXTENSIONS = ['.mp4', '.mov', '.mkv', '.webm', '.ogg', '.avi', '.flv', '.wmv', '.ts', '.mpg', '.m4a'];
+
+// ffprobe 识别为单张图片的格式
+const IMAGE_FORMATS = /^(image2|\w+_pipe|gif|webp|bmp|tiff|heif)$/;
+
+/**
+ * 资源类型识别：根据文件头（magic bytes）判断格式，再用 ffprobe 确认容器中实际包含的流
+ * 只有 URL 扩展名或 Content-Type 时容易误判（如 CDN 地址没有扩展名），识别结果以文件内容为准
+ */
+class ContentSniffer {
+  /**
+   * 扩展名对应的资源类型，未知扩展名返回 null
+   */
+  getTypeByExtension(ext) {
+    const entry = EXTENSIONS[String(ext || '').toLowerCase()];
+    return entry ? entry.type : null;
+  }
+
+  /**
+   * Content-Type 对应的扩展名（忽略参数部分），未知类型返回 null
+   */
+  getExtensionByMime(contentType) {
+    const mime = String(contentType || '').split(';')[0].trim().toLowerCase();
+    return MIME_EXTENSIONS[mime] || null;
+  }
+
+  /**
+   * 根据文件开头的字节识别格式
+   * @returns {Object|null} {type, ext, mime}，无法识别时返回 null
+   */
+  detectBuffer(buffer) {
+    let ext = null;
+    for (const match of SIGNATURES) {
+      ext = match(buffer);
+      if (ext) {
+        break;
+      }
+    }
+    if (!ext) {
+      const text = buffer.toString('utf8').replace(/^\uFEFF/, '').trimStart();
+      for (const match of TEXT_SIGNATURES) {
+        ext = match(text);
+        if (ext) {
+          break;
+        }
+      }
+    }
+    return ext ? { ext, ...EXTENSIONS[ext] } : null;
+  }
+
+  /**
+   * 读取文件开头的字节并识别格式
+   */
+  async detectFile(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+      const buffer = Buffer.alloc(HEADER_SIZE);
+      const { bytesRead } = await handle.read(buffer, 0, HEADER_SIZE, 0);
+      return this.detectBuffer(buffer.subarray(0, bytesRead));
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * 根据 ffprobe 的结果判断资源类型
+   */
+  getTypeByProbe(info) {
+    if (!info) {
+      return null;
+    }
+    const formats = String(info.format || '').split(',');
+    if (info.video && formats.some(format => IMAGE_FORMATS.test(format))) {
+      return 'image';
+    }
+    if (info.video) {
+      return 'video';
+    }
+    if (info.audio) {
+      return 'audio';
+    }
+    if (info.streams.some(stream => stream.type === 'subtitle')) {
+      return 'subtitle';
+    }
+    return null;
+  }
+
+  /**
+   * 识别资源类型：先看文件头，容器格式和无法识别的文件再用 ffprobe 确认，最后才参考扩展名和 Content-Type
+   * @param {String} filePath - 文件路径
+   * @param {Object} hints - {filename: 原始文件名或 URL 路径, contentType: 响应的 Content-Type}
+   * @returns {Object} {type, ext, mime, format, detectedBy, info}，type 为 unknown 时表示无法识别
+   */
+  async inspect(filePath, hints = {}) {
+    const detected = await this.detectFile(filePath);
+    const result = {
+      type: detected ? detected.type : 'unknown',
+      ext: detected ? detected.ext : null,
+      mime: detected ? detected.mime : null,
+      format: null,
+      detectedBy: detected ? 'magic' : null,
+      info: null
+    };
+
+    // 图片和字幕的文件头已经足够确定类型；容器可能只有音轨，未识别的文件交给 ffprobe
+    if (!detected || CONTAINER_EXTENSIONS.includes(detected.ext) || detected.type === 'audio') {
+      const info = await ffmpeg.tryProbe(filePath);
+      const probedType = this.getTypeByProbe(info);
+      if (info) {
+        result.info = info;
+        result.format = info.format;
+      }
+      if (probedType && probedType !== result.type) {
+        result.type = probedType;
+        result.detectedBy = 'ffprobe';
+      }
+    } else if (detected.type === 'image') {
+      result.info = await ffmpeg.tryProbe(filePath);
+      result.format = result.info ? result.info.format : null;
+    }
+
+    if (result.type === 'unknown') {
+      const ext = path.extname(hints.filename || '').toLowerCase();
+      const hintedExt = this.getTypeByExtension(ext) ? ext : this.getExtensionByMime(hints.contentType);
+      if (hintedExt) {
+        result.type = EXTENSIONS[hintedExt].type;
+        result.ext = hintedExt;
+        result.mime = EXTENSIONS[hintedExt].mime;
+        result.detectedBy = hintedExt === ext ? 'extension' : 'content-type';
+      }
+    } else if (result.type === 'audio' && result.ext && EXTENSIONS[result.ext].type === 'video') {
+      // 只有音轨的视频容器（如 mp4 中的 AAC）
+      result.mime = result.mime.replace(/^video\//, 'audio/');
+    }
+    return result;
+  }
+}
+
+module.exports = new ContentSniffer();
+module.exports.ContentSniffer = ContentSniffer;
@@ -0,0 +1,286 @@
+const fs = require('fs');
+const path = require('path');
+
+// 模板名称即文件名：字母或数字开头，可包含字母、数字、- 和 _
+const TEMPLATE_NAME_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9_-]{0,63}$/;
+
+// 占位符 {{name}}，名称为字母、数字和下划线
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*\}\}/g;
+
+// 整个字符串只有一个占位符时，替换为变量的原始值（保留数字、布尔等类型）
+const SINGLE_PLACEHOLDER_PATTERN = /^\{\{\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*\}\}$/;
+
+/**
+ * 创建带错误码的模板错误
+ */
+function createTemplateError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * 递归收集值中出现的占位符名称
+ */
+function collectPlaceholders(value, names = new Set()) {
+  if (typeof value === 'string') {
+    for (const match of value.matchAll(PLACEHOLDER_PATTERN)) {
+      names.add(match[1]);
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectPlaceholders(item, names));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => collectPlaceholders(item, names));
+  }
+  return names;
+}
+
+/**
+ * 递归替换占位符
+ */
+function substitute(value, variables) {
+  if (typeof value === 'string') {
+    const single = value.match(SINGLE_PLACEHOLDER_PATTERN);
+    if (single) {
+      return variables[single[1]];
+    }
+    return value.replace(PLACEHOLDER_PATTERN, (match, name) => {
+      const replacement = variables[name];
+      return typeof replacement === 'object' ? JSON.stringify(replacement) : String(replacement);
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => substitute(item, variables));
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    Object.keys(value).forEach(key => {
+      result[key] = substitute(value[key], variables);
+    });
+    return result;
+  }
+  return value;
+}
+
+/**
+ * 合成模板：template 目录中的 JSON 文件，内容为带 {{变量}} 占位符的时间线（或资源列表）和输出选项
+ * {label, description, variables: {name: {description, default}}, timeline | resources, options}
+ */
+class TemplateManager {
+  constructor() {
+    this.directory = null;
+  }
+
+  /**
+   * 设置模板目录
+   */
+  setDirectory(directory) {
+    this.directory = directory;
+  }
+
+  /**
+   * 模板文件路径（名称不合法时抛出错误，防止访问模板目录以外的文件）
+   */
+  getPath(name) {
+    if (typeof name !== 'string' || !TEMPLATE_NAME_PATTERN.test(name)) {
+      throw createTemplateError('模板名称只能包含字母、数字、- 和 _，且以字母或数字开头（最多 64 个字符）', 'INVALID_TEMPLATE');
+    }
+    return path.join(this.directory, `${name}.json`);
+  }
+
+  /**
+   * 读取模板文件，不存在时返回 null
+   */
+  async read(name) {
+    const filePath = this.getPath(name);
+    let content;
+    try {
+      content = await fs.promises.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      throw createTemplateError(`模板 ${name} 不是有效的 JSON: ${error.message}`, 'INVALID_TEMPLATE');
+    }
+  }
+
+  /**
+   * 模板变量列表：声明的变量和内容中出现的占位符
+   */
+  describeVariables(template) {
+    const declared = template.variables || {};
+    const used = collectPlaceholders({ timeline: template.timeline, resources: template.resources, options: template.options });
+    const names = new Set([...Object.keys(declared), ...used]);
+    return [...names].map(name => {
+      const variable = declared[name] || {};
+      return {
+        name,
+        description: variable.description || '',
+        default: variable.default,
+        required: variable.default === undefined && used.has(name)
+      };
+    });
+  }
+
+  /**
+   * 模板列表（不含时间线内容）
+   */
+  async list() {
+    const files = await fs.promises.readdir(this.directory);
+    const templates = [];
+    for (const file of files.filter(file => path.extname(file) === '.json').sort()) {
+      const name = path.basename(file, '.json');
+      if (!TEMPLATE_NAME_PATTERN.test(name)) {
+        continue;
+      }
+      try {
+        const template = await this.get(name);
+        delete template.timeline;
+        delete template.resources;
+        delete template.options;
+        templates.push(template);
+      } catch (error) {
+        console.warn(`[模板] 读取失败: ${file}`, error.message);
+      }
+    }
+    return templates;
+  }
+
+  /**
+   * 获取模板详情，不存在时抛出 TEMPLATE_NOT_FOUND
+   */
+  async get(name) {
+    const template = await this.read(name);
+    if (!template) {
+      throw createTemplateError(`模板不存在: ${name}`, 'TEMPLATE_NOT_FOUND');
+    }
+    const stats = await fs.promises.stat(this.getPath(name));
+    return {
+      name,
+      label: template.label || name,
+      description: template.description || '',
+      variables: this.describeVariables(template),
+      timeline: template.timeline,
+      resources: template.resources,
+      options: template.options,
+      updatedAt: stats.mtime.toISOString()
+    };
+  }
+
+  /**
+   * 校验并整理模板内容（合成参数在渲染后按 /api/compose 的规则校验）
+   */
+  normalize(data) {
+    const hasTimeline = Boolean(data.timeline) && typeof data.timeline === 'object' && !Array.isArray(data.timeline);
+    const hasResources = Array.isArray(data.resources);
+    if (hasTimeline === hasResources) {
+      throw createTemplateError('模板需要提供 timeline 或 resources（二选一）', 'INVALID_TEMPLATE');
+    }
+    if (data.options !== undefined && (!data.options || typeof data.options !== 'object' || Array.isArray(data.options))) {
+      throw createTemplateError('options 必须是对象', 'INVALID_TEMPLATE');
+    }
+    if (data.variables !== undefined && (!data.variables || typeof data.variables !== 'object' || Array.isArray(data.variables))) {
+      throw createTemplateError('variables 必须是对象 {变量名: {description, default}}', 'INVALID_TEMPLATE');
+    }
+    const template = {
+      label: typeof data.label === 'string' ? data.label.trim() : undefined,
+      description: typeof data.description === 'string' ? data.description.trim() : undefined,
+      variables: data.variables,
+      timeline: hasTimeline ? data.timeline : undefined,
+      resources: hasResources ? data.resources : undefined,
+      options: data.options
+    };
+    Object.keys(template).forEach(key => template[key] === undefined && delete template[key]);
+    return template;
+  }
+
+  /**
+   * 写入模板文件（先写临时文件再重命名）
+   */
+  async write(name, template) {
+    const filePath = this.getPath(name);
+    const tempPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(template, null, 2));
+    await fs.promises.rename(tempPath, filePath);
+  }
+
+  /**
+   * 新建模板
+   */
+  async create(name, data = {}) {
+    if (await this.read(name)) {
+      throw createTemplateError(`模板已存在: ${name}`, 'TEMPLATE_EXISTS');
+    }
+    await this.write(name, this.normalize(data));
+    return this.get(name);
+  }
+
+  /**
+   * 更新模板（整体替换内容）
+   */
+  async update(name, data = {}) {
+    if (!(await this.read(name))) {
+      throw createTemplateError(`模板不存在: ${name}`, 'TEMPLATE_NOT_FOUND');
+    }
+    await this.write(name, this.normalize(data));
+    return this.get(name);
+  }
+
+  /**
+   * 删除模板
+   */
+  async remove(name) {
+    try {
+      await fs.promises.unlink(this.getPath(name));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw createTemplateError(`模板不存在: ${name}`, 'TEMPLATE_NOT_FOUND');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 渲染模板：用变量（未提供时使用默认值）替换占位符，返回合成请求 {timeline | resources, options}
+   * 整个字符串只有一个占位符时替换为变量的原始值，可用于数字、布尔或对象字段
+   */
+  async render(name, variables = {}) {
+    if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+      throw createTemplateError('variables 必须是对象', 'INVALID_TEMPLATE');
+    }
+    const template = await this.read(name);
+    if (!template) {
+      throw createTemplateError(`模板不存在: ${name}`, 'TEMPLATE_NOT_FOUND');
+    }
+
+    // 不继承 Object.prototype，{{constructor}} 等占位符按缺少变量处理
+    const values = Object.create(null);
+    Object.entries(template.variables || {}).forEach(([key, variable]) => {
+      if (variable && variable.default !== undefined) {
+        values[key] = variable.default;
+      }
+    });
+    Object.entries(variables).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        values[key] = value;
+      }
+    });
+
+    const content = { timeline: template.timeline, resources: template.resources, options: template.options || {} };
+    const missing = [...collectPlaceholders(content)].filter(key => values[key] === undefined);
+    if (missing.length > 0) {
+      throw createTemplateError(`缺少模板变量: ${missing.join(', ')}`, 'MISSING_VARIABLES');
+    }
+
+    const rendered = substitute(content, values);
+    Object.keys(rendered).forEach(key => rendered[key] === undefined && delete rendered[key]);
+    return rendered;
+  }
+}
+
+module.exports = new TemplateManager();
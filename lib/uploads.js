@@ -0,0 +1,407 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sniffer = require('./sniffer');
+
+// Upload-Checksum 支持的算法（tus checksum 扩展）
+const CHECKSUM_ALGORITHMS = ['sha1', 'sha256'];
+
+// 上传状态：全部接收后进入 processing，在后台校验、识别并移动文件，结束后为 completed 或 failed
+const UPLOAD_STATUS = {
+  UPLOADING: 'uploading',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+/**
+ * 创建带错误码的上传错误
+ */
+function createUploadError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * 计算文件内容的 SHA-256
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+/**
+ * 移动文件，跨文件系统（DATA_DIR 与 uploads 不在同一个磁盘）时复制后删除
+ */
+async function moveFile(source, target) {
+  try {
+    await fs.promises.rename(source, target);
+  } catch (error) {
+    if (error.code !== 'EXDEV') {
+      throw error;
+    }
+    await fs.promises.copyFile(source, target);
+    await fs.promises.unlink(source);
+  }
+}
+
+/**
+ * 解析 tus 的 Upload-Metadata 请求头：逗号分隔的 "key base64(value)"，值可省略
+ */
+function parseMetadata(header) {
+  const metadata = {};
+  String(header || '').split(',').map(pair => pair.trim()).filter(Boolean).forEach(pair => {
+    const [key, value] = pair.split(/\s+/);
+    metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+  });
+  return metadata;
+}
+
+/**
+ * 解析 Upload-Checksum 请求头 "算法 base64(摘要)"
+ * @returns {Object|null} {algorithm, digest}，未提供时返回 null
+ */
+function parseChecksum(header) {
+  if (!header) {
+    return null;
+  }
+  const [algorithm, digest] = String(header).trim().split(/\s+/);
+  if (!CHECKSUM_ALGORITHMS.includes(algorithm) || !digest) {
+    throw createUploadError(`不支持的校验算法: ${algorithm}（支持 ${CHECKSUM_ALGORITHMS.join('、')}）`, 'INVALID_UPLOAD');
+  }
+  return { algorithm, digest };
+}
+
+/**
+ * 上传文件管理：multipart 上传的文件和断点续传（tus 1.0 协议，支持 creation、checksum、termination、expiration 扩展）
+ * 续传中的文件保存在 directory 中（<id>.part 和记录 <id>.json，服务重启后可继续上传），完成后按内容识别类型并移动到 uploads 目录
+ * 校验和识别在后台进行，最后一个 PATCH 不必等待，客户端通过 HEAD（Upload-Status）或 GET 查询结果
+ */
+class UploadManager {
+  constructor(options = {}) {
+    this.maxSize = Math.max(0, Number(options.maxSize) || 0);
+    this.expiration = Math.max(0, Number(options.expiration) || 0);
+    this.directory = null;
+    this.targetDirectory = null;
+    this.uploads = new Map();
+    this.locks = new Set(); // 正在写入或后台处理的上传，同一上传不允许并发 PATCH
+  }
+
+  /**
+   * 设置续传文件目录和上传完成后的目标目录，加载未过期的上传记录
+   */
+  setDirectories(directory, targetDirectory) {
+    this.directory = directory;
+    this.targetDirectory = targetDirectory;
+    this.uploads = new Map();
+    fs.mkdirSync(this.getTempDirectory(), { recursive: true });
+
+    fs.readdirSync(directory).filter(file => path.extname(file) === '.json').forEach(file => {
+      try {
+        const upload = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+        if (upload.status === UPLOAD_STATUS.UPLOADING && !fs.existsSync(this.getPartPath(upload))) {
+          fs.unlinkSync(path.join(directory, file));
+          return;
+        }
+        this.uploads.set(upload.id, upload);
+      } catch (error) {
+        console.error(`读取上传记录失败: ${file}`, error.message);
+      }
+    });
+
+    // 清理没有记录的续传文件和上次运行留下的 multipart 临时文件
+    fs.readdirSync(directory).forEach(file => {
+      if (path.extname(file) === '.part' && !this.uploads.has(path.basename(file, '.part'))) {
+        fs.unlink(path.join(directory, file), () => { });
+      }
+    });
+    fs.readdirSync(this.getTempDirectory()).forEach(file => fs.unlink(path.join(this.getTempDirectory(), file), () => { }));
+    this.prune();
+
+    // 上次运行中断的后台处理重新开始
+    for (const upload of this.uploads.values()) {
+      if (upload.status === UPLOAD_STATUS.PROCESSING) {
+        this.finish(upload);
+      }
+    }
+  }
+
+  /**
+   * multipart 上传的临时目录
+   */
+  getTempDirectory() {
+    return path.join(this.directory, 'tmp');
+  }
+
+  getPartPath(upload) {
+    return path.join(this.directory, `${upload.id}.part`);
+  }
+
+  getInfoPath(upload) {
+    return path.join(this.directory, `${upload.id}.json`);
+  }
+
+  /**
+   * 写入上传记录（先写临时文件再重命名）
+   */
+  async save(upload) {
+    const infoPath = this.getInfoPath(upload);
+    await fs.promises.writeFile(`${infoPath}.tmp`, JSON.stringify(upload, null, 2));
+    await fs.promises.rename(`${infoPath}.tmp`, infoPath);
+  }
+
+  /**
+   * 创建续传上传
+   * @param {Number} size - 文件总字节数（Upload-Length）
+   * @param {Object} metadata - Upload-Metadata，支持 filename、filetype 和 sha256（整个文件的十六进制摘要，完成时校验）
+   */
+  async create(size, metadata = {}) {
+    this.prune();
+    if (!Number.isInteger(size) || size <= 0) {
+      throw createUploadError('Upload-Length 必须是正整数（不支持延迟指定长度）', 'INVALID_UPLOAD');
+    }
+    if (this.maxSize && size > this.maxSize) {
+      throw createUploadError(`文件大小超过上限（${Math.round(this.maxSize / 1024 / 1024)} MB）`, 'TOO_LARGE');
+    }
+    if (metadata.sha256 && !/^[a-f0-9]{64}$/i.test(metadata.sha256)) {
+      throw createUploadError('sha256 必须是 64 位十六进制摘要', 'INVALID_UPLOAD');
+    }
+
+    const now = Date.now();
+    const upload = {
+      id: crypto.randomUUID(),
+      originalName: path.basename(metadata.filename || 'upload'),
+      filetype: metadata.filetype || null,
+      size,
+      offset: 0,
+      sha256: metadata.sha256 ? metadata.sha256.toLowerCase() : null,
+      status: UPLOAD_STATUS.UPLOADING,
+      createdAt: new Date(now).toISOString(),
+      updatedAt: new Date(now).toISOString(),
+      expiresAt: this.expiration ? new Date(now + this.expiration).toISOString() : null
+    };
+    await fs.promises.writeFile(this.getPartPath(upload), '');
+    await this.save(upload);
+    this.uploads.set(upload.id, upload);
+    console.log(`[上传] 已创建: ${upload.id} ${upload.originalName}（${upload.size} 字节）`);
+    return upload;
+  }
+
+  /**
+   * 获取上传记录，不存在或已过期时返回 null
+   */
+  get(id) {
+    const upload = this.uploads.get(id);
+    if (!upload || this.isExpired(upload)) {
+      return null;
+    }
+    return upload;
+  }
+
+  isExpired(upload) {
+    return Boolean(upload.expiresAt) && new Date(upload.expiresAt).getTime() < Date.now();
+  }
+
+  /**
+   * 从 offset 处追加数据，提供 checksum 时本次数据校验不通过则丢弃
+   * 连接中断时保留已写入的部分（未提供 checksum 时），客户端 HEAD 获取 offset 后继续上传
+   * @param {String} id - 上传 ID
+   * @param {Number} offset - 客户端的 Upload-Offset，必须与服务端一致
+   * @param {Stream} stream - 请求体
+   * @param {Object} checksum - parseChecksum 的返回值
+   * @returns {Object} 更新后的上传记录，全部接收后为 processing 状态（后台完成校验和识别）
+   */
+  async append(id, offset, stream, checksum) {
+    const upload = this.get(id);
+    if (!upload) {
+      throw createUploadError(`上传不存在或已过期: ${id}`, 'UPLOAD_NOT_FOUND');
+    }
+    if (offset !== upload.offset) {
+      throw createUploadError(`Upload-Offset 不一致（服务端为 ${upload.offset}）`, 'OFFSET_MISMATCH');
+    }
+    if (upload.status !== UPLOAD_STATUS.UPLOADING) {
+      return upload;
+    }
+    if (this.locks.has(id)) {
+      throw createUploadError('该上传正在写入，请稍后重试', 'UPLOAD_LOCKED');
+    }
+
+    this.locks.add(id);
+    const partPath = this.getPartPath(upload);
+    const hash = checksum ? crypto.createHash(checksum.algorithm) : null;
+    let written = 0;
+    let failure = null;
+    let interrupted = false;
+    try {
+      const file = await fs.promises.open(partPath, 'r+');
+      try {
+        for await (const chunk of stream) {
+          if (offset + written + chunk.length > upload.size) {
+            failure = createUploadError(`数据超过 Upload-Length（${upload.size} 字节）`, 'TOO_LARGE');
+            break;
+          }
+          try {
+            await file.write(chunk, 0, chunk.length, offset + written);
+          } catch (error) {
+            failure = error;
+            break;
+          }
+          written += chunk.length;
+          if (hash) {
+            hash.update(chunk);
+          }
+        }
+      } catch (error) {
+        // 读取请求体出错，即客户端断开连接
+        interrupted = true;
+      } finally {
+        await file.close();
+      }
+
+      if (!failure && hash && !interrupted && hash.digest('base64') !== checksum.digest) {
+        failure = createUploadError('数据校验和不一致（Upload-Checksum）', 'CHECKSUM_MISMATCH');
+      }
+      // 出错或带校验和的数据不完整时丢弃本次写入的内容
+      if (failure || (hash && interrupted)) {
+        await fs.promises.truncate(partPath, offset);
+        if (failure) {
+          throw failure;
+        }
+        return upload;
+      }
+
+      upload.offset = offset + written;
+      upload.updatedAt = new Date().toISOString();
+      if (this.expiration) {
+        upload.expiresAt = new Date(Date.now() + this.expiration).toISOString();
+      }
+      if (upload.offset === upload.size) {
+        upload.status = UPLOAD_STATUS.PROCESSING;
+      }
+      await this.save(upload);
+    } finally {
+      this.locks.delete(id);
+    }
+    if (upload.status === UPLOAD_STATUS.PROCESSING) {
+      this.finish(upload);
+    }
+    return upload;
+  }
+
+  /**
+   * 在后台完成上传，处理期间保持锁定（不会被过期清理）
+   */
+  finish(upload) {
+    this.locks.add(upload.id);
+    this.complete(upload)
+      .catch(error => console.error(`[上传] 保存记录失败: ${upload.id}`, error.message))
+      .finally(() => this.locks.delete(upload.id));
+  }
+
+  /**
+   * 接收完成：校验整个文件并移动到目标目录，失败时记录错误并删除已接收的数据
+   */
+  async complete(upload) {
+    try {
+      const stored = await this.store(this.getPartPath(upload), upload.originalName, upload.sha256);
+      Object.assign(upload, {
+        status: UPLOAD_STATUS.COMPLETED,
+        filename: stored.filename,
+        type: stored.type,
+        sha256: stored.sha256
+      });
+      console.log(`[上传] 已完成: ${upload.id} -> ${stored.filename}`);
+    } catch (error) {
+      await fs.promises.unlink(this.getPartPath(upload)).catch(() => { });
+      Object.assign(upload, { status: UPLOAD_STATUS.FAILED, error: error.message });
+      console.error(`[上传] 处理失败: ${upload.id}`, error.message);
+    }
+    upload.updatedAt = new Date().toISOString();
+    // 处理期间被终止的上传不再写回记录
+    if (this.uploads.get(upload.id) === upload) {
+      await this.save(upload);
+    }
+  }
+
+  /**
+   * 保存上传完成的文件：校验 SHA-256（提供时），按内容识别类型，以生成的文件名移动到目标目录
+   * 原始文件名的扩展名不是已知媒体格式时使用识别出的扩展名
+   * @param {String} filePath - 已完整接收的临时文件
+   * @param {String} originalName - 客户端的文件名
+   * @param {String} sha256 - 期望的十六进制摘要（可选）
+   * @returns {Object} {filename, originalName, size, sha256, type}
+   */
+  async store(filePath, originalName, sha256) {
+    const digest = await hashFile(filePath);
+    if (sha256 && digest !== sha256.toLowerCase()) {
+      await fs.promises.unlink(filePath).catch(() => { });
+      throw createUploadError(`文件校验和不一致（期望 ${sha256}，实际 ${digest}）`, 'CHECKSUM_MISMATCH');
+    }
+
+    const inspection = await sniffer.inspect(filePath, { filename: originalName });
+    const originalExt = path.extname(originalName).toLowerCase();
+    const ext = sniffer.getTypeByExtension(originalExt) ? originalExt : (inspection.ext || '.bin');
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    const filename = `upload_${uniqueSuffix}${ext}`;
+    await moveFile(filePath, path.join(this.targetDirectory, filename));
+    const stats = await fs.promises.stat(path.join(this.targetDirectory, filename));
+    return { filename, originalName, size: stats.size, sha256: digest, type: inspection.type };
+  }
+
+  /**
+   * 终止上传并删除已接收的数据（已完成的上传只删除记录，不删除 uploads 中的文件）
+   * @returns {Boolean} 上传不存在时返回 false
+   */
+  async remove(id) {
+    const upload = this.uploads.get(id);
+    if (!upload) {
+      return false;
+    }
+    this.uploads.delete(id);
+    await fs.promises.unlink(this.getInfoPath(upload)).catch(() => { });
+    if (upload.status !== UPLOAD_STATUS.COMPLETED) {
+      await fs.promises.unlink(this.getPartPath(upload)).catch(() => { });
+    }
+    return true;
+  }
+
+  /**
+   * 清理过期的上传（正在写入的除外）
+   */
+  prune() {
+    for (const upload of this.uploads.values()) {
+      if (this.isExpired(upload) && !this.locks.has(upload.id)) {
+        console.log(`[上传] 已过期: ${upload.id} ${upload.originalName}`);
+        this.remove(upload.id);
+      }
+    }
+  }
+
+  /**
+   * 转换为接口返回的格式
+   */
+  toJSON(upload) {
+    const data = { ...upload };
+    if (upload.filename) {
+      data.path = `/uploads/${upload.filename}`;
+    }
+    return data;
+  }
+}
+
+// 默认单个文件最大 10240 MB，未完成的上传 24 小时未更新后过期，可通过环境变量配置
+module.exports = new UploadManager({
+  maxSize: (process.env.UPLOAD_MAX_SIZE !== undefined ? Number(process.env.UPLOAD_MAX_SIZE) : 10240) * 1024 * 1024,
+  expiration: (process.env.UPLOAD_EXPIRATION !== undefined ? Number(process.env.UPLOAD_EXPIRATION) : 24) * 60 * 60 * 1000
+});
+module.exports.UploadManager = UploadManager;
+module.exports.UPLOAD_STATUS = UPLOAD_STATUS;
+module.exports.CHECKSUM_ALGORITHMS = CHECKSUM_ALGORITHMS;
+module.exports.parseMetadata = parseMetadata;
+module.exports.parseChecksum = parseChecksum;
@@ -0,0 +1,146 @@
+const dns = require('dns');
+const net = require('net');
+const { URL } = require('url');
+
+// 禁止下载的地址段：本机、私有网络、链路本地、运营商 NAT、组播和保留地址
+const BLOCKED_SUBNETS = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+/**
+ * 创建被下载策略拒绝的错误
+ */
+function createPolicyError(message) {
+  const error = new Error(message);
+  error.code = 'URL_BLOCKED';
+  return error;
+}
+
+/**
+ * 读取逗号分隔的环境变量列表
+ */
+function parseList(value) {
+  return (value || '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * 远程下载的访问策略（防止 SSRF）：协议白名单、可选的域名白名单、
+ * DNS 解析后拒绝私有/本机/链路本地地址、重定向次数上限和 TLS 证书校验
+ */
+class UrlPolicy {
+  constructor(options = {}) {
+    this.protocols = options.protocols && options.protocols.length ? options.protocols : ['http', 'https'];
+    this.allowedHosts = options.allowedHosts || [];
+    this.allowPrivate = Boolean(options.allowPrivate);
+    this.maxRedirects = Math.max(0, parseInt(options.maxRedirects) || 0);
+    this.insecureTls = Boolean(options.insecureTls);
+    this.blockList = new net.BlockList();
+    BLOCKED_SUBNETS.forEach(([address, prefix, type]) => this.blockList.addSubnet(address, prefix, type));
+  }
+
+  /**
+   * IP 地址是否属于禁止访问的地址段（BlockList 对 IPv4 映射的 IPv6 地址按 IPv4 规则判断）
+   */
+  isBlockedAddress(address) {
+    const type = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+    return this.blockList.check(address, type);
+  }
+
+  /**
+   * 域名是否在白名单中（未配置白名单时全部允许），*.example.com 匹配所有子域名
+   */
+  isAllowedHost(hostname) {
+    if (this.allowedHosts.length === 0) {
+      return true;
+    }
+    return this.allowedHosts.some(pattern => pattern.startsWith('*.')
+      ? hostname.endsWith(pattern.slice(1))
+      : hostname === pattern);
+  }
+
+  /**
+   * 检查 URL 的协议、域名白名单和 IP 地址（域名在连接时解析后再检查）
+   * @returns {URL} 解析后的 URL，不允许访问时抛出 URL_BLOCKED 错误
+   */
+  checkUrl(url) {
+    let urlObj;
+    try {
+      urlObj = new URL(url);
+    } catch (error) {
+      throw createPolicyError(`无效的 URL: ${url}`);
+    }
+    const protocol = urlObj.protocol.replace(/:$/, '');
+    if (!this.protocols.includes(protocol)) {
+      throw createPolicyError(`不允许的协议: ${protocol}（允许 ${this.protocols.join('、')}）`);
+    }
+    const hostname = urlObj.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (!this.isAllowedHost(hostname)) {
+      throw createPolicyError(`域名不在允许下载的列表中: ${hostname}`);
+    }
+    if (!this.allowPrivate && net.isIP(hostname) && this.isBlockedAddress(hostname)) {
+      throw createPolicyError(`禁止访问内网或本机地址: ${hostname}`);
+    }
+    return urlObj;
+  }
+
+  /**
+   * 用于 http.request 的 lookup：解析域名后过滤禁止访问的地址，连接只使用检查过的地址（防止 DNS 重绑定）
+   */
+  lookup(hostname, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) {
+        callback(error);
+        return;
+      }
+      const allowed = this.allowPrivate ? addresses : addresses.filter(entry => !this.isBlockedAddress(entry.address));
+      if (allowed.length === 0) {
+        callback(createPolicyError(`禁止访问内网或本机地址: ${hostname}（解析为 ${addresses.map(entry => entry.address).join('、')}）`));
+        return;
+      }
+      if (options.all) {
+        callback(null, allowed);
+      } else {
+        callback(null, allowed[0].address, allowed[0].family);
+      }
+    });
+  }
+
+  /**
+   * 发起请求时附加的选项：受检查的 DNS 解析和 TLS 证书校验
+   */
+  getRequestOptions() {
+    return {
+      lookup: this.lookup.bind(this),
+      rejectUnauthorized: !this.insecureTls
+    };
+  }
+}
+
+module.exports = new UrlPolicy({
+  protocols: parseList(process.env.DOWNLOAD_ALLOWED_PROTOCOLS),
+  allowedHosts: parseList(process.env.DOWNLOAD_ALLOWED_HOSTS),
+  allowPrivate: process.env.DOWNLOAD_ALLOW_PRIVATE === 'true',
+  maxRedirects: process.env.DOWNLOAD_MAX_REDIRECTS !== undefined ? process.env.DOWNLOAD_MAX_REDIRECTS : 5,
+  insecureTls: process.env.DOWNLOAD_INSECURE_TLS === 'true'
+});
+module.exports.UrlPolicy = UrlPolicy;
@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+const jobs = require('./jobs');
+const { UrlPolicy } = require('./urlpolicy');
+
+// 单次投递的超时时间
+const DELIVERY_TIMEOUT = 10000;
+
+// 结束状态对应的事件名
+const JOB_EVENTS = {
+  done: 'job.done',
+  failed: 'job.failed',
+  cancelled: 'job.cancelled'
+};
+
+/**
+ * 任务回调：任务结束（完成、失败或取消）后向 callbackUrl POST 任务结果
+ * 配置了 secret 时用 HMAC-SHA256 签名，投递失败按指数退避重试，每次投递记录在任务的 webhook.deliveries 中
+ * 回调地址按 policy（UrlPolicy）检查，默认拒绝内网和本机地址，防止借回调访问内部服务
+ */
+class WebhookNotifier {
+  constructor(options = {}) {
+    this.maxAttempts = Math.max(1, parseInt(options.maxAttempts) || 5);
+    this.retryDelay = Math.max(0, parseInt(options.retryDelay) || 0);
+    this.policy = options.policy || new UrlPolicy();
+  }
+
+  /**
+   * 从请求体中读取回调配置 {callbackUrl, callbackSecret}
+   * @param {String} baseUrl - 服务的访问地址，用于生成输出文件的完整 URL
+   * @returns {Object|null} {url, secret, baseUrl}，未配置回调时返回 null，参数错误时返回 {error}
+   */
+  parse(body, baseUrl) {
+    const { callbackUrl, callbackSecret } = body || {};
+    if (callbackUrl === undefined || callbackUrl === null || callbackUrl === '') {
+      return null;
+    }
+    let url;
+    try {
+      url = new URL(callbackUrl);
+    } catch (error) {
+      return { error: `callbackUrl 不是有效的 URL: ${callbackUrl}` };
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return { error: 'callbackUrl 只支持 HTTP 或 HTTPS 协议' };
+    }
+    try {
+      this.policy.checkUrl(url.toString());
+    } catch (error) {
+      return { error: `callbackUrl 不允许访问: ${error.message}` };
+    }
+    if (callbackSecret !== undefined && typeof callbackSecret !== 'string') {
+      return { error: 'callbackSecret 必须是字符串' };
+    }
+    return { url: url.toString(), secret: callbackSecret || null, baseUrl };
+  }
+
+  /**
+   * 监听任务结束并投递回调
+   * @param {Object} job - 任务
+   * @param {Object} callback - parse 的返回值
+   */
+  watch(job, callback) {
+    jobs.update(job.id, {
+      webhook: { url: callback.url, signed: Boolean(callback.secret), status: 'pending', deliveries: [] }
+    });
+    jobs.wait(job)
+      .then(finished => this.deliver(finished, callback))
+      .catch(error => console.error(`[回调 ${job.id}] 投递异常:`, error.message));
+  }
+
+  /**
+   * 生成回调内容：任务详情加上输出文件的完整 URL 和执行耗时（秒）
+   */
+  buildPayload(job, baseUrl) {
+    const data = jobs.toJSON(job);
+    delete data.webhook;
+    if (data.path && baseUrl) {
+      data.outputUrl = `${baseUrl}${data.path}`;
+    }
+    if (job.startedAt && job.finishedAt) {
+      data.duration = (new Date(job.finishedAt) - new Date(job.startedAt)) / 1000;
+    }
+    return {
+      event: JOB_EVENTS[job.status] || `job.${job.status}`,
+      timestamp: new Date().toISOString(),
+      job: data
+    };
+  }
+
+  /**
+   * 计算签名：HMAC-SHA256(secret, `${timestamp}.${body}`)，十六进制
+   */
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * 投递回调，失败时按 retryDelay * 2^n 退避重试，直到成功或达到最大次数
+   */
+  async deliver(job, callback) {
+    const payload = this.buildPayload(job, callback.baseUrl);
+    const body = JSON.stringify(payload);
+    const webhook = job.webhook;
+    webhook.status = 'delivering';
+    webhook.event = payload.event;
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      const timestamp = Math.floor(Date.now() / 1000);
+      const headers = {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': 'ffmpeg-api-webhook',
+        'X-Webhook-Event': payload.event,
+        'X-Webhook-Job-Id': job.id,
+        'X-Webhook-Attempt': String(attempt),
+        'X-Webhook-Timestamp': String(timestamp)
+      };
+      if (callback.secret) {
+        headers['X-Webhook-Signature'] = `sha256=${this.sign(callback.secret, timestamp, body)}`;
+      }
+
+      const startedAt = Date.now();
+      const delivery = { attempt, at: new Date(startedAt).toISOString() };
+      let retryable = true;
+      try {
+        const statusCode = await this.post(callback.url, headers, body);
+        delivery.statusCode = statusCode;
+        delivery.success = statusCode >= 200 && statusCode < 300;
+        // 4xx 说明请求本身被拒绝，除 408 和 429 外不再重试
+        retryable = statusCode >= 500 || statusCode === 408 || statusCode === 429;
+        if (!delivery.success) {
+          delivery.error = `HTTP ${statusCode}`;
+        }
+      } catch (error) {
+        delivery.success = false;
+        delivery.error = error.message;
+        // 被访问策略拒绝的地址重试也不会成功
+        retryable = error.code !== 'URL_BLOCKED';
+      }
+      delivery.durationMs = Date.now() - startedAt;
+      webhook.deliveries.push(delivery);
+
+      if (delivery.success) {
+        webhook.status = 'delivered';
+        jobs.update(job.id, { webhook });
+        console.log(`[回调 ${job.id}] 已投递到 ${callback.url}（第 ${attempt} 次）`);
+        return true;
+      }
+      console.warn(`[回调 ${job.id}] 第 ${attempt} 次投递失败: ${delivery.error}`);
+      if (!retryable || attempt === this.maxAttempts) {
+        break;
+      }
+      delivery.retryIn = this.retryDelay * Math.pow(2, attempt - 1);
+      jobs.update(job.id, { webhook });
+      await new Promise(resolve => setTimeout(resolve, delivery.retryIn));
+    }
+
+    webhook.status = 'failed';
+    jobs.update(job.id, { webhook });
+    console.error(`[回调 ${job.id}] 投递失败，已放弃: ${callback.url}`);
+    return false;
+  }
+
+  /**
+   * 发送 POST 请求，返回 HTTP 状态码（不跟随重定向）
+   * 投递前重新检查地址，域名在连接时解析后按策略过滤（防止 DNS 重绑定）
+   */
+  post(url, headers, body) {
+    return new Promise((resolve, reject) => {
+      try {
+        this.policy.checkUrl(url);
+      } catch (error) {
+        reject(error);
+        return;
+      }
+      const client = url.startsWith('https:') ? https : http;
+      const options = { method: 'POST', headers, timeout: DELIVERY_TIMEOUT, ...this.policy.getRequestOptions() };
+      const request = client.request(url, options, (response) => {
+        // 丢弃响应内容，只关心状态码
+        response.resume();
+        response.on('end', () => resolve(response.statusCode));
+        response.on('error', reject);
+      });
+      request.on('timeout', () => {
+        request.destroy(new Error(`请求超时（${DELIVERY_TIMEOUT / 1000} 秒）`));
+      });
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+}
+
+module.exports = new WebhookNotifier({
+  maxAttempts: process.env.WEBHOOK_MAX_ATTEMPTS || 5,
+  retryDelay: process.env.WEBHOOK_RETRY_DELAY !== undefined ? process.env.WEBHOOK_RETRY_DELAY : 2000,
+  policy: new UrlPolicy({ allowPrivate: process.env.WEBHOOK_ALLOW_PRIVATE === 'true' })
+});
+module.exports.WebhookNotifier = WebhookNotifier;
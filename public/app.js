@@ -30,6 +30,9 @@ function initApp() {
         // 资源合成相关
         resources: [],
         newResourceUrl: '',
+        // 正在上传的本地文件 {key, name, size, uploadedBytes, progress, status, error}
+        uploadTasks: [],
+        resourceDragOver: false,
         editingResourceIndex: null,
         composeOptions: {
           width: 1280,
@@ -43,8 +46,13 @@ function initApp() {
           audioBitrate: '192k',
           audioSampleRate: 44100,
           audioChannels: 2,
-          backgroundColor: '#000000'
+          backgroundColor: '#000000',
+          keepClipAudio: true,
+          ducking: false,
+          loudnorm: false,
+          preset: ''
         },
+        outputPresets: [],
         videoSizePresets: [
           { name: '自定义', width: null, height: null },
           { name: '手机竖屏 (1080x1920)', width: 1080, height: 1920 },
@@ -63,6 +71,11 @@ function initApp() {
           { name: '宽屏 21:9 (2560x1080)', width: 2560, height: 1080 },
           { name: '宽屏 21:9 (3440x1440)', width: 3440, height: 1440 }
         ],
+        composeJob: null,
+        motionOptions: ['none', 'zoomIn', 'zoomOut', 'panLeft', 'panRight', 'panUp', 'panDown', 'custom'],
+        textAnimationOptions: ['none', 'fade', 'slideUp', 'slideDown', 'slideLeft', 'slideRight'],
+        fonts: [],
+        xfadeOptions: ['none', 'fade', 'dissolve', 'fadeblack', 'fadewhite', 'wipeleft', 'wiperight', 'wipeup', 'wipedown', 'slideleft', 'slideright', 'slideup', 'slidedown', 'circleopen', 'circleclose', 'radial', 'pixelize', 'zoomin'],
         composeResultFile: null,
         composeResultFilename: null,
         // 文件管理
@@ -86,7 +99,8 @@ function initApp() {
           health: false,
           checkFfmpeg: false,
           addResource: false,
-          compose: false
+          compose: false,
+          cancelCompose: false
         }
       });
 
@@ -183,10 +197,12 @@ function initApp() {
         const imageExts = ['jpg', 'jpeg', 'png', 'gif', 'bmp', 'webp'];
         const videoExts = ['mp4', 'avi', 'mov', 'mkv', 'flv', 'webm', 'm4v', '3gp', 'wmv'];
         const audioExts = ['mp3', 'wav', 'aac', 'ogg', 'm4a', 'flac'];
+        const subtitleExts = ['srt', 'vtt', 'ass', 'ssa'];
 
         if (imageExts.includes(ext)) return 'image';
         if (videoExts.includes(ext)) return 'video';
         if (audioExts.includes(ext)) return 'audio';
+        if (subtitleExts.includes(ext)) return 'subtitle';
         return 'unknown';
       }
 
@@ -195,6 +211,8 @@ function initApp() {
           image: 'image',
           video: 'video',
           audio: 'music',
+          text: 'font',
+          subtitle: 'closed captioning',
           unknown: 'file'
         };
         return icons[type] || 'file';
@@ -205,6 +223,8 @@ function initApp() {
           image: '#2185d0',
           video: '#db2828',
           audio: '#21ba45',
+          text: '#a333c8',
+          subtitle: '#f2711c',
           unknown: '#999'
         };
         return colors[type] || '#999';
@@ -215,6 +235,8 @@ function initApp() {
           image: '图片',
           video: '视频',
           audio: '音频',
+          text: '文字',
+          subtitle: '字幕',
           unknown: '未知'
         };
         return names[type] || '未知';
@@ -236,6 +258,136 @@ function initApp() {
         return names[transition] || transition;
       }
 
+      function getMotionName(motion) {
+        const names = {
+          none: '无',
+          zoomIn: '缓慢推近',
+          zoomOut: '缓慢拉远',
+          panLeft: '向左平移',
+          panRight: '向右平移',
+          panUp: '向上平移',
+          panDown: '向下平移',
+          custom: '自定义区域'
+        };
+        return names[motion] || motion;
+      }
+
+      function getXfadeName(xfade) {
+        const names = {
+          none: '无（直接切换）',
+          fade: '交叉溶解',
+          dissolve: '颗粒溶解',
+          fadeblack: '经黑场过渡',
+          fadewhite: '经白场过渡',
+          wipeleft: '向左擦除',
+          wiperight: '向右擦除',
+          wipeup: '向上擦除',
+          wipedown: '向下擦除',
+          slideleft: '向左推移',
+          slideright: '向右推移',
+          slideup: '向上推移',
+          slidedown: '向下推移',
+          circleopen: '圆形展开',
+          circleclose: '圆形收缩',
+          radial: '径向擦除',
+          pixelize: '像素化',
+          zoomin: '放大过渡'
+        };
+        return names[xfade] || xfade;
+      }
+
+      function getTextAnimationName(animation) {
+        const names = {
+          none: '无',
+          fade: '淡入淡出',
+          slideUp: '向上滑动',
+          slideDown: '向下滑动',
+          slideLeft: '向左滑动',
+          slideRight: '向右滑动'
+        };
+        return names[animation] || animation;
+      }
+
+      // 加载服务端字体目录中的字体
+      async function loadFonts() {
+        try {
+          const { data } = await axios.get(`${BASE_URL}/api/fonts`);
+          state.fonts = data.fonts || [];
+        } catch (e) {
+          addDebugLog(`获取字体列表失败: ${e.response?.data?.error || e.message}`, 'error');
+        }
+      }
+
+      // 添加文字（标题、字幕、下三分之一条），添加后直接打开编辑
+      function addTextResource() {
+        state.resources.push({
+          id: Date.now() + Math.random(),
+          originalName: '文字',
+          type: 'text',
+          text: '',
+          font: '',
+          fontSize: 48,
+          fontColor: '#ffffff',
+          strokeWidth: 0,
+          strokeColor: '#000000',
+          shadowX: 0,
+          shadowY: 0,
+          shadowColor: '#000000',
+          box: false,
+          boxColor: '#000000',
+          boxOpacity: 50,
+          align: 'center',
+          position: 'bottom',
+          start: 0,
+          duration: undefined,
+          enter: 'none',
+          exit: 'none',
+          animationDuration: 0.5
+        });
+        state.editingResourceIndex = state.resources.length - 1;
+        if (state.fonts.length === 0) {
+          loadFonts();
+        }
+      }
+
+      // 图片、视频、音频和字幕资源的默认参数，source 为 {url} 或 {filename}（已上传的本地文件），以及 originalName
+      function createMediaResource(type, source) {
+        return {
+          id: Date.now() + Math.random(),
+          ...source,
+          type,
+          duration: type === 'image' ? 3 : undefined, // 图片默认3秒
+          startTime: undefined,
+          // 图片和视频的过渡效果
+          transition: 'none',
+          transitionDuration: 0.5,
+          // 与上一个片段之间的转场（xfade）
+          xfade: 'none',
+          xfadeDuration: 0.5,
+          // 图片的 Ken Burns 平移缩放效果
+          motion: 'none',
+          motionScale: 1.25,
+          motionStart: { x: 0, y: 0, width: 1, height: 1 },
+          motionEnd: { x: 0.25, y: 0.25, width: 0.5, height: 0.5 },
+          // 图片和视频的显示控制
+          position: 'center', // center, top-left, top-right, bottom-left, bottom-right
+          scaleMode: 'fit', // fit(适应), fill(填充), crop(裁剪)
+          rotation: 0, // 旋转角度（度）
+          opacity: 100, // 透明度（0-100）
+          // 音频的淡入淡出和音量
+          fade: 'none',
+          fadeDuration: 1,
+          volume: 100,
+          role: 'music',
+          offset: 0,
+          loop: false,
+          trimToVideo: true,
+          // 字幕：烧录到画面或作为字幕轨
+          mode: 'burn',
+          language: ''
+        };
+      }
+
       async function addResourceFromUrl() {
         if (!state.newResourceUrl || !state.newResourceUrl.trim()) {
           addDebugLog('请输入有效的资源 URL', 'error');
@@ -256,11 +408,23 @@ function initApp() {
         addDebugLog(`添加远程资源: ${url}`, 'info');
 
         try {
-          // 直接从 URL 识别资源类型
-          const resourceType = detectResourceType(url);
+          // 由服务端按文件内容识别资源类型（URL 没有扩展名时也能识别），请求失败时退回按扩展名识别
+          let resourceType;
+          try {
+            const { data } = await axios.post(`${BASE_URL}/api/resources/inspect`, { url });
+            resourceType = data.type;
+            addDebugLog(`识别资源类型: ${getResourceTypeName(resourceType)}（${data.detectedBy || '未识别'}）`, 'info');
+          } catch (e) {
+            // 地址被拒绝（如内网地址）时合成同样会失败，不再添加
+            if (e.response?.status === 400) {
+              addDebugLog(`添加资源失败: ${e.response.data.error}`, 'error');
+              return;
+            }
+            addDebugLog(`服务端识别资源类型失败: ${e.response?.data?.error || e.message}，按扩展名识别`, 'info');
+            resourceType = detectResourceType(url);
+          }
           if (resourceType === 'unknown') {
-            addDebugLog(`无法识别资源类型，请确保 URL 包含文件扩展名`, 'error');
-            state.loading.addResource = false;
+            addDebugLog(`无法识别资源类型，请确认 URL 指向图片、视频、音频或字幕文件`, 'error');
             return;
           }
 
@@ -269,27 +433,7 @@ function initApp() {
           const pathname = urlObj.pathname;
           const originalName = pathname.split('/').pop() || 'resource';
 
-          const resource = {
-            id: Date.now() + Math.random(),
-            url: url, // 直接保存 URL，不再需要 filename
-            originalName: originalName,
-            type: resourceType,
-            duration: resourceType === 'image' ? 3 : undefined, // 图片默认3秒
-            startTime: undefined,
-            // 图片和视频的过渡效果
-            transition: 'none',
-            transitionDuration: 0.5,
-            // 图片和视频的显示控制
-            position: 'center', // center, top-left, top-right, bottom-left, bottom-right
-            scaleMode: 'fit', // fit(适应), fill(填充), crop(裁剪)
-            rotation: 0, // 旋转角度（度）
-            opacity: 100, // 透明度（0-100）
-            // 音频的淡入淡出和音量
-            fade: 'none',
-            fadeDuration: 1,
-            volume: 100
-          };
-
+          const resource = createMediaResource(resourceType, { url, originalName });
           state.resources.push(resource);
           addDebugLog(`添加资源成功: ${originalName} (${getResourceTypeName(resourceType)})`, 'success');
           state.newResourceUrl = '';
@@ -300,6 +444,162 @@ function initApp() {
         }
       }
 
+      // 断点续传（tus 协议）：每块 8 MB，块上传失败时按指数退避重试，刷新页面后重新选择同一文件可从中断处继续
+      const UPLOAD_CHUNK_SIZE = 8 * 1024 * 1024;
+      const UPLOAD_MAX_RETRIES = 5;
+      const TUS_HEADERS = { 'Tus-Resumable': '1.0.0' };
+
+      function onResourceDrop(event) {
+        state.resourceDragOver = false;
+        Array.from(event.dataTransfer.files || []).forEach(uploadResourceFile);
+      }
+
+      function onResourceFileSelect(event) {
+        Array.from(event.target.files || []).forEach(uploadResourceFile);
+        event.target.value = '';
+      }
+
+      // 数据块的 SHA-256（base64），用于 Upload-Checksum；非 HTTPS 页面没有 crypto.subtle 时不校验
+      async function getChunkChecksum(chunk) {
+        if (!window.crypto || !window.crypto.subtle) {
+          return null;
+        }
+        const digest = await window.crypto.subtle.digest('SHA-256', await chunk.arrayBuffer());
+        return btoa(String.fromCharCode(...new Uint8Array(digest)));
+      }
+
+      // 查询服务端已接收的字节数，上传不存在或已过期时返回 null
+      async function getUploadOffset(location) {
+        try {
+          const response = await axios.head(location, { headers: TUS_HEADERS });
+          return Number(response.headers['upload-offset']);
+        } catch (e) {
+          if (e.response && e.response.status === 404) {
+            return null;
+          }
+          throw e;
+        }
+      }
+
+      async function uploadResourceFile(file) {
+        // 同一文件（名称、大小、修改时间相同）的上传地址保存在 localStorage 中，用于续传
+        const key = `upload:${file.name}:${file.size}:${file.lastModified}`;
+        if (state.uploadTasks.some(task => task.key === key && task.status === 'uploading')) {
+          addDebugLog(`文件正在上传: ${file.name}`, 'info');
+          return;
+        }
+        // AbortController 不能放进响应式对象（代理后调用 abort 会报错），通过闭包中止
+        const controller = new AbortController();
+        const task = reactive({ key, name: file.name, size: file.size, uploadedBytes: 0, progress: 0, status: 'uploading', error: null, abort: () => controller.abort() });
+        state.uploadTasks.push(task);
+
+        try {
+          let location = localStorage.getItem(key);
+          let offset = location ? await getUploadOffset(location) : null;
+          if (offset === null) {
+            const metadata = `filename ${btoa(unescape(encodeURIComponent(file.name)))},filetype ${btoa(file.type || 'application/octet-stream')}`;
+            const response = await axios.post(`${BASE_URL}/api/uploads`, null, {
+              headers: { ...TUS_HEADERS, 'Upload-Length': file.size, 'Upload-Metadata': metadata }
+            });
+            location = response.headers.location;
+            localStorage.setItem(key, location);
+            offset = 0;
+            addDebugLog(`开始上传: ${file.name}（${formatFileSize(file.size)}）`, 'info');
+          } else {
+            addDebugLog(`继续上传: ${file.name}，已上传 ${formatFileSize(offset)}`, 'info');
+          }
+
+          let retries = 0;
+          while (offset < file.size) {
+            const chunk = file.slice(offset, offset + UPLOAD_CHUNK_SIZE);
+            const headers = { ...TUS_HEADERS, 'Content-Type': 'application/offset+octet-stream', 'Upload-Offset': offset };
+            const checksum = await getChunkChecksum(chunk);
+            if (checksum) {
+              headers['Upload-Checksum'] = `sha256 ${checksum}`;
+            }
+            try {
+              const chunkOffset = offset;
+              const response = await axios.patch(location, chunk, {
+                headers,
+                signal: controller.signal,
+                onUploadProgress: (event) => {
+                  task.uploadedBytes = chunkOffset + event.loaded;
+                  task.progress = Math.floor(task.uploadedBytes / file.size * 100);
+                }
+              });
+              offset = Number(response.headers['upload-offset']);
+              retries = 0;
+            } catch (e) {
+              if (task.status === 'cancelled') {
+                return;
+              }
+              // 校验失败、偏移不一致（如另一个页面在上传同一文件）或网络中断：重新获取偏移后重试
+              if (retries >= UPLOAD_MAX_RETRIES || (e.response && ![409, 460].includes(e.response.status) && e.response.status < 500)) {
+                throw e;
+              }
+              retries++;
+              await new Promise(resolve => setTimeout(resolve, 1000 * Math.pow(2, retries - 1)));
+              offset = await getUploadOffset(location);
+              if (offset === null) {
+                localStorage.removeItem(key);
+                throw new Error('上传已过期，请重新上传');
+              }
+            }
+            task.uploadedBytes = offset;
+            task.progress = Math.floor(offset / file.size * 100);
+          }
+
+          localStorage.removeItem(key);
+          // 全部接收后服务端在后台校验和识别文件，轮询到处理结束
+          let upload;
+          while (true) {
+            const { data } = await axios.get(location, { headers: TUS_HEADERS });
+            upload = data.upload;
+            if (upload.status !== 'processing') break;
+            await new Promise(resolve => setTimeout(resolve, 1000));
+          }
+          if (upload.status === 'failed') {
+            throw new Error(upload.error || '上传处理失败');
+          }
+          task.status = 'done';
+          setTimeout(() => removeUploadTask(task), 3000);
+          if (upload.type === 'unknown') {
+            addDebugLog(`上传完成，但无法识别资源类型: ${file.name}`, 'error');
+            return;
+          }
+          state.resources.push(createMediaResource(upload.type, { filename: upload.filename, originalName: file.name }));
+          addDebugLog(`上传完成并添加资源: ${file.name} (${getResourceTypeName(upload.type)})`, 'success');
+        } catch (e) {
+          task.status = 'failed';
+          task.error = e.response?.data?.error || e.message;
+          addDebugLog(`上传失败: ${file.name}，${task.error}`, 'error');
+        }
+      }
+
+      // 取消上传并删除服务端已接收的数据
+      async function cancelUpload(task) {
+        task.status = 'cancelled';
+        task.abort();
+        const location = localStorage.getItem(task.key);
+        localStorage.removeItem(task.key);
+        removeUploadTask(task);
+        if (location) {
+          try {
+            await axios.delete(location, { headers: TUS_HEADERS });
+          } catch (e) {
+            // 上传可能已过期，忽略
+          }
+        }
+        addDebugLog(`已取消上传: ${task.name}`, 'info');
+      }
+
+      function removeUploadTask(task) {
+        const index = state.uploadTasks.indexOf(task);
+        if (index !== -1) {
+          state.uploadTasks.splice(index, 1);
+        }
+      }
+
       function removeResource(index) {
         const resource = state.resources[index];
         state.resources.splice(index, 1);
@@ -334,29 +634,179 @@ function initApp() {
         }
       }
 
+      // 加载服务端的输出预设（目标平台的分辨率、帧率和编码参数）
+      async function loadPresets() {
+        try {
+          const { data } = await axios.get(`${BASE_URL}/api/presets`);
+          state.outputPresets = data.presets || [];
+        } catch (e) {
+          addDebugLog(`获取输出预设失败: ${e.response?.data?.error || e.message}`, 'error');
+        }
+      }
+
+      // 应用输出预设：将预设参数填入合成选项，之后手动修改的字段会覆盖预设
+      function applyOutputPreset(name) {
+        // 界面上没有对应输入项的字段，切换预设时先清除
+        ['format', 'videoProfile', 'pixelFormat'].forEach(field => delete state.composeOptions[field]);
+        state.composeOptions.preset = name;
+        const preset = state.outputPresets.find(item => item.name === name);
+        if (preset) {
+          Object.assign(state.composeOptions, preset.options);
+          addDebugLog(`已应用输出预设: ${preset.label}`, 'info');
+        }
+      }
+
+      // 将当前合成选项保存为用户预设
+      async function saveOptionsAsPreset() {
+        const name = prompt('预设名称（字母、数字、- 和 _）：');
+        if (!name || !name.trim()) return;
+        const label = prompt('显示名称（可选）：', name.trim());
+        if (label === null) return;
+
+        const options = {};
+        Object.keys(state.composeOptions).forEach(key => {
+          const value = state.composeOptions[key];
+          if (key !== 'preset' && value !== undefined && value !== null && value !== '') {
+            options[key] = value;
+          }
+        });
+
+        try {
+          const { data } = await axios.post(`${BASE_URL}/api/presets`, { name: name.trim(), label, options });
+          await loadPresets();
+          state.composeOptions.preset = data.preset.name;
+          addDebugLog(`已保存预设: ${data.preset.label}`, 'success');
+        } catch (e) {
+          addDebugLog(`保存预设失败: ${e.response?.data?.error || e.message}`, 'error');
+        }
+      }
+
+      // 删除当前选中的用户预设
+      async function deleteSelectedPreset() {
+        const preset = state.outputPresets.find(item => item.name === state.composeOptions.preset);
+        if (!preset || preset.builtin) return;
+        if (!confirm(`确定要删除预设 ${preset.label} 吗？`)) {
+          return;
+        }
+        try {
+          await axios.delete(`${BASE_URL}/api/presets/${encodeURIComponent(preset.name)}`);
+          state.composeOptions.preset = '';
+          await loadPresets();
+          addDebugLog(`已删除预设: ${preset.label}`, 'success');
+        } catch (e) {
+          addDebugLog(`删除预设失败: ${e.response?.data?.error || e.message}`, 'error');
+        }
+      }
+
       function clearResources() {
         state.resources = [];
         state.editingResourceIndex = null;
         addDebugLog('已清空所有资源', 'info');
       }
 
+      // 更新当前合成任务，状态变化时记录日志
+      function updateComposeJob(job) {
+        if (!state.composeJob || state.composeJob.status !== job.status) {
+          addDebugLog(`任务状态: ${job.status}`, 'info');
+        }
+        state.composeJob = job;
+        return ['done', 'failed', 'cancelled'].includes(job.status);
+      }
+
+      // 轮询任务状态，直到任务完成或失败
+      async function pollJob(jobId) {
+        while (true) {
+          const { data } = await axios.get(`${BASE_URL}/api/jobs/${jobId}`);
+          if (updateComposeJob(data.job)) {
+            return data.job;
+          }
+          await new Promise(resolve => setTimeout(resolve, 1000));
+        }
+      }
+
+      // 通过 SSE 订阅任务进度，连接失败时退回轮询
+      function waitForJob(jobId) {
+        if (typeof EventSource === 'undefined') {
+          return pollJob(jobId);
+        }
+        return new Promise((resolve, reject) => {
+          const source = new EventSource(`${BASE_URL}/api/jobs/${jobId}/events`);
+          source.addEventListener('job', (event) => {
+            const job = JSON.parse(event.data);
+            if (updateComposeJob(job)) {
+              source.close();
+              resolve(job);
+            }
+          });
+          source.onerror = () => {
+            source.close();
+            pollJob(jobId).then(resolve, reject);
+          };
+        });
+      }
+
+      function formatEta(seconds) {
+        if (seconds === null || seconds === undefined) return '--';
+        const m = Math.floor(seconds / 60);
+        const s = seconds % 60;
+        return m > 0 ? `${m}分${s}秒` : `${s}秒`;
+      }
+
       async function handleCompose() {
         if (state.resources.length === 0) {
           addDebugLog('请至少添加一个资源', 'error');
           return;
         }
 
-        // 验证图片资源必须有 duration
+        // 验证图片资源必须有 duration，文字资源必须有内容
         for (const resource of state.resources) {
           if (resource.type === 'image' && (!resource.duration || resource.duration <= 0)) {
             addDebugLog(`图片资源 "${resource.originalName}" 必须设置显示时长`, 'error');
             return;
           }
+          if (resource.type === 'text' && !(resource.text || '').trim()) {
+            addDebugLog('文字资源的内容不能为空', 'error');
+            return;
+          }
         }
 
         state.loading.compose = true;
+        state.composeJob = null;
         const payload = {
           resources: state.resources.map(r => {
+            if (r.type === 'text') {
+              return {
+                type: 'text',
+                text: r.text,
+                font: r.font || undefined,
+                fontSize: r.fontSize,
+                fontColor: r.fontColor,
+                strokeWidth: r.strokeWidth,
+                strokeColor: r.strokeColor,
+                shadowX: r.shadowX,
+                shadowY: r.shadowY,
+                shadowColor: r.shadowColor,
+                box: r.box,
+                boxColor: r.boxColor,
+                boxOpacity: r.boxOpacity,
+                align: r.align,
+                position: r.position,
+                start: r.start || 0,
+                duration: r.duration || undefined,
+                enter: r.enter,
+                exit: r.exit,
+                animationDuration: r.animationDuration
+              };
+            }
+            if (r.type === 'subtitle') {
+              return {
+                type: 'subtitle',
+                url: r.url,
+                filename: r.filename,
+                mode: r.mode || 'burn',
+                language: r.language || undefined
+              };
+            }
             const resource = {
               type: r.type,
               url: r.url, // 使用 URL 而不是 filename
@@ -364,6 +814,8 @@ function initApp() {
               startTime: r.startTime,
               transition: r.transition || 'none',
               transitionDuration: r.transitionDuration || 0.5,
+              xfade: r.xfade || 'none',
+              xfadeDuration: r.xfadeDuration || 0.5,
               position: r.position || 'center',
               scaleMode: r.scaleMode || 'fit',
               rotation: r.rotation || 0,
@@ -372,6 +824,20 @@ function initApp() {
               fadeDuration: r.fadeDuration || 1,
               volume: r.volume !== undefined ? r.volume : 100
             };
+            if (r.type === 'audio') {
+              resource.role = r.role || 'music';
+              resource.offset = r.offset || 0;
+              resource.loop = Boolean(r.loop);
+              resource.trimToVideo = r.trimToVideo !== false;
+            }
+            if (r.type === 'image' && r.motion && r.motion !== 'none') {
+              resource.motion = r.motion;
+              resource.motionScale = r.motionScale;
+              if (r.motion === 'custom') {
+                resource.motionStart = r.motionStart;
+                resource.motionEnd = r.motionEnd;
+              }
+            }
             // 如果存在 filename（向后兼容），也添加进去
             if (r.filename) {
               resource.filename = r.filename;
@@ -386,13 +852,27 @@ function initApp() {
         try {
           const { data } = await axios.post(`${BASE_URL}/api/compose`, payload);
 
-          if (data.success) {
-            state.composeResultFile = `${BASE_URL}${data.path}`;
-            state.composeResultFilename = data.outputFile;
-            addDebugLog(`合成成功: ${data.outputFile}`, 'success');
-            addDebugLog(`执行的命令: ${data.command}`, 'info');
-          } else {
+          if (!data.success) {
             addDebugLog(`合成失败: ${data.error}`, 'error');
+            return;
+          }
+
+          addDebugLog(`合成任务已创建: ${data.jobId}`, 'info');
+          const job = await waitForJob(data.jobId);
+
+          if (job.status === 'done') {
+            state.composeResultFile = `${BASE_URL}${job.path}`;
+            state.composeResultFilename = job.outputFile;
+            addDebugLog(`合成成功: ${job.outputFile}`, 'success');
+            addDebugLog(`执行的命令: ${job.command}`, 'info');
+            if (job.loudness && job.loudness.output) {
+              const { measured, output } = job.loudness;
+              addDebugLog(`响度标准化: ${measured.integrated} LUFS → ${output.integrated} LUFS（真峰值 ${output.truePeak} dBTP，${job.loudness.normalizationType}）`, 'info');
+            }
+          } else if (job.status === 'cancelled') {
+            addDebugLog('合成已取消', 'info');
+          } else {
+            addDebugLog(`合成失败: ${job.error}`, 'error');
           }
         } catch (e) {
           addDebugLog(`合成错误: ${e.response?.data?.error || e.message}`, 'error');
@@ -401,6 +881,19 @@ function initApp() {
         }
       }
 
+      async function cancelCompose() {
+        if (!state.composeJob) return;
+        state.loading.cancelCompose = true;
+        addDebugLog(`取消合成任务: ${state.composeJob.id}`, 'info');
+        try {
+          await axios.delete(`${BASE_URL}/api/jobs/${state.composeJob.id}`);
+        } catch (e) {
+          addDebugLog(`取消失败: ${e.response?.data?.error || e.message}`, 'error');
+        } finally {
+          state.loading.cancelCompose = false;
+        }
+      }
+
       function switchFilesDirectory(directory) {
         state.filesCurrentDirectory = directory;
         // 切换目录时清除选择并重置页码
@@ -545,6 +1038,7 @@ function initApp() {
 
       onMounted(() => {
         addDebugLog('应用已加载', 'info');
+        loadPresets();
       });
 
       return {
@@ -553,19 +1047,30 @@ function initApp() {
         debugTabs,
         switchView,
         applyVideoSizePreset,
+        applyOutputPreset,
+        saveOptionsAsPreset,
+        deleteSelectedPreset,
         checkHealth,
         checkFFmpeg,
         addResourceFromUrl,
+        onResourceDrop,
+        onResourceFileSelect,
+        cancelUpload,
+        addTextResource,
         removeResource,
         editResource,
         saveResourceEdit,
         cancelResourceEdit,
         clearResources,
         handleCompose,
+        cancelCompose,
         getResourceIcon,
         getResourceColor,
         getResourceTypeName,
         getTransitionName,
+        getXfadeName,
+        getMotionName,
+        getTextAnimationName,
         switchFilesDirectory,
         loadFilesList,
         deleteFile,
@@ -577,6 +1082,7 @@ function initApp() {
         openPreview,
         closePreview,
         formatFileSize,
+        formatEta,
         addDebugLog,
         clearDebugLog,
         filteredDebugLogs
@@ -5,17 +5,33 @@ const https = require('https');
 const http = require('http');
 const { URL } = require('url');
 const cors = require('cors');
+const multer = require('multer');
 const bodyParser = require('body-parser');
 const swaggerUi = require('swagger-ui-express');
 const swaggerSpec = require('./swagger');
 const ffmpeg = require('./lib/ffmpeg');
+const jobs = require('./lib/jobs');
+const pool = require('./lib/pool');
+const presets = require('./lib/presets');
+const templates = require('./lib/templates');
+const webhooks = require('./lib/webhooks');
+const cache = require('./lib/cache');
+const urlPolicy = require('./lib/urlpolicy');
+const sniffer = require('./lib/sniffer');
+const uploads = require('./lib/uploads');
+const { JOB_STATUS } = jobs;
 
 
 const app = express();
 const PORT = process.env.PORT || 1571;
 
 // 中间件
-app.use(cors());
+// 断点续传接口的 tus 协议响应头（在 cors 之前设置，OPTIONS 预检请求由 cors 直接返回）
+app.use('/api/uploads', setTusHeaders);
+// tus 客户端需要读取的响应头
+app.use(cors({
+  exposedHeaders: ['Location', 'Upload-Offset', 'Upload-Length', 'Upload-Expires', 'Upload-Status', 'Tus-Resumable', 'Tus-Version', 'Tus-Extension', 'Tus-Max-Size', 'Tus-Checksum-Algorithm']
+}));
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 app.use(express.static('public'));
@@ -29,443 +45,2938 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec, {
 // 确保必要的目录存在
 const uploadsDir = path.join(__dirname, 'uploads');
 const outputDir = path.join(__dirname, 'output');
+// 合成模板目录（带 {{变量}} 占位符的时间线 JSON）
 const templateDir = path.join(__dirname, 'template');
-[uploadsDir, outputDir, templateDir].forEach(dir => {
+// 文字资源可用的字体文件目录
+const fontsDir = process.env.FONTS_DIR || path.join(__dirname, 'fonts');
+const FONT_EXTENSIONS = ['.ttf', '.otf', '.ttc'];
+// 持久化数据目录（用户预设等）
+const dataDir = process.env.DATA_DIR || path.join(__dirname, 'data');
+[uploadsDir, outputDir, templateDir, fontsDir, dataDir].forEach(dir => {
   if (!fs.existsSync(dir)) {
     fs.mkdirSync(dir, { recursive: true });
   }
 });
+presets.setStorage(path.join(dataDir, 'presets.json'));
+templates.setDirectory(templateDir);
+// 断点续传中的文件保存在 data/uploads，完成后移动到 uploads 目录
+uploads.setDirectories(path.join(dataDir, 'uploads'), uploadsDir);
+// 远程资源下载缓存目录
+if (cache.maxSize > 0) {
+  cache.setDirectory(process.env.CACHE_DIR || path.join(dataDir, 'cache'));
+}
+
+/**
+ * 服务的访问地址（回调中输出文件的完整 URL），优先使用 PUBLIC_URL
+ */
+function getBaseUrl(req) {
+  if (process.env.PUBLIC_URL) {
+    return process.env.PUBLIC_URL.replace(/\/+$/, '');
+  }
+  return `${req.protocol}://${req.get('host')}`;
+}
 
-// multer 配置已移除（不再需要文件上传功能）
-// 所有接口现在都支持直接使用远程资源（url 参数），无需预先上传
+// multipart 上传先保存到临时目录，校验后由 uploads.store 移动到 uploads 目录
+const multipartUpload = multer({
+  dest: uploads.getTempDirectory(),
+  limits: { fileSize: uploads.maxSize || Infinity }
+});
 
 /**
- * 下载网络资源到 uploads 目录（支持 HTTPS）
+ * 下载网络资源到 uploads 目录（支持 HTTPS），每一跳重定向都按下载策略（urlPolicy）检查
+ * @param {String} url - 资源地址
+ * @param {Object} downloadOptions - 选项 {signal: 取消信号, headers: 附加请求头, directory: 保存目录（默认 uploads）,
+ *   maxBytes: 单个文件的字节上限, budget: 多个下载共享的字节上限 {maxBytes, receivedBytes}, onProgress: ({receivedBytes, totalBytes}) => void}
+ * @returns {Promise<Object>} {filename, path, size, originalUrl, etag, lastModified, contentType}，条件请求返回 304 时为 {notModified: true}
  */
-async function downloadFromUrl(url) {
+async function downloadFromUrl(url, downloadOptions = {}) {
   return new Promise((resolve, reject) => {
     try {
-      const urlObj = new URL(url);
+      if (downloadOptions.signal && downloadOptions.signal.aborted) {
+        reject(ffmpeg.createCancelledError());
+        return;
+      }
+
+      const urlObj = urlPolicy.checkUrl(url);
       const protocol = urlObj.protocol === 'https:' ? https : http;
 
+      // 域名解析后再检查地址，默认校验 TLS 证书（DOWNLOAD_INSECURE_TLS=true 时跳过）
       const options = {
         timeout: 60000, // 60秒超时
         headers: {
           'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+          ...downloadOptions.headers
         },
+        ...urlPolicy.getRequestOptions()
       };
 
-      // HTTPS 选项：忽略证书错误（用于开发环境）
-      if (urlObj.protocol === 'https:') {
-        options.rejectUnauthorized = false; // 允许自签名证书
+      if (downloadOptions.signal) {
+        options.signal = downloadOptions.signal;
       }
 
+      let abortDownload = null; // 开始写入文件后，出错时通过它清理
       const request = protocol.get(url, options, (response) => {
-        // 处理重定向
+        // 处理重定向：限制次数，相对地址按当前 URL 解析，新地址重新检查
         if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
-          return downloadFromUrl(response.headers.location).then(resolve).catch(reject);
+          response.resume();
+          const redirects = (downloadOptions.redirects || 0) + 1;
+          if (redirects > urlPolicy.maxRedirects) {
+            const error = new Error(`重定向次数超过上限（${urlPolicy.maxRedirects} 次）`);
+            error.code = 'URL_BLOCKED';
+            reject(error);
+            return;
+          }
+          let location;
+          try {
+            location = new URL(response.headers.location, url).toString();
+          } catch (error) {
+            reject(new Error(`下载失败: 无效的重定向地址 ${response.headers.location}`));
+            return;
+          }
+          return downloadFromUrl(location, { ...downloadOptions, redirects }).then(resolve).catch(reject);
+        }
+
+        if (response.statusCode === 304) {
+          response.resume();
+          resolve({ notModified: true, originalUrl: url });
+          return;
         }
 
         if (response.statusCode !== 200) {
-          reject(new Error(`下载失败: HTTP ${response.statusCode}`));
+          response.resume();
+          const error = new Error(`下载失败: HTTP ${response.statusCode}`);
+          error.statusCode = response.statusCode;
+          reject(error);
           return;
         }
 
-        let ext = path.extname(urlObj.pathname).split('?')[0]; // 移除查询参数
-        const contentType = response.headers['content-type'];
+        // 超过单个文件或整个任务的字节上限时中止（先检查 Content-Length，再检查实际接收的字节数）
+        const budget = downloadOptions.budget;
+        const maxBytes = Math.min(
+          downloadOptions.maxBytes || Infinity,
+          budget ? budget.maxBytes - budget.receivedBytes : Infinity
+        );
+        const totalBytes = parseInt(response.headers['content-length']) || null;
+        if (totalBytes !== null && totalBytes > maxBytes) {
+          response.resume();
+          request.destroy();
+          reject(createTooLargeError(downloadOptions, totalBytes));
+          return;
+        }
 
-        if (!ext || ext === '') {
-          const mimeToExt = {
-            'video/mp4': '.mp4',
-            'video/avi': '.avi',
-            'video/quicktime': '.mov',
-            'video/x-msvideo': '.avi',
-            'video/webm': '.webm',
-            'image/jpeg': '.jpg',
-            'image/jpg': '.jpg',
-            'image/png': '.png',
-            'image/gif': '.gif',
-            'image/webp': '.webp',
-            'image/bmp': '.bmp',
-            'audio/mpeg': '.mp3',
-            'audio/mp3': '.mp3',
-            'audio/wav': '.wav',
-            'audio/aac': '.aac',
-            'audio/ogg': '.ogg',
-          };
-          const contentTypeBase = contentType ? contentType.split(';')[0].trim() : '';
-          ext = mimeToExt[contentTypeBase] || mimeToExt[contentType] || '.jpg';
+        // 扩展名优先取 URL 中已知的媒体扩展名，其次按 Content-Type，都无法确定时下载后按文件内容识别
+        const contentType = response.headers['content-type'];
+        let ext = path.extname(urlObj.pathname).toLowerCase();
+        if (!sniffer.getTypeByExtension(ext)) {
+          ext = sniffer.getExtensionByMime(contentType) || '';
         }
 
         const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
         const filename = `downloaded_${uniqueSuffix}${ext}`;
-        const filePath = path.join(uploadsDir, filename); // 直接保存到 uploads 目录
+        const filePath = path.join(downloadOptions.directory || uploadsDir, filename);
 
         const fileStream = fs.createWriteStream(filePath);
+        let receivedBytes = 0;
+        let settled = false;
+
+        // 下载中止（取消、超过上限、连接中断）：中断请求，删除不完整的文件并归还任务的字节额度
+        const fail = (error) => {
+          if (settled) {
+            return;
+          }
+          settled = true;
+          request.destroy();
+          fileStream.destroy();
+          fs.unlink(filePath, () => { });
+          if (budget) {
+            budget.receivedBytes -= receivedBytes;
+          }
+          reject(error);
+        };
+
+        response.on('data', (chunk) => {
+          receivedBytes += chunk.length;
+          if (budget) {
+            budget.receivedBytes += chunk.length;
+          }
+          if (receivedBytes > maxBytes) {
+            fail(createTooLargeError(downloadOptions, receivedBytes));
+            return;
+          }
+          if (downloadOptions.onProgress) {
+            downloadOptions.onProgress({ receivedBytes, totalBytes });
+          }
+        });
+        response.on('error', (err) => fail(new Error(`下载失败: ${err.message}`)));
         response.pipe(fileStream);
+        abortDownload = fail;
+
+        if (downloadOptions.signal) {
+          const onAbort = () => fail(ffmpeg.createCancelledError());
+          downloadOptions.signal.addEventListener('abort', onAbort, { once: true });
+          fileStream.on('close', () => downloadOptions.signal.removeEventListener('abort', onAbort));
+        }
 
         fileStream.on('finish', () => {
           fileStream.close();
-
-          const stats = fs.statSync(filePath);
-          resolve({
-            filename: filename,
-            path: filePath,
-            size: stats.size,
-            originalUrl: url
-          });
+          if (settled) {
+            return;
+          }
+          if (totalBytes !== null && receivedBytes < totalBytes) {
+            fail(new Error(`下载失败: 内容不完整（${receivedBytes}/${totalBytes} 字节）`));
+            return;
+          }
+          settled = true;
+
+          (ext ? Promise.resolve(filePath) : appendDetectedExtension(filePath))
+            .then(finalPath => {
+              const stats = fs.statSync(finalPath);
+              resolve({
+                filename: path.basename(finalPath),
+                path: finalPath,
+                size: stats.size,
+                originalUrl: url,
+                etag: response.headers['etag'] || null,
+                lastModified: response.headers['last-modified'] || null,
+                contentType: contentType || null
+              });
+            })
+            .catch(error => {
+              fs.unlink(filePath, () => { });
+              reject(new Error(`下载失败: ${error.message}`));
+            });
         });
 
-        fileStream.on('error', (err) => {
-          fs.unlink(filePath, () => { });
-          reject(err);
-        });
+        fileStream.on('error', fail);
       });
 
       request.on('error', (err) => {
-        reject(new Error(`下载失败: ${err.message}`));
+        let error;
+        if (downloadOptions.signal && downloadOptions.signal.aborted) {
+          error = ffmpeg.createCancelledError();
+        } else if (err.code === 'URL_BLOCKED') {
+          error = err; // 解析出的地址被下载策略拒绝
+        } else {
+          error = new Error(`下载失败: ${err.message}`);
+        }
+        if (abortDownload) {
+          abortDownload(error);
+        } else {
+          reject(error);
+        }
       });
 
       request.on('timeout', () => {
-        request.destroy();
-        reject(new Error('下载超时'));
+        const error = new Error('下载超时');
+        if (abortDownload) {
+          abortDownload(error);
+        } else {
+          request.destroy();
+          reject(error);
+        }
       });
 
     } catch (error) {
-      reject(new Error(`无效的 URL: ${error.message}`));
+      if (error.code === 'URL_BLOCKED') {
+        reject(error);
+        return;
+      }
+      const urlError = new Error(`无效的 URL: ${error.message}`);
+      urlError.code = 'INVALID_URL';
+      reject(urlError);
     }
   });
 }
 
-// /api/upload 接口已移除
-// 现在所有接口都支持直接使用远程资源（url 参数），无需预先上传
+/**
+ * 按文件内容识别格式并补上扩展名（FFmpeg 读取图片等输入时依赖扩展名），无法识别时使用 .bin
+ * @returns {Promise<String>} 重命名后的文件路径
+ */
+async function appendDetectedExtension(filePath) {
+  const detected = await sniffer.detectFile(filePath);
+  const finalPath = `${filePath}${detected ? detected.ext : '.bin'}`;
+  await fs.promises.rename(filePath, finalPath);
+  return finalPath;
+}
 
 /**
- * @swagger
- * /api/compose:
- *   post:
- *     summary: 合成视频（将多个资源合成为一个新视频，支持远程资源自动下载）
- *     description: |
- *       此接口支持两种资源提供方式：
- *       1. **远程资源（推荐）**：使用 `url` 参数提供 HTTP/HTTPS 链接，系统会自动下载并处理
- *       2. **本地资源**：使用 `filename` 参数提供已存在的本地文件名（不推荐，建议使用 url）
- *       
- *       远程资源会自动进行以下处理：
- *       - 自动下载远程图片/视频/音频文件
- *       - 自动识别文件类型和格式
- *       - 处理完成后自动清理临时文件
- *       
- *       示例请求：
- *       ```json
- *       {
- *         "resources": [
- *           {
- *             "type": "image",
- *             "url": "https://example.com/image.jpg",
- *             "duration": 3,
- *             "transition": "fade"
- *           },
- *           {
- *             "type": "audio",
- *             "url": "https://example.com/audio.mp3",
- *             "volume": 100
- *           }
- *         ],
- *         "options": {
- *           "width": 720,
- *           "height": 720,
- *           "fps": 30
- *         }
- *       }
- *       ```
- *     tags: [Process]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - resources
- *             properties:
- *               resources:
- *                 type: array
- *                 description: 资源数组，每个资源必须包含 type，以及 url（远程链接）或 filename（本地文件）之一
- *                 items:
- *                   type: object
- *                   required:
- *                     - type
- *                   properties:
- *                     type:
- *                       type: string
- *                       enum: [image, video, audio]
- *                       description: 资源类型（必填）- image（图片）、video（视频）、audio（音频）
- *                     url:
- *                       type: string
- *                       format: uri
- *                       description: |
- *                         远程资源 URL（推荐使用）
- *                         - 支持 HTTP 和 HTTPS 协议
- *                         - 系统会自动下载并处理
- *                         - 无需预先上传文件
- *                         - 示例：https://example.com/image.jpg
- *                     filename:
- *                       type: string
- *                       description: |
- *                         本地文件名（可选，不推荐使用）
- *                         - 仅在没有提供 url 时使用
- *                         - 文件必须已存在于 uploads 目录中
- *                         - 推荐使用 url 参数直接提供远程资源
- *                         - 示例：downloaded_1234567890-123456789.jpg
- *                     duration:
- *                       type: number
- *                       description: 持续时间（秒），图片资源必填，视频/音频可选
- *                     transition:
- *                       type: string
- *                       enum: [none, fade, directional-left, directional-right]
- *                       default: none
- *                       description: 过渡效果（仅图片有效）
- *                     transitionDuration:
- *                       type: number
- *                       default: 0.5
- *                       description: 过渡持续时间（秒）
- *                     position:
- *                       type: string
- *                       default: center
- *                       description: 位置（center, top, bottom, left, right）
- *                     scaleMode:
- *                       type: string
- *                       enum: [fit, fill]
- *                       default: fit
- *                       description: 缩放模式（fit=适应，fill=填充）
- *                     startTime:
- *                       type: number
- *                       description: 开始时间（秒），视频/音频资源可选
- *                     volume:
- *                       type: number
- *                       default: 100
- *                       description: 音量（0-100），音频资源有效
- *               options:
- *                 type: object
- *                 description: 视频输出选项
- *                 properties:
- *                   width:
- *                     type: number
- *                     default: 1280
- *                     description: 视频宽度（像素）
- *                   height:
- *                     type: number
- *                     default: 720
- *                     description: 视频高度（像素）
- *                   resolution:
- *                     type: string
- *                     default: "1280x720"
- *                     description: 视频分辨率（格式：宽x高），如果提供了 width 和 height，则优先使用
- *                   fps:
- *                     type: number
- *                     default: 25
- *                     description: 帧率
- *                   videoCodec:
- *                     type: string
- *                     default: "libx264"
- *                     description: 视频编码器
- *                   audioCodec:
- *                     type: string
- *                     default: "aac"
- *                     description: 音频编码器
- *                   backgroundColor:
- *                     type: string
- *                     default: "#000000"
- *                     description: 背景颜色（十六进制格式）
- *     responses:
- *       200:
- *         description: 合成成功
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 outputFile:
- *                   type: string
- *                   description: 输出文件名
- *                   example: "composed_1234567890.mp4"
- *                 path:
- *                   type: string
- *                   description: 输出文件访问路径
- *                   example: "/output/composed_1234567890.mp4"
- *                 command:
- *                   type: string
- *                   description: 执行的 FFmpeg 命令
- *       400:
- *         description: 请求参数错误
- *       500:
- *         description: 服务器错误
+ * 创建超过下载大小上限的错误
  */
-app.post('/api/compose', async (req, res) => {
-  try {
-    const { resources, options = {} } = req.body;
+function createTooLargeError(downloadOptions, bytes) {
+  // 没有超过单个文件的上限，说明超过的是任务的总上限
+  const error = new Error(downloadOptions.maxBytes && bytes > downloadOptions.maxBytes
+    ? `资源大小超过上限（${formatFileSize(downloadOptions.maxBytes)}）`
+    : `任务下载的资源总大小超过上限（${formatFileSize(downloadOptions.budget.maxBytes)}）`);
+  error.code = 'TOO_LARGE';
+  return error;
+}
 
-    console.log('[视频合成] 收到请求，resources:', JSON.stringify(resources, null, 2));
+// 远程资源下载：单个文件和单个任务的大小上限（MB，0 为不限制）、每个任务同时下载的资源数、失败重试次数和首次重试的等待时间（毫秒）
+const DOWNLOAD_MAX_SIZE = (process.env.DOWNLOAD_MAX_SIZE !== undefined ? Number(process.env.DOWNLOAD_MAX_SIZE) : 1024) * 1024 * 1024;
+const DOWNLOAD_MAX_JOB_SIZE = (process.env.DOWNLOAD_MAX_JOB_SIZE !== undefined ? Number(process.env.DOWNLOAD_MAX_JOB_SIZE) : 2048) * 1024 * 1024;
+const DOWNLOAD_CONCURRENCY = Math.max(1, parseInt(process.env.DOWNLOAD_CONCURRENCY) || 3);
+const DOWNLOAD_RETRIES = process.env.DOWNLOAD_RETRIES !== undefined ? Math.max(0, parseInt(process.env.DOWNLOAD_RETRIES) || 0) : 2;
+const DOWNLOAD_RETRY_DELAY = process.env.DOWNLOAD_RETRY_DELAY !== undefined ? Math.max(0, parseInt(process.env.DOWNLOAD_RETRY_DELAY) || 0) : 1000;
 
-    if (!Array.isArray(resources) || resources.length === 0) {
-      return res.status(400).json({ error: '资源列表不能为空' });
-    }
+/**
+ * 下载失败是否可能是暂时的（网络错误、超时、5xx、408、429），可以重试
+ */
+function isRetryableDownloadError(error) {
+  if (['CANCELLED', 'TOO_LARGE', 'INVALID_URL', 'URL_BLOCKED'].includes(error.code)) {
+    return false;
+  }
+  if (error.statusCode) {
+    return error.statusCode >= 500 || error.statusCode === 408 || error.statusCode === 429;
+  }
+  return true;
+}
 
-    // 验证资源并构建路径（支持远程 URL，filename 为可选）
-    const resourcePaths = [];
-    const tempFiles = []; // 记录临时下载的文件，用于后续清理
+/**
+ * 下载网络资源，暂时性失败时按 DOWNLOAD_RETRY_DELAY * 2^n 退避重试
+ * @param {Object} downloadOptions - 同 downloadFromUrl，另有 onAttempt: (attempt) => void
+ */
+async function downloadWithRetry(url, downloadOptions = {}) {
+  for (let attempt = 1; ; attempt++) {
+    if (downloadOptions.onAttempt) {
+      downloadOptions.onAttempt(attempt);
+    }
+    try {
+      return await downloadFromUrl(url, downloadOptions);
+    } catch (error) {
+      if (attempt > DOWNLOAD_RETRIES || !isRetryableDownloadError(error)) {
+        throw error;
+      }
+      const delay = DOWNLOAD_RETRY_DELAY * Math.pow(2, attempt - 1);
+      console.warn(`[下载] 第 ${attempt} 次下载失败，${delay}ms 后重试: ${url}`, error.message);
+      await new Promise((resolve, reject) => {
+        const signal = downloadOptions.signal;
+        const onAbort = () => {
+          clearTimeout(timer);
+          reject(ffmpeg.createCancelledError());
+        };
+        const timer = setTimeout(() => {
+          if (signal) {
+            signal.removeEventListener('abort', onAbort);
+          }
+          resolve();
+        }, delay);
+        if (signal) {
+          if (signal.aborted) {
+            onAbort();
+            return;
+          }
+          signal.addEventListener('abort', onAbort, { once: true });
+        }
+      });
+    }
+  }
+}
 
-    for (let i = 0; i < resources.length; i++) {
-      const resource = resources[i];
+/**
+ * 获取远程资源，优先使用下载缓存：有效期内直接使用，过期后用 ETag / Last-Modified 向源站确认，
+ * 源站暂时不可用时使用旧文件。用完后必须调用返回的 release（未启用缓存时删除下载的文件）
+ * @param {String} url - 资源地址
+ * @param {Object} options - 选项 {signal: 取消信号, maxBytes: 单个文件的字节上限（默认 DOWNLOAD_MAX_SIZE）, budget, onProgress, onAttempt（同 downloadWithRetry）}
+ * @returns {Promise<Object>} {filename, path, size, originalUrl, cache, release}
+ */
+async function fetchRemoteResource(url, options = {}) {
+  const downloadOptions = {
+    signal: options.signal,
+    maxBytes: options.maxBytes !== undefined ? options.maxBytes : DOWNLOAD_MAX_SIZE || undefined,
+    budget: options.budget,
+    onProgress: options.onProgress,
+    onAttempt: options.onAttempt
+  };
+
+  if (!cache.enabled) {
+    const download = await downloadWithRetry(url, downloadOptions);
+    return {
+      ...download,
+      cache: 'disabled',
+      release: () => fs.unlink(download.path, () => { })
+    };
+  }
 
-      console.log(`[视频合成] 处理资源 ${i + 1}:`, JSON.stringify(resource));
+  const cached = cache.get(url);
+  if (cached && cache.isFresh(cached)) {
+    return cache.use(cached, 'hit');
+  }
 
-      // 验证 type 字段
-      if (!resource.type) {
-        console.error(`[视频合成] 资源 ${i + 1} 缺少 type 字段`);
-        return res.status(400).json({ error: `资源 ${i + 1} 必须包含 type 字段` });
+  // 向源站确认期间占用旧文件，避免被淘汰或清除（DELETE /api/cache）后再按 304 使用已删除的文件
+  const unpin = cached ? cache.pin(cached.file) : () => { };
+  try {
+    let download;
+    try {
+      download = await downloadWithRetry(url, {
+        ...downloadOptions,
+        directory: cache.directory,
+        headers: cached ? cache.getConditionalHeaders(cached) : undefined
+      });
+    } catch (error) {
+      if (cached && isRetryableDownloadError(error)) {
+        console.warn(`[下载缓存] 源站验证失败，使用缓存文件: ${url}`, error.message);
+        return cache.use(cached, 'stale');
       }
+      throw error;
+    }
+    if (download.notModified) {
+      return cache.use(cached, 'revalidated');
+    }
+    return cache.use(await cache.store(url, download.path, download), 'miss');
+  } finally {
+    unpin();
+  }
+}
 
-      if (!['image', 'video', 'audio'].includes(resource.type)) {
-        return res.status(400).json({ error: `资源 ${i + 1} 不支持的资源类型: ${resource.type}` });
+/**
+ * 任务的远程资源下载：所有下载共享任务的字节上限，每个资源的状态和进度记录在任务详情的 downloads 中
+ * downloads 的每项为 {label, url, status, receivedBytes, totalBytes, attempts, cache, error}
+ */
+function createJobDownloader(job) {
+  const budget = DOWNLOAD_MAX_JOB_SIZE > 0 ? { maxBytes: DOWNLOAD_MAX_JOB_SIZE, receivedBytes: 0 } : undefined;
+  const entries = [];
+  let lastPublished = 0;
+
+  // 状态变化时立即更新任务，接收数据时最多每 500ms 更新一次
+  const publish = (force) => {
+    const now = Date.now();
+    if (!force && now - lastPublished < 500) {
+      return;
+    }
+    lastPublished = now;
+    jobs.update(job.id, { downloads: entries });
+  };
+
+  return {
+    /**
+     * 下载一个资源，返回值同 fetchRemoteResource
+     * @param {AbortSignal} signal - 取消信号（默认为任务的取消信号）
+     */
+    async fetch(url, label, signal = job.signal) {
+      const entry = { label, url, status: 'pending', receivedBytes: 0, totalBytes: null, attempts: 0 };
+      entries.push(entry);
+      jobs.update(job.id, { status: JOB_STATUS.DOWNLOADING });
+      publish(true);
+      try {
+        const result = await fetchRemoteResource(url, {
+          signal,
+          budget,
+          onAttempt: (attempt) => {
+            Object.assign(entry, { status: 'downloading', attempts: attempt, receivedBytes: 0 });
+            publish(true);
+          },
+          onProgress: ({ receivedBytes, totalBytes }) => {
+            Object.assign(entry, { receivedBytes, totalBytes });
+            publish(false);
+          }
+        });
+        Object.assign(entry, { status: 'done', cache: result.cache, totalBytes: result.size });
+        publish(true);
+        return result;
+      } catch (error) {
+        entry.status = error.code === 'CANCELLED' ? 'cancelled' : 'failed';
+        // 任务未取消时，取消信号来自其他资源下载失败
+        entry.error = error.code === 'CANCELLED' && !job.signal.aborted ? '其他资源下载失败，已中止' : error.message;
+        publish(true);
+        throw error;
       }
+    }
+  };
+}
 
-      let filePath;
-      let isTempFile = false;
-
-      // 优先使用 url（远程链接），如果提供了 url 则自动下载
-      if (resource.url) {
-        try {
-          // 验证 URL 格式
-          try {
-            new URL(resource.url);
-          } catch (urlError) {
-            return res.status(400).json({ error: `资源 ${i + 1} 的 URL 格式无效: ${resource.url}` });
-          }
+/**
+ * 以有限并发对列表中的每一项执行 handler，结果按原顺序返回
+ * 任一项失败时中止其余进行中的项（通过 handler 收到的 signal），等待它们结束后抛出第一个错误
+ * @param {Function} handler - async (item, index, signal) => result
+ */
+async function mapWithConcurrency(items, concurrency, parentSignal, handler) {
+  const controller = new AbortController();
+  const onParentAbort = () => controller.abort();
+  if (parentSignal) {
+    parentSignal.addEventListener('abort', onParentAbort, { once: true });
+  }
 
-          console.log(`[视频合成] 开始下载远程资源 ${i + 1}: ${resource.url}`);
-          const downloadResult = await downloadFromUrl(resource.url);
-
-          // downloadFromUrl 已经将文件保存到 uploadsDir，直接使用返回的路径
-          filePath = downloadResult.path;
-          isTempFile = true; // 标记为临时文件，后续需要清理
-          tempFiles.push(filePath);
-          console.log(`[视频合成] 远程资源下载成功: ${resource.url} -> ${downloadResult.filename} (${(downloadResult.size / 1024).toFixed(2)} KB)`);
-        } catch (downloadError) {
-          console.error(`[视频合成] 下载远程资源失败 (资源 ${i + 1}):`, downloadError);
-          const errorMessage = downloadError.message || '未知错误';
-          return res.status(500).json({
-            error: `资源 ${i + 1} 下载远程资源失败`,
-            details: {
-              url: resource.url,
-              type: resource.type,
-              message: errorMessage
-            }
-          });
-        }
-      } else if (resource.filename) {
-        // 使用本地文件名（可选，如果没有 url 才需要）
-        filePath = path.join(uploadsDir, resource.filename);
-        if (!fs.existsSync(filePath)) {
-          return res.status(404).json({ error: `资源 ${i + 1} 文件不存在: ${resource.filename}` });
+  const results = new Array(items.length);
+  let next = 0;
+  let firstError = null;
+  const worker = async () => {
+    while (next < items.length && !firstError && !controller.signal.aborted) {
+      const index = next++;
+      try {
+        results[index] = await handler(items[index], index, controller.signal);
+      } catch (error) {
+        if (!firstError) {
+          firstError = error;
+          controller.abort();
         }
-        console.log(`[视频合成] 使用本地文件: ${resource.filename}`);
-      } else {
-        // 既没有 url 也没有 filename，报错
-        console.error(`[视频合成] 资源 ${i + 1} 既没有 url 也没有 filename`);
-        return res.status(400).json({ error: `资源 ${i + 1} 必须提供 url（远程链接）或 filename（本地文件）` });
       }
-
-      resourcePaths.push({
-        type: resource.type,
-        path: filePath,
-        duration: resource.duration,
-        startTime: resource.startTime,
-        transition: resource.transition || 'none',
-        transitionDuration: resource.transitionDuration || 0.5,
-        position: resource.position || 'center',
-        scaleMode: resource.scaleMode || 'fit',
-        rotation: resource.rotation || 0,
-        opacity: resource.opacity !== undefined ? resource.opacity : 100,
-        fade: resource.fade || 'none',
-        fadeDuration: resource.fadeDuration || 1,
-        volume: resource.volume !== undefined ? resource.volume : 100
-      });
     }
+  };
 
-    // 生成输出文件名
-    const outputFormat = options.format || 'mp4';
-    const outputFilename = `composed_${Date.now()}.${outputFormat}`;
+  try {
+    await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  } finally {
+    if (parentSignal) {
+      parentSignal.removeEventListener('abort', onParentAbort);
+    }
+  }
+  if (firstError) {
+    throw firstError;
+  }
+  if (parentSignal && parentSignal.aborted) {
+    throw ffmpeg.createCancelledError();
+  }
+  return results;
+}
+
+// 上传接口的错误码对应的 HTTP 状态码（460 为 tus checksum 扩展规定的校验和不一致）
+const UPLOAD_ERROR_STATUS = {
+  INVALID_UPLOAD: 400,
+  UPLOAD_NOT_FOUND: 404,
+  OFFSET_MISMATCH: 409,
+  UPLOAD_LOCKED: 409,
+  TOO_LARGE: 413,
+  LIMIT_FILE_SIZE: 413,
+  CHECKSUM_MISMATCH: 460
+};
+
+/**
+ * 返回上传操作的错误响应
+ */
+function sendUploadError(res, error) {
+  const status = UPLOAD_ERROR_STATUS[error.code] || 500;
+  if (status === 500) {
+    console.error('[上传] 处理失败:', error);
+  }
+  const message = error.code === 'LIMIT_FILE_SIZE'
+    ? `文件大小超过上限（${Math.round(uploads.maxSize / 1024 / 1024)} MB）`
+    : error.message;
+  res.status(status).json({ error: message });
+}
+
+/**
+ * 断点续传接口的 tus 协议响应头，请求的 Tus-Resumable 版本不支持时返回 412
+ */
+function setTusHeaders(req, res, next) {
+  res.set({
+    'Tus-Resumable': '1.0.0',
+    'Tus-Version': '1.0.0',
+    'Tus-Extension': 'creation,checksum,termination,expiration',
+    'Tus-Checksum-Algorithm': uploads.CHECKSUM_ALGORITHMS.join(',')
+  });
+  if (uploads.maxSize) {
+    res.set('Tus-Max-Size', String(uploads.maxSize));
+  }
+  const version = req.get('Tus-Resumable');
+  if (req.method !== 'OPTIONS' && version && version !== '1.0.0') {
+    return res.status(412).json({ error: `不支持的 tus 协议版本: ${version}（支持 1.0.0）` });
+  }
+  next();
+}
+
+/**
+ * 上传进度相关的响应头，Upload-Status 为上传状态（uploading / processing / completed / failed）
+ */
+function setUploadHeaders(res, record) {
+  res.set({
+    'Upload-Offset': String(record.offset),
+    'Upload-Length': String(record.size),
+    'Upload-Status': record.status,
+    'Cache-Control': 'no-store'
+  });
+  if (record.expiresAt) {
+    res.set('Upload-Expires', new Date(record.expiresAt).toUTCString());
+  }
+}
+
+/**
+ * @swagger
+ * /api/upload:
+ *   post:
+ *     summary: 上传文件（multipart）
+ *     description: |
+ *       上传的文件保存到 uploads 目录，合成和处理接口通过返回的 filename 使用。
+ *       文件名由服务端生成，原始扩展名不是已知媒体格式时按文件内容识别。
+ *       大文件（几百 MB 以上）建议使用断点续传接口 /api/uploads。
+ *     tags: [Upload]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               sha256:
+ *                 type: string
+ *                 description: 文件的 SHA-256（十六进制），提供时校验，不一致返回 460
+ *     responses:
+ *       200:
+ *         description: 上传成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UploadResponse'
+ *       400:
+ *         description: 没有上传文件
+ *       413:
+ *         description: 文件大小超过 UPLOAD_MAX_SIZE
+ *       460:
+ *         description: 校验和不一致
+ */
+app.post('/api/upload', (req, res) => {
+  multipartUpload.single('file')(req, res, async (uploadError) => {
+    if (uploadError instanceof multer.MulterError && uploadError.code !== 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({ error: `上传失败: ${uploadError.message}（文件字段名为 file）` });
+    }
+    if (uploadError) {
+      return sendUploadError(res, uploadError);
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: '请使用 file 字段上传文件' });
+    }
+    const sha256 = req.body && req.body.sha256;
+    if (sha256 && !/^[a-f0-9]{64}$/i.test(sha256)) {
+      fs.unlink(req.file.path, () => { });
+      return res.status(400).json({ error: 'sha256 必须是 64 位十六进制摘要' });
+    }
+
+    try {
+      // multer 按 latin1 解码文件名，转换为 UTF-8 以保留中文文件名
+      const originalName = Buffer.from(req.file.originalname, 'latin1').toString('utf8');
+      const stored = await uploads.store(req.file.path, originalName, sha256);
+      console.log(`[上传] ${originalName} -> ${stored.filename}（${stored.type}）`);
+      res.json({
+        success: true,
+        ...stored,
+        path: `/uploads/${stored.filename}`
+      });
+    } catch (error) {
+      fs.unlink(req.file.path, () => { });
+      sendUploadError(res, error);
+    }
+  });
+});
+
+/**
+ * @swagger
+ * /api/uploads:
+ *   post:
+ *     summary: 创建断点续传上传（tus 1.0）
+ *     description: |
+ *       兼容 tus 1.0 协议（creation、checksum、termination、expiration 扩展），可直接使用 tus-js-client 等客户端：
+ *
+ *       1. POST /api/uploads 创建上传，响应头 Location 为上传地址
+ *       2. PATCH 上传地址依次发送数据块（Content-Type: application/offset+octet-stream，Upload-Offset 为已上传的字节数）
+ *       3. 中断后 HEAD 上传地址获取 Upload-Offset，从该位置继续
+ *       4. 全部接收后状态变为 processing，服务端在后台校验、识别类型并移动到 uploads 目录；
+ *          HEAD 的响应头 Upload-Status 或 GET 的 status 变为 completed 后，GET 上传地址获取 filename
+ *
+ *       每个数据块可通过 Upload-Checksum（如 "sha256 base64摘要"）校验，不一致时丢弃该块并返回 460；
+ *       Upload-Metadata 中的 sha256 为整个文件的十六进制摘要，全部接收后在后台校验，不一致时状态为 failed（error 为错误信息）并删除已接收的数据。
+ *     tags: [Upload]
+ *     parameters:
+ *       - in: header
+ *         name: Upload-Length
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 文件总字节数（不超过 UPLOAD_MAX_SIZE）
+ *       - in: header
+ *         name: Upload-Metadata
+ *         schema:
+ *           type: string
+ *         description: 逗号分隔的 "键 base64(值)"，支持 filename、filetype、sha256
+ *         example: filename dmlkZW8ubXA0,filetype dmlkZW8vbXA0
+ *       - in: header
+ *         name: Tus-Resumable
+ *         schema:
+ *           type: string
+ *           example: 1.0.0
+ *     responses:
+ *       201:
+ *         description: 已创建，响应头 Location 为上传地址
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 upload:
+ *                   $ref: '#/components/schemas/Upload'
+ *       400:
+ *         description: 请求参数错误
+ *       413:
+ *         description: 文件大小超过 UPLOAD_MAX_SIZE
+ */
+app.post('/api/uploads', async (req, res) => {
+  if (req.get('Upload-Defer-Length')) {
+    return res.status(400).json({ error: '不支持延迟指定长度（Upload-Defer-Length）' });
+  }
+  const size = Number(req.get('Upload-Length'));
+  try {
+    const record = await uploads.create(size, uploads.parseMetadata(req.get('Upload-Metadata')));
+    setUploadHeaders(res, record);
+    res.status(201).location(`/api/uploads/${record.id}`).json({ success: true, upload: uploads.toJSON(record) });
+  } catch (error) {
+    sendUploadError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/uploads/{id}:
+ *   head:
+ *     summary: 查询已上传的字节数（tus）
+ *     description: 响应头 Upload-Offset 为服务端已接收的字节数，客户端从该位置继续上传；Upload-Status 为上传状态
+ *     tags: [Upload]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 响应头 Upload-Offset、Upload-Length、Upload-Status、Upload-Expires
+ *       404:
+ *         description: 上传不存在或已过期
+ */
+app.head('/api/uploads/:id', (req, res) => {
+  const record = uploads.get(req.params.id);
+  if (!record) {
+    return res.status(404).end();
+  }
+  setUploadHeaders(res, record);
+  res.status(200).end();
+});
+
+/**
+ * @swagger
+ * /api/uploads/{id}:
+ *   get:
+ *     summary: 查询上传状态
+ *     description: 上传完成（completed）后返回 uploads 目录中的 filename 和识别出的资源类型；processing 表示正在后台校验和识别，failed 时 error 为错误信息
+ *     tags: [Upload]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 上传状态
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 upload:
+ *                   $ref: '#/components/schemas/Upload'
+ *       404:
+ *         description: 上传不存在或已过期
+ */
+app.get('/api/uploads/:id', (req, res) => {
+  const record = uploads.get(req.params.id);
+  if (!record) {
+    return res.status(404).json({ error: `上传不存在或已过期: ${req.params.id}` });
+  }
+  setUploadHeaders(res, record);
+  res.json({ success: true, upload: uploads.toJSON(record) });
+});
+
+/**
+ * @swagger
+ * /api/uploads/{id}:
+ *   patch:
+ *     summary: 上传数据块（tus）
+ *     description: |
+ *       从 Upload-Offset 处追加请求体中的数据，成功返回 204 和新的 Upload-Offset。未提供 Upload-Checksum 时连接中断前已接收的数据会保留。
+ *       最后一块接收后立即返回，文件在后台处理（Upload-Status 为 processing）
+ *     tags: [Upload]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: Upload-Offset
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 本块在文件中的起始位置，必须等于服务端的 Upload-Offset
+ *       - in: header
+ *         name: Upload-Checksum
+ *         schema:
+ *           type: string
+ *         description: 本块的校验和 "算法 base64(摘要)"，算法支持 sha1、sha256
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/offset+octet-stream:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       204:
+ *         description: 已接收，响应头 Upload-Offset 为新的已上传字节数
+ *       400:
+ *         description: 请求参数错误
+ *       404:
+ *         description: 上传不存在或已过期
+ *       409:
+ *         description: Upload-Offset 与服务端不一致，或该上传正在写入
+ *       413:
+ *         description: 数据超过 Upload-Length
+ *       415:
+ *         description: Content-Type 不是 application/offset+octet-stream
+ *       460:
+ *         description: 校验和不一致
+ */
+app.patch('/api/uploads/:id', async (req, res) => {
+  if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+    return res.status(415).json({ error: 'Content-Type 必须是 application/offset+octet-stream' });
+  }
+  const offset = Number(req.get('Upload-Offset'));
+  if (!Number.isInteger(offset) || offset < 0) {
+    return res.status(400).json({ error: 'Upload-Offset 必须是非负整数' });
+  }
+
+  try {
+    const checksum = uploads.parseChecksum(req.get('Upload-Checksum'));
+    const record = await uploads.append(req.params.id, offset, req, checksum);
+    setUploadHeaders(res, record);
+    res.status(204).end();
+  } catch (error) {
+    sendUploadError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/uploads/{id}:
+ *   delete:
+ *     summary: 终止上传（tus termination）
+ *     description: 删除未完成的上传和已接收的数据；已完成的上传只删除记录，uploads 目录中的文件保留
+ *     tags: [Upload]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: 已删除
+ *       404:
+ *         description: 上传不存在
+ */
+app.delete('/api/uploads/:id', async (req, res) => {
+  try {
+    if (!(await uploads.remove(req.params.id))) {
+      return res.status(404).json({ error: `上传不存在: ${req.params.id}` });
+    }
+    res.status(204).end();
+  } catch (error) {
+    sendUploadError(res, error);
+  }
+});
+
+
+/**
+ * @swagger
+ * /api/compose:
+ *   post:
+ *     summary: 合成视频（将多个资源合成为一个新视频，支持远程资源自动下载）
+ *     description: |
+ *       此接口支持两种资源提供方式：
+ *       1. **远程资源（推荐）**：使用 `url` 参数提供 HTTP/HTTPS 链接，系统会自动下载并处理
+ *       2. **本地资源**：使用 `filename` 参数提供已存在的本地文件名（不推荐，建议使用 url）
+ *       
+ *       远程资源会自动进行以下处理：
+ *       - 自动下载远程图片/视频/音频文件
+ *       - 自动识别文件类型和格式
+ *       - 下载的文件保存在下载缓存中，相同 URL 的后续请求复用（见 /api/cache）
+ *       
+ *       接口立即返回任务 ID，合成在后台进行，通过 `GET /api/jobs/{id}` 轮询状态、进度和输出路径。
+ *       
+ *       除平铺的 `resources`（按顺序首尾相接，相当于单轨道）外，还可以提供多轨道时间线 `timeline`：
+ *       每个片段通过 start/duration 放在时间线上，通过 layer 和 x/y/width/height 叠加在背景画布上（画中画、角标等），
+ *       音频片段和视频自带的音频按开始时间混合。提供 `timeline` 时忽略 `resources`。
+ *       ```json
+ *       {
+ *         "timeline": {
+ *           "tracks": [
+ *             { "items": [{ "type": "video", "url": "https://example.com/main.mp4" }] },
+ *             { "layer": 1, "items": [{ "type": "image", "url": "https://example.com/logo.png", "start": 2, "duration": 5, "x": 20, "y": 20, "width": 200 }] },
+ *             { "items": [{ "type": "audio", "url": "https://example.com/bgm.mp3", "start": 0, "volume": 60 }] }
+ *           ]
+ *         }
+ *       }
+ *       ```
+ *       
+ *       示例请求：
+ *       ```json
+ *       {
+ *         "resources": [
+ *           {
+ *             "type": "image",
+ *             "url": "https://example.com/image.jpg",
+ *             "duration": 3,
+ *             "transition": "fade"
+ *           },
+ *           {
+ *             "type": "audio",
+ *             "url": "https://example.com/audio.mp3",
+ *             "volume": 100
+ *           }
+ *         ],
+ *         "options": {
+ *           "width": 720,
+ *           "height": 720,
+ *           "fps": 30
+ *         }
+ *       }
+ *       ```
+ *     tags: [Process]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               priority:
+ *                 type: number
+ *                 default: 0
+ *                 description: 任务优先级，数值越大越先获得编码资源
+ *               callbackUrl:
+ *                 type: string
+ *                 description: 任务结束（done / failed / cancelled）后 POST 任务结果的回调地址，失败时按指数退避重试，投递记录见任务详情的 webhook。内网和本机地址返回 400（WEBHOOK_ALLOW_PRIVATE=true 时允许）
+ *                 example: https://example.com/hooks/ffmpeg
+ *               callbackSecret:
+ *                 type: string
+ *                 description: 回调签名密钥，提供时请求头 X-Webhook-Signature 为 sha256=HMAC-SHA256(secret, "{X-Webhook-Timestamp}.{请求体}")
+ *               timeline:
+ *                 type: object
+ *                 description: 多轨道时间线（与 resources 二选一）
+ *                 properties:
+ *                   duration:
+ *                     type: number
+ *                     description: 输出总时长（秒），默认为最后一个图片/视频片段的结束时间
+ *                   tracks:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       required:
+ *                         - items
+ *                       properties:
+ *                         layer:
+ *                           type: number
+ *                           description: 轨道默认图层，数值大的叠加在上层，默认为轨道序号
+ *                         items:
+ *                           type: array
+ *                           description: 片段列表，字段同 resources 中的资源（不支持 xfade，transition 只支持淡入淡出，motion 只适用于图片），另支持以下字段
+ *                           items:
+ *                             type: object
+ *                             required:
+ *                               - type
+ *                             properties:
+ *                               start:
+ *                                 type: number
+ *                                 description: 在时间线上的开始时间（秒），默认紧接同一轨道的上一个片段
+ *                               layer:
+ *                                 type: number
+ *                                 description: 图层，默认使用轨道的 layer
+ *                               x:
+ *                                 type: number
+ *                                 default: 0
+ *                                 description: 在画布上的横坐标（像素）
+ *                               y:
+ *                                 type: number
+ *                                 default: 0
+ *                                 description: 在画布上的纵坐标（像素）
+ *                               width:
+ *                                 type: number
+ *                                 description: 显示宽度（像素），宽高都省略时适应整个画布，只给一边时保持比例
+ *                               height:
+ *                                 type: number
+ *                                 description: 显示高度（像素）
+ *                               transition:
+ *                                 type: string
+ *                                 enum: [none, fade, fadein, fadeout]
+ *                                 description: 片段透明度淡入淡出
+ *                               motion:
+ *                                 type: string
+ *                                 enum: [none, zoomIn, zoomOut, panLeft, panRight, panUp, panDown, custom]
+ *                                 description: 图片片段的 Ken Burns 动效，填满片段的显示区域（未指定宽高时为整个画布），参数同 resources 中的 motion
+ *                               mute:
+ *                                 type: boolean
+ *                                 default: false
+ *                                 description: 视频片段是否静音（不混入自带音频）
+ *               resources:
+ *                 type: array
+ *                 description: 资源数组（平铺列表，相当于单轨道时间线），每个资源必须包含 type，以及 url（远程链接）或 filename（本地文件）之一
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - type
+ *                   properties:
+ *                     type:
+ *                       type: string
+ *                       enum: [image, video, audio, text, subtitle, auto]
+ *                       description: 资源类型（必填）- image（图片）、video（视频）、audio（音频）、text（文字，不需要 url/filename）、subtitle（字幕文件）、auto（按文件内容自动识别，规则同 POST /api/resources/inspect）
+ *                     mode:
+ *                       type: string
+ *                       enum: [burn, soft]
+ *                       default: burn
+ *                       description: 字幕资源（type 为 subtitle，支持 srt、vtt、ass）的处理方式 - burn 烧录到画面，soft 作为字幕轨封装（输出格式需为 mp4、mov、mkv 或 webm）。字幕时间轴为输出视频中的时间
+ *                     style:
+ *                       type: object
+ *                       description: 烧录字幕的样式覆盖（ASS 样式字段），颜色为 #RRGGBB，字体名可使用 fonts 目录中的字体
+ *                       properties:
+ *                         fontName: { type: string }
+ *                         fontSize: { type: number }
+ *                         primaryColor: { type: string }
+ *                         outlineColor: { type: string }
+ *                         backColor: { type: string }
+ *                         bold: { type: boolean }
+ *                         italic: { type: boolean }
+ *                         outline: { type: number, description: 描边宽度 }
+ *                         shadow: { type: number, description: 阴影距离 }
+ *                         alignment: { type: number, description: 小键盘方位 1-9，2 为底部居中 }
+ *                         marginL: { type: number }
+ *                         marginR: { type: number }
+ *                         marginV: { type: number }
+ *                     language:
+ *                       type: string
+ *                       description: 软字幕的语言代码（如 chi、eng）
+ *                     text:
+ *                       type: string
+ *                       description: 文字内容（text 资源必填，可包含换行）。平铺列表中文字叠加在合成后的画面上，由 start/duration 指定显示时间
+ *                     font:
+ *                       type: string
+ *                       description: 字体文件名（fonts 目录中的文件，见 GET /api/fonts），默认使用系统字体
+ *                     fontSize:
+ *                       type: number
+ *                       default: 48
+ *                       description: 字号（1-1000）
+ *                     fontColor:
+ *                       type: string
+ *                       default: "#ffffff"
+ *                       description: 文字颜色，#RRGGBB，可附加 @透明度（如 #ffffff@0.8）；strokeColor、shadowColor、boxColor 格式相同，颜色和数值参数格式错误时返回 400
+ *                     strokeWidth:
+ *                       type: number
+ *                       default: 0
+ *                       description: 描边宽度（像素）
+ *                     strokeColor:
+ *                       type: string
+ *                       default: "#000000"
+ *                     shadowX:
+ *                       type: number
+ *                       description: 阴影水平偏移（像素），shadowX/shadowY 都为 0 时无阴影
+ *                     shadowY:
+ *                       type: number
+ *                     shadowColor:
+ *                       type: string
+ *                       default: "#000000"
+ *                     box:
+ *                       type: boolean
+ *                       default: false
+ *                       description: 是否绘制背景框
+ *                     boxColor:
+ *                       type: string
+ *                       default: "#000000"
+ *                     boxOpacity:
+ *                       type: number
+ *                       default: 50
+ *                       description: 背景框不透明度（0-100）
+ *                     boxPadding:
+ *                       type: number
+ *                       default: 10
+ *                     align:
+ *                       type: string
+ *                       enum: [left, center, right]
+ *                       default: center
+ *                       description: 文字水平位置
+ *                     margin:
+ *                       type: number
+ *                       default: 40
+ *                       description: 文字与画面边缘的距离（像素），x/y 指定时忽略
+ *                     enter:
+ *                       type: string
+ *                       enum: [none, fade, slideUp, slideDown, slideLeft, slideRight]
+ *                       default: none
+ *                       description: 文字入场动画（slide 为朝该方向移入并淡入）
+ *                     exit:
+ *                       type: string
+ *                       enum: [none, fade, slideUp, slideDown, slideLeft, slideRight]
+ *                       default: none
+ *                       description: 文字出场动画，需要指定 duration
+ *                     animationDuration:
+ *                       type: number
+ *                       default: 0.5
+ *                     start:
+ *                       type: number
+ *                       default: 0
+ *                       description: 文字在输出视频中的开始时间（秒），省略 duration 时显示到结束
+ *                     x:
+ *                       type: number
+ *                       description: 文字左上角横坐标（像素），指定后忽略 align
+ *                     y:
+ *                       type: number
+ *                       description: 文字左上角纵坐标（像素），指定后忽略 position
+ *                     url:
+ *                       type: string
+ *                       format: uri
+ *                       description: |
+ *                         远程资源 URL（推荐使用）
+ *                         - 支持 HTTP 和 HTTPS 协议
+ *                         - 不能指向内网、本机或链路本地地址（域名解析后检查，重定向的每一跳都检查）
+ *                         - 系统会自动下载并处理
+ *                         - 无需预先上传文件
+ *                         - 示例：https://example.com/image.jpg
+ *                     filename:
+ *                       type: string
+ *                       description: |
+ *                         本地文件名（可选，不推荐使用）
+ *                         - 仅在没有提供 url 时使用
+ *                         - 文件必须已存在于 uploads 目录中
+ *                         - 推荐使用 url 参数直接提供远程资源
+ *                         - 示例：downloaded_1234567890-123456789.jpg
+ *                     duration:
+ *                       type: number
+ *                       description: 持续时间（秒），图片资源必填，视频/音频可选
+ *                     transition:
+ *                       type: string
+ *                       enum: [none, fade, directional-left, directional-right]
+ *                       default: none
+ *                       description: 过渡效果（仅图片有效）
+ *                     transitionDuration:
+ *                       type: number
+ *                       default: 0.5
+ *                       description: 过渡持续时间（秒）
+ *                     xfade:
+ *                       type: string
+ *                       enum: [none, fade, fadeblack, fadewhite, fadegrays, dissolve, distance, wipeleft, wiperight, wipeup, wipedown, wipetl, wipetr, wipebl, wipebr, slideleft, slideright, slideup, slidedown, smoothleft, smoothright, smoothup, smoothdown, circlecrop, rectcrop, circleopen, circleclose, vertopen, vertclose, horzopen, horzclose, diagtl, diagtr, diagbl, diagbr, hlslice, hrslice, vuslice, vdslice, radial, pixelize, hblur, squeezeh, squeezev, zoomin]
+ *                       default: none
+ *                       description: |
+ *                         与上一个片段之间的转场（图片/视频有效，第一个片段忽略）
+ *                         - 使用 FFmpeg xfade 实现真正的交叉过渡，片段会重叠 xfadeDuration 秒，总时长相应缩短
+ *                         - 片段自带音频时使用 acrossfade 同步过渡
+ *                     xfadeDuration:
+ *                       type: number
+ *                       default: 0.5
+ *                       description: 片段间转场时长（秒），不超过相邻片段的时长
+ *                     motion:
+ *                       type: string
+ *                       enum: [none, zoomIn, zoomOut, panLeft, panRight, panUp, panDown, custom]
+ *                       default: none
+ *                       description: 图片 Ken Burns 平移缩放效果（仅图片有效），按合成的帧率和分辨率使用 zoompan 生成
+ *                     motionScale:
+ *                       type: number
+ *                       default: 1.25
+ *                       description: 动效的最大放大倍数（zoomIn/zoomOut 的终点/起点，平移时的固定倍数）
+ *                     motionStart:
+ *                       type: object
+ *                       description: 自定义动效的起始区域（motion 为 custom 时必填），坐标和尺寸为相对画面的 0-1 比例
+ *                       properties:
+ *                         x: { type: number }
+ *                         y: { type: number }
+ *                         width: { type: number }
+ *                         height: { type: number }
+ *                     motionEnd:
+ *                       type: object
+ *                       description: 自定义动效的结束区域（motion 为 custom 时必填），格式同 motionStart
+ *                       properties:
+ *                         x: { type: number }
+ *                         y: { type: number }
+ *                         width: { type: number }
+ *                         height: { type: number }
+ *                     position:
+ *                       type: string
+ *                       default: center
+ *                       description: 位置（center, top, bottom, left, right），文字资源为垂直位置（top, center, bottom，默认 bottom）
+ *                     scaleMode:
+ *                       type: string
+ *                       enum: [fit, fill]
+ *                       default: fit
+ *                       description: 缩放模式（fit=适应，fill=填充）
+ *                     startTime:
+ *                       type: number
+ *                       description: 开始时间（秒），视频/音频资源可选
+ *                     volume:
+ *                       type: number
+ *                       default: 100
+ *                       description: 音量（0-100），音频资源和视频片段原声有效
+ *                     offset:
+ *                       type: number
+ *                       default: 0
+ *                       description: 音频资源在输出视频中的开始时间（秒，通过 adelay 延迟），时间线中使用 start
+ *                     loop:
+ *                       type: boolean
+ *                       default: false
+ *                       description: 音频循环播放直到画面结束（aloop）
+ *                     trimToVideo:
+ *                       type: boolean
+ *                       default: true
+ *                       description: 音频在画面结束处截断（淡出也在截断处），输出长度始终等于画面长度
+ *                     role:
+ *                       type: string
+ *                       enum: [music, voice, sfx]
+ *                       description: 音频资源的音轨角色（默认 music），时间线中视频片段原声默认为 voice
+ *                     mute:
+ *                       type: boolean
+ *                       default: false
+ *                       description: 视频片段静音（不混入原声）
+ *               options:
+ *                 type: object
+ *                 description: 视频输出选项
+ *                 properties:
+ *                   preset:
+ *                     type: string
+ *                     description: 输出预设名称（见 /api/presets），预设中的字段作为默认值，options 中的同名字段逐项覆盖
+ *                     example: douyin-vertical
+ *                   format:
+ *                     type: string
+ *                     default: mp4
+ *                     description: 输出格式（mp4、mov、mkv、webm、gif 等），gif 输出不含音频
+ *                   videoProfile:
+ *                     type: string
+ *                     description: 编码 profile（如 H.264 的 high，ProRes 的 0-5）
+ *                   pixelFormat:
+ *                     type: string
+ *                     default: yuv420p
+ *                     description: 像素格式（如 ProRes 使用 yuv422p10le）
+ *                   width:
+ *                     type: number
+ *                     default: 1280
+ *                     description: 视频宽度（像素）
+ *                   height:
+ *                     type: number
+ *                     default: 720
+ *                     description: 视频高度（像素）
+ *                   resolution:
+ *                     type: string
+ *                     default: "1280x720"
+ *                     description: 视频分辨率（格式：宽x高），如果提供了 width 和 height，则优先使用
+ *                   fps:
+ *                     type: number
+ *                     default: 25
+ *                     description: 帧率
+ *                   videoCodec:
+ *                     type: string
+ *                     default: "libx264"
+ *                     description: 视频编码器
+ *                   audioCodec:
+ *                     type: string
+ *                     default: "aac"
+ *                     description: 音频编码器
+ *                   backgroundColor:
+ *                     type: string
+ *                     default: "#000000"
+ *                     description: 背景颜色（十六进制格式）
+ *                   keepClipAudio:
+ *                     type: boolean
+ *                     default: true
+ *                     description: 保留视频片段的原声，并与添加的音频混合
+ *                   clipAudioRole:
+ *                     type: string
+ *                     enum: [music, voice, sfx]
+ *                     default: voice
+ *                     description: 片段原声的音轨角色（用于闪避）
+ *                   ducking:
+ *                     description: |
+ *                       闪避（sidechaincompress）：role 为 music 的音轨在 voice 音轨有声音时自动压低。
+ *                       传 true 使用默认参数，或传对象自定义（数值超出范围时返回 400）
+ *                     oneOf:
+ *                       - type: boolean
+ *                       - type: object
+ *                         properties:
+ *                           threshold: { type: number, default: 0.05, minimum: 0.000976563, maximum: 1, description: 触发压缩的人声电平 }
+ *                           ratio: { type: number, default: 8, minimum: 1, maximum: 20, description: 压缩比 }
+ *                           attack: { type: number, default: 20, minimum: 0.01, maximum: 2000, description: 启动时间（毫秒） }
+ *                           release: { type: number, default: 400, minimum: 0.01, maximum: 9000, description: 恢复时间（毫秒） }
+ *                   loudnorm:
+ *                     description: |
+ *                       输出响度标准化（两遍 EBU R128 loudnorm：先测量再线性调整），测量值见任务结果的 loudness。
+ *                       传 true 使用默认目标，或传对象自定义（数值超出范围时返回 400）
+ *                     oneOf:
+ *                       - type: boolean
+ *                       - type: object
+ *                         properties:
+ *                           integrated: { type: number, default: -23, minimum: -70, maximum: -5, description: 综合响度目标（LUFS） }
+ *                           truePeak: { type: number, default: -1, minimum: -9, maximum: 0, description: 真峰值上限（dBTP） }
+ *                           lra: { type: number, default: 7, minimum: 1, maximum: 50, description: 响度范围目标（LU） }
+ *     responses:
+ *       202:
+ *         description: 任务已创建，通过 /api/jobs/{id} 查询进度和结果
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/JobCreated'
+ *       400:
+ *         description: 请求参数错误
+ *       429:
+ *         description: 任务队列已满
+ *       500:
+ *         description: 服务器错误
+ */
+app.post('/api/compose', (req, res) => {
+  try {
+    const { resources, timeline } = req.body;
+    console.log('[视频合成] 收到请求:', JSON.stringify(timeline ? { timeline } : { resources }, null, 2));
+
+    const callback = webhooks.parse(req.body, getBaseUrl(req));
+    if (callback && callback.error) {
+      return res.status(400).json({ error: callback.error });
+    }
+
+    const result = createComposeJob(req.body);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    if (callback) {
+      webhooks.watch(result.job, callback);
+    }
+
+    res.status(202).json({
+      success: true,
+      jobId: result.job.id,
+      status: result.job.status,
+      statusUrl: `/api/jobs/${result.job.id}`
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * 校验合成请求并创建合成任务（/api/compose 和模板渲染共用）
+ * @param {Object} payload - 请求内容 {resources, timeline, options, priority}
+ * @param {Object} meta - 附加到任务详情中的信息
+ * @returns {Object} {job}，参数错误或队列已满时返回 {status, error}
+ */
+function createComposeJob(payload, meta = {}) {
+  const request = validateComposeRequest(payload);
+  if (request.error) {
+    return request;
+  }
+
+  if (jobs.pendingCount() >= pool.capacity()) {
+    return { status: 429, error: '服务繁忙，任务队列已满，请稍后重试' };
+  }
+
+  return { job: startComposeJob(payload, request, meta) };
+}
+
+/**
+ * 同步校验合成请求的资源参数（不创建任务）
+ * @returns {Object} {options, resourceCount}，参数错误时返回 {status, error}
+ */
+function validateComposeRequest(payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return { status: 400, error: '合成请求必须是对象' };
+  }
+  const { resources, timeline } = payload;
+  let options;
+  try {
+    options = presets.resolve(payload.options || {});
+  } catch (error) {
+    return { status: 400, error: error.message };
+  }
+  const invalidOptions = presets.validateComposeOptions(options);
+  if (invalidOptions) {
+    return { status: 400, error: invalidOptions };
+  }
+
+  // 先同步校验资源参数，参数错误直接返回，不创建任务
+  let resourceCount;
+  if (timeline) {
+    if (!Array.isArray(timeline.tracks) || timeline.tracks.length === 0) {
+      return { status: 400, error: '时间线轨道列表不能为空' };
+    }
+    resourceCount = 0;
+    for (let t = 0; t < timeline.tracks.length; t++) {
+      const items = timeline.tracks[t].items;
+      if (!Array.isArray(items) || items.length === 0) {
+        return { status: 400, error: `轨道 ${t + 1} 的片段列表不能为空` };
+      }
+      for (let i = 0; i < items.length; i++) {
+        const label = `轨道 ${t + 1} 片段 ${i + 1}`;
+        const invalid = validateComposeResource(items[i], label) || validateTimelineItem(items[i], label);
+        if (invalid) {
+          return invalid;
+        }
+      }
+      resourceCount += items.length;
+    }
+    // type 为 auto 的片段在下载后才能确定类型，按可能是图片或视频处理
+    const hasVisual = timeline.tracks.some(track => track.items.some(item => ['image', 'video', 'auto'].includes(item.type)));
+    if (!hasVisual && !(Number(timeline.duration) > 0)) {
+      return { status: 400, error: '时间线至少需要一个图片或视频片段，或指定 duration' };
+    }
+  } else {
+    if (!Array.isArray(resources) || resources.length === 0) {
+      return { status: 400, error: '资源列表不能为空' };
+    }
+    for (let i = 0; i < resources.length; i++) {
+      const invalid = validateComposeResource(resources[i], `资源 ${i + 1}`);
+      if (invalid) {
+        return invalid;
+      }
+    }
+    resourceCount = resources.length;
+  }
+
+  // 软字幕需要输出格式支持字幕轨
+  const allResources = timeline ? timeline.tracks.flatMap(track => track.items) : resources;
+  const outputFormat = options.format || 'mp4';
+  if (allResources.some(item => (item.type === 'subtitle' || item.type === 'auto') && item.mode === 'soft') && !ffmpeg.getSubtitleCodec(outputFormat)) {
+    return { status: 400, error: `输出格式 ${outputFormat} 不支持软字幕，请使用 mp4、mov、mkv 或 webm` };
+  }
+
+  return { options, resourceCount };
+}
+
+/**
+ * 为已校验的合成请求创建并启动任务
+ * @param {Object} request - validateComposeRequest 的返回值
+ */
+function startComposeJob(payload, { options, resourceCount }, meta = {}) {
+  const { resources, timeline } = payload;
+  const priority = Number(payload.priority) || 0;
+  const job = jobs.create('compose', { resourceCount, priority, preset: options.preset || null, ...meta });
+  jobs.run(job, () => runComposeJob(job, { resources, timeline }, options, priority));
+  console.log(`[视频合成] 已创建任务: ${job.id}`);
+  return job;
+}
+
+/**
+ * 校验单个合成资源（或时间线片段）的参数
+ * @returns {Object|null} 参数错误时返回 {status, error}
+ */
+function validateComposeResource(resource, label) {
+  if (!resource || !resource.type) {
+    console.error(`[视频合成] ${label} 缺少 type 字段`);
+    return { status: 400, error: `${label} 必须包含 type 字段` };
+  }
+
+  if (!['image', 'video', 'audio', 'text', 'subtitle', 'auto'].includes(resource.type)) {
+    return { status: 400, error: `${label} 不支持的资源类型: ${resource.type}` };
+  }
+
+  if (resource.role && !ffmpeg.AUDIO_ROLES.includes(resource.role)) {
+    return { status: 400, error: `${label} 不支持的音轨角色: ${resource.role}` };
+  }
+
+  // type 为 auto 的资源可能识别为字幕，同样校验字幕模式
+  if ((resource.type === 'subtitle' || resource.type === 'auto') && resource.mode && !['burn', 'soft'].includes(resource.mode)) {
+    return { status: 400, error: `${label} 不支持的字幕模式: ${resource.mode}` };
+  }
+
+  if (resource.type === 'subtitle' || resource.type === 'auto') {
+    const invalidStyle = ffmpeg.validateSubtitleStyle(resource.style);
+    if (invalidStyle) {
+      return { status: 400, error: `${label} 的 ${invalidStyle}` };
+    }
+  }
+
+  if (resource.type === 'subtitle') {
+    const ext = resource.filename ? path.extname(resource.filename).slice(1).toLowerCase() : '';
+    if (ext && !ffmpeg.SUBTITLE_FORMATS.includes(ext)) {
+      return { status: 400, error: `${label} 不支持的字幕格式: ${ext}（支持 ${ffmpeg.SUBTITLE_FORMATS.join('、')}）` };
+    }
+  }
+
+  if (resource.xfade && resource.xfade !== 'none' && !ffmpeg.XFADE_TRANSITIONS.includes(resource.xfade)) {
+    return { status: 400, error: `${label} 不支持的转场效果: ${resource.xfade}` };
+  }
+
+  if (resource.motion && !ffmpeg.IMAGE_MOTIONS.includes(resource.motion)) {
+    return { status: 400, error: `${label} 不支持的图片动效: ${resource.motion}` };
+  }
+
+  if (resource.motion === 'custom' && (!resource.motionStart || !resource.motionEnd)) {
+    return { status: 400, error: `${label} 自定义图片动效需要提供 motionStart 和 motionEnd` };
+  }
+
+  for (const field of ['start', 'duration', 'offset', 'x', 'y', 'width', 'height', 'layer']) {
+    if (resource[field] !== undefined && resource[field] !== null && !Number.isFinite(Number(resource[field]))) {
+      return { status: 400, error: `${label} 的 ${field} 必须是数字` };
+    }
+  }
+
+  // 文字资源不需要文件，校验文字内容、动画和字体
+  if (resource.type === 'text') {
+    if (typeof resource.text !== 'string' || resource.text.trim() === '') {
+      return { status: 400, error: `${label} 的 text 不能为空` };
+    }
+    for (const field of ['enter', 'exit']) {
+      if (resource[field] && !ffmpeg.TEXT_ANIMATIONS.includes(resource[field])) {
+        return { status: 400, error: `${label} 不支持的文字动画: ${resource[field]}` };
+      }
+    }
+    const invalidStyle = ffmpeg.validateTextStyle(resource);
+    if (invalidStyle) {
+      return { status: 400, error: `${label} 的 ${invalidStyle}` };
+    }
+    if (resource.font && !resolveFontPath(resource.font)) {
+      return { status: 404, error: `${label} 字体文件不存在: ${resource.font}` };
+    }
+    return null;
+  }
+
+  if (resource.url) {
+    try {
+      new URL(resource.url);
+    } catch (urlError) {
+      return { status: 400, error: `${label} 的 URL 格式无效: ${resource.url}` };
+    }
+    try {
+      urlPolicy.checkUrl(resource.url);
+    } catch (policyError) {
+      return { status: 400, error: `${label} ${policyError.message}` };
+    }
+  } else if (resource.filename) {
+    if (!fs.existsSync(path.join(uploadsDir, resource.filename))) {
+      return { status: 404, error: `${label} 文件不存在: ${resource.filename}` };
+    }
+  } else {
+    console.error(`[视频合成] ${label} 既没有 url 也没有 filename`);
+    return { status: 400, error: `${label} 必须提供 url（远程链接）或 filename（本地文件）` };
+  }
+
+  return null;
+}
+
+/**
+ * 校验时间线片段特有的参数：片段按开始时间叠加，没有相邻片段间的 xfade，转场只支持淡入淡出
+ * @returns {Object|null} 参数错误时返回 {status, error}
+ */
+function validateTimelineItem(item, label) {
+  if (item.xfade && item.xfade !== 'none') {
+    return { status: 400, error: `${label} 的 xfade 不适用于时间线片段（片段按开始时间叠加，请使用 transition 淡入淡出）` };
+  }
+  if (item.transition && !ffmpeg.TIMELINE_TRANSITIONS.includes(item.transition)) {
+    return { status: 400, error: `${label} 的 transition 不支持 ${item.transition}（时间线片段支持 ${ffmpeg.TIMELINE_TRANSITIONS.join('、')}）` };
+  }
+  if (item.motion && item.motion !== 'none' && !['image', 'auto'].includes(item.type)) {
+    return { status: 400, error: `${label} 的 motion 只适用于图片片段` };
+  }
+  return null;
+}
+
+/**
+ * 获取字体目录中字体文件的完整路径，文件不存在时返回 null
+ */
+function resolveFontPath(font) {
+  const fontName = path.basename(String(font));
+  if (!FONT_EXTENSIONS.includes(path.extname(fontName).toLowerCase())) {
+    return null;
+  }
+  const fontPath = path.join(fontsDir, fontName);
+  return fs.existsSync(fontPath) ? fontPath : null;
+}
+
+/**
+ * 下载（或定位本地）合成资源，返回传给 FFmpeg 的资源描述
+ * @param {Object} downloader - createJobDownloader 的返回值
+ * @param {Array} downloads - 收集下载结果，任务结束后释放
+ * @param {AbortSignal} signal - 下载的取消信号
+ */
+async function prepareComposeResource(downloader, resource, label, downloads, signal) {
+  console.log(`[视频合成] 处理${label}:`, JSON.stringify(resource));
+
+  if (resource.type === 'text') {
+    return {
+      type: 'text',
+      text: resource.text,
+      fontPath: resource.font ? resolveFontPath(resource.font) : null,
+      fontSize: resource.fontSize,
+      fontColor: resource.fontColor,
+      strokeColor: resource.strokeColor,
+      strokeWidth: resource.strokeWidth,
+      shadowColor: resource.shadowColor,
+      shadowX: resource.shadowX,
+      shadowY: resource.shadowY,
+      box: Boolean(resource.box),
+      boxColor: resource.boxColor,
+      boxOpacity: resource.boxOpacity,
+      boxPadding: resource.boxPadding,
+      lineSpacing: resource.lineSpacing,
+      align: resource.align,
+      position: resource.position,
+      margin: resource.margin,
+      x: resource.x,
+      y: resource.y,
+      enter: resource.enter,
+      exit: resource.exit,
+      animationDuration: resource.animationDuration,
+      start: resource.start,
+      duration: resource.duration,
+      layer: resource.layer
+    };
+  }
+
+  let filePath;
+
+  // 优先使用 url（远程链接），如果提供了 url 则自动下载
+  if (resource.url) {
+    try {
+      console.log(`[视频合成] 开始下载远程资源 ${label}: ${resource.url}`);
+      const downloadResult = await downloader.fetch(resource.url, label, signal);
+
+      // 下载的文件在缓存目录（或未启用缓存时在 uploadsDir），任务结束后释放
+      filePath = downloadResult.path;
+      downloads.push(downloadResult);
+      console.log(`[视频合成] 远程资源下载成功: ${resource.url} -> ${downloadResult.filename} (${(downloadResult.size / 1024).toFixed(2)} KB，缓存: ${downloadResult.cache})`);
+    } catch (downloadError) {
+      if (downloadError.code === 'CANCELLED') {
+        throw downloadError;
+      }
+      console.error(`[视频合成] 下载远程资源失败 (${label}):`, downloadError);
+      const error = new Error(`${label} 下载远程资源失败`);
+      error.details = {
+        url: resource.url,
+        type: resource.type,
+        message: downloadError.message || '未知错误'
+      };
+      throw error;
+    }
+  } else {
+    filePath = path.join(uploadsDir, resource.filename);
+    console.log(`[视频合成] 使用本地文件: ${resource.filename}`);
+  }
+
+  // type 为 auto 时按文件内容识别资源类型
+  if (resource.type === 'auto') {
+    const inspection = await sniffer.inspect(filePath, { filename: resource.url ? new URL(resource.url).pathname : resource.filename });
+    if (inspection.type === 'unknown') {
+      const error = new Error(`${label} 无法识别资源类型`);
+      error.details = { url: resource.url, filename: resource.filename };
+      throw error;
+    }
+    console.log(`[视频合成] ${label} 识别为 ${inspection.type}（${inspection.detectedBy}）`);
+    resource = { ...resource, type: inspection.type };
+  }
+
+  if (resource.type === 'subtitle') {
+    return {
+      type: 'subtitle',
+      path: filePath,
+      mode: resource.mode || 'burn',
+      style: resource.style,
+      language: resource.language,
+      fontsDir: fontsDir
+    };
+  }
+
+  return {
+    type: resource.type,
+    path: filePath,
+    duration: resource.duration,
+    startTime: resource.startTime,
+    start: resource.start,
+    layer: resource.layer,
+    x: resource.x,
+    y: resource.y,
+    width: resource.width,
+    height: resource.height,
+    mute: Boolean(resource.mute),
+    role: resource.role,
+    offset: resource.offset,
+    loop: Boolean(resource.loop),
+    trimToVideo: resource.trimToVideo !== false,
+    transition: resource.transition || 'none',
+    transitionDuration: resource.transitionDuration || 0.5,
+    xfade: resource.xfade || 'none',
+    xfadeDuration: resource.xfadeDuration || 0.5,
+    motion: resource.motion || 'none',
+    motionScale: resource.motionScale,
+    motionStart: resource.motionStart,
+    motionEnd: resource.motionEnd,
+    position: resource.position || 'center',
+    scaleMode: resource.scaleMode || 'fit',
+    rotation: resource.rotation || 0,
+    opacity: resource.opacity !== undefined ? resource.opacity : 100,
+    fade: resource.fade || 'none',
+    fadeDuration: resource.fadeDuration || 1,
+    volume: resource.volume !== undefined ? resource.volume : 100
+  };
+}
+
+/**
+ * 执行合成任务：下载远程资源并调用 composeVideo（平铺资源列表）或 composeTimeline（多轨道时间线）
+ */
+async function runComposeJob(job, { resources, timeline }, options, priority) {
+  const downloads = []; // 记录下载的远程资源，用于结束后释放
+
+  try {
+    // 同时下载多个远程资源（最多 DOWNLOAD_CONCURRENCY 个），结果按原顺序排列
+    const entries = timeline
+      ? timeline.tracks.flatMap((track, t) => track.items.map((item, i) => ({ resource: item, label: `轨道 ${t + 1} 片段 ${i + 1}` })))
+      : resources.map((resource, i) => ({ resource, label: `资源 ${i + 1}` }));
+    const downloader = createJobDownloader(job);
+    const prepared = await mapWithConcurrency(entries, DOWNLOAD_CONCURRENCY, job.signal,
+      (entry, index, signal) => prepareComposeResource(downloader, entry.resource, entry.label, downloads, signal));
+
+    let tracks = null;
+    if (timeline) {
+      let offset = 0;
+      tracks = timeline.tracks.map(track => {
+        const items = prepared.slice(offset, offset + track.items.length);
+        offset += track.items.length;
+        return { layer: track.layer, items };
+      });
+    }
+
+    // 生成输出文件名
+    const outputFormat = options.format || 'mp4';
+    const outputFilename = `composed_${Date.now()}.${outputFormat}`;
     const outputPath = path.join(outputDir, outputFilename);
 
-    // 调用合成方法
-    // 处理分辨率：支持 width/height 或 resolution 格式
-    let resolution = '1280x720';
-    if (options.width && options.height) {
-      resolution = `${options.width}x${options.height}`;
-    } else if (options.resolution) {
-      resolution = options.resolution;
+    // 调用合成方法
+    // 处理分辨率：支持 width/height 或 resolution 格式
+    let resolution = '1280x720';
+    if (options.width && options.height) {
+      resolution = `${options.width}x${options.height}`;
+    } else if (options.resolution) {
+      resolution = options.resolution;
+    }
+
+    // 下载完成后进入编码队列，拿到并发池的空位后才开始编码
+    jobs.throwIfCancelled(job);
+    jobs.update(job.id, { status: JOB_STATUS.QUEUED });
+    const composeOptions = {
+      resolution: resolution,
+      width: options.width || 1280,
+      height: options.height || 720,
+      fps: options.fps || 25,
+      videoCodec: options.videoCodec || 'libx264',
+      videoPreset: options.videoPreset || 'medium',
+      videoCrf: options.videoCrf !== undefined ? options.videoCrf : 23,
+      videoBitrate: options.videoBitrate || '2000k',
+      audioCodec: options.audioCodec || 'aac',
+      audioBitrate: options.audioBitrate || '192k',
+      audioSampleRate: options.audioSampleRate || 44100,
+      audioChannels: options.audioChannels || 2,
+      format: outputFormat,
+      videoProfile: options.videoProfile,
+      pixelFormat: options.pixelFormat,
+      backgroundColor: options.backgroundColor || '#000000',
+      keepClipAudio: options.keepClipAudio !== false,
+      clipAudioRole: options.clipAudioRole,
+      ducking: options.ducking,
+      loudnorm: options.loudnorm,
+      priority: priority,
+      signal: job.signal,
+      onStart: () => jobs.update(job.id, { status: JOB_STATUS.ENCODING }),
+      onProgress: (progress) => jobs.setProgress(job.id, progress.percent, progress)
+    };
+    const result = tracks
+      ? await ffmpeg.composeTimeline(tracks, outputPath, { ...composeOptions, duration: Number(timeline.duration) || undefined })
+      : await ffmpeg.composeVideo(prepared, outputPath, composeOptions);
+
+    const jobResult = {
+      outputFile: outputFilename,
+      path: `/output/${outputFilename}`,
+      command: result.command
+    };
+    if (result.loudness) {
+      jobResult.loudness = result.loudness;
+    }
+    return jobResult;
+  } finally {
+    // 无论成功失败都释放下载的文件（缓存文件保留，未启用缓存时删除）
+    downloads.forEach(download => download.release());
+  }
+}
+
+/**
+ * @swagger
+ * /api/process:
+ *   post:
+ *     summary: 链式视频处理（统一接口）
+ *     tags: [Process]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - filename
+ *               - operations
+ *             properties:
+ *               filename:
+ *                 type: string
+ *               priority:
+ *                 type: number
+ *                 default: 0
+ *                 description: 任务优先级，数值越大越先获得编码资源
+ *               callbackUrl:
+ *                 type: string
+ *                 description: 任务结束后的回调地址（同 /api/compose）
+ *               callbackSecret:
+ *                 type: string
+ *                 description: 回调签名密钥（同 /api/compose）
+ *               options:
+ *                 type: object
+ *                 description: 输出选项，字段同 /api/compose 的 options
+ *                 properties:
+ *                   preset:
+ *                     type: string
+ *                     description: |
+ *                       输出预设名称（见 /api/presets），作为 convert 操作参数的默认值（分辨率按比例缩放并补边），操作中的 params 优先。
+ *                       操作列表中没有 convert 时，在最后追加一个按预设转码的 convert 操作
+ *               operations:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - type
+ *                   properties:
+ *                     type:
+ *                       type: string
+ *                       enum: [convert, resize, crop, extractFrame, extractAudio, addWatermark, imageToVideo, addSubtitles, convertSubtitle, normalizeAudio]
+ *                     params:
+ *                       type: object
+ *                       description: |
+ *                         操作参数，其中：
+ *                         - convert：format（输出格式，默认 mp4），videoCodec / audioCodec 未指定时按格式选择（webm 为 libvpx-vp9 / libopus，其余为 libx264 / aac）
+ *                         - imageToVideo：duration、fps、resolution，format（输出格式，默认 mp4，不沿用输入图片的扩展名）
+ *                         - addSubtitles：subtitle（uploads 中的字幕文件名）或 subtitleUrl（远程字幕），mode（burn 烧录到画面 / soft 封装为字幕轨，默认 burn），style（烧录样式，同 /api/compose 字幕资源），language（软字幕语言代码），format（输出格式，软字幕需为 mp4、mov、mkv 或 webm）
+ *                         - convertSubtitle：format（srt、vtt、ass），输入文件为字幕文件
+ *                         - normalizeAudio：integrated（LUFS，默认 -23，-70 到 -5）、truePeak（dBTP，默认 -1，-9 到 0）、lra（LU，默认 7，1 到 50），两遍 loudnorm 响度标准化，视频流直接复制，测量值见任务结果的 loudness
+ *     responses:
+ *       202:
+ *         description: 任务已创建，通过 /api/jobs/{id} 查询进度和结果
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/JobCreated'
+ *       429:
+ *         description: 任务队列已满
+ */
+app.post('/api/process', (req, res) => {
+  try {
+    const { filename } = req.body;
+    let { operations } = req.body;
+
+    if (!filename) {
+      return res.status(400).json({ error: '缺少必要参数: filename' });
+    }
+
+    if (!Array.isArray(operations) || operations.length === 0) {
+      return res.status(400).json({ error: 'operations 必须是非空数组' });
+    }
+
+    const callback = webhooks.parse(req.body, getBaseUrl(req));
+    if (callback && callback.error) {
+      return res.status(400).json({ error: callback.error });
+    }
+
+    // 预设作为 convert 操作参数的默认值，没有 convert 操作时在最后追加一个
+    let preset = null;
+    if (req.body.options && req.body.options.preset) {
+      let presetParams;
+      try {
+        const presetOptions = presets.resolve(req.body.options);
+        const invalidOptions = presets.validateComposeOptions(presetOptions);
+        if (invalidOptions) {
+          return res.status(400).json({ error: invalidOptions });
+        }
+        presetParams = presets.toConvertParams(presetOptions);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      preset = req.body.options.preset;
+      if (!operations.some(operation => operation && operation.type === 'convert')) {
+        operations = [...operations, { type: 'convert' }];
+      }
+      operations = operations.map(operation => operation && operation.type === 'convert'
+        ? { ...operation, params: { ...presetParams, ...operation.params } }
+        : operation);
+    }
+
+    for (let i = 0; i < operations.length; i++) {
+      const operation = operations[i];
+      const invalidStyle = operation && operation.type === 'addSubtitles' && operation.params
+        ? ffmpeg.validateSubtitleStyle(operation.params.style)
+        : null;
+      if (invalidStyle) {
+        return res.status(400).json({ error: `操作 ${i + 1} 的 ${invalidStyle}` });
+      }
+      const invalidLoudness = operation && operation.type === 'normalizeAudio' && operation.params
+        ? ffmpeg.validateLoudnessTarget(operation.params)
+        : null;
+      if (invalidLoudness) {
+        return res.status(400).json({ error: `操作 ${i + 1} 的 ${invalidLoudness}` });
+      }
+    }
+
+    const inputPath = path.join(uploadsDir, filename);
+    if (!fs.existsSync(inputPath)) {
+      return res.status(404).json({ error: '文件不存在' });
+    }
+
+    if (jobs.pendingCount() >= pool.capacity()) {
+      return res.status(429).json({ error: '服务繁忙，任务队列已满，请稍后重试' });
+    }
+
+    const priority = Number(req.body.priority) || 0;
+    const job = jobs.create('process', { filename, operationCount: operations.length, priority, preset });
+    jobs.run(job, () => runProcessJob(job, inputPath, filename, operations, priority));
+    if (callback) {
+      webhooks.watch(job, callback);
+    }
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * 执行链式处理任务，上一步的输出作为下一步的输入
+ */
+async function runProcessJob(job, inputPath, filename, operations, priority) {
+  let currentInputPath = inputPath;
+  const commands = [];
+  const tempFiles = [];
+  const downloads = []; // 操作参数中下载的远程文件（如字幕），结束后释放
+  const downloader = createJobDownloader(job);
+
+  // 每一步都经由并发池执行，拿到空位后进入编码状态
+  const execOptions = {
+    priority: priority,
+    signal: job.signal,
+    onStart: () => jobs.update(job.id, { status: JOB_STATUS.ENCODING })
+  };
+  let outputPath = null;
+  let loudness = null; // normalizeAudio 的响度测量结果
+
+  try {
+    for (let i = 0; i < operations.length; i++) {
+      const operation = operations[i];
+      const { type, params = {} } = operation;
+
+      if (!type) {
+        throw new Error(`操作 ${i + 1} 缺少 type 字段`);
+      }
+
+      jobs.throwIfCancelled(job);
+      if (i === operations.length - 1) {
+        const baseName = path.parse(filename).name;
+        const ext = params.format ? `.${params.format}` : path.extname(filename);
+        const outputFilename = `processed_${Date.now()}_${baseName}${ext}`;
+        outputPath = path.join(outputDir, outputFilename);
+      } else {
+        const tempFilename = `temp_${Date.now()}_${i}.${path.extname(currentInputPath).slice(1) || 'mp4'}`;
+        outputPath = path.join(outputDir, tempFilename);
+        tempFiles.push(outputPath);
+      }
+
+      let command;
+
+      switch (type) {
+        case 'convert':
+          command = await ffmpeg.convert(currentInputPath, outputPath, {
+            format: params.format || 'mp4',
+            // 未指定编码器时按输出容器选择（如 webm 使用 VP9 + Opus）
+            videoCodec: params.videoCodec,
+            audioCodec: params.audioCodec,
+            quality: params.quality,
+            size: params.size,
+            scaleMode: params.scaleMode,
+            fps: params.fps,
+            audioBitrate: params.audioBitrate,
+            videoPreset: params.videoPreset,
+            videoCrf: params.videoCrf,
+            videoBitrate: params.videoBitrate,
+            videoProfile: params.videoProfile,
+            pixelFormat: params.pixelFormat,
+            audioSampleRate: params.audioSampleRate,
+            audioChannels: params.audioChannels,
+            startTime: params.startTime,
+            duration: params.duration,
+            ...execOptions
+          });
+          break;
+
+        case 'resize':
+          command = await ffmpeg.resize(currentInputPath, outputPath, {
+            width: parseInt(params.width),
+            height: parseInt(params.height),
+            maintainAspectRatio: params.maintainAspectRatio !== false,
+            ...execOptions
+          });
+          break;
+
+        case 'crop':
+          command = await ffmpeg.crop(currentInputPath, outputPath, {
+            x: parseInt(params.x) || 0,
+            y: parseInt(params.y) || 0,
+            width: parseInt(params.width),
+            height: parseInt(params.height),
+            startTime: params.startTime,
+            duration: params.duration,
+            ...execOptions
+          });
+          break;
+
+        case 'extractFrame':
+          const frameExt = params.format || 'jpg';
+          const frameOutputPath = outputPath.replace(/\.[^.]+$/, `.${frameExt}`);
+          command = await ffmpeg.extractFrame(currentInputPath, frameOutputPath, {
+            time: parseFloat(params.time) || 0,
+            size: params.size,
+            ...execOptions
+          });
+          outputPath = frameOutputPath;
+          break;
+
+        case 'extractAudio':
+          const audioExt = params.format || 'mp3';
+          const audioOutputPath = outputPath.replace(/\.[^.]+$/, `.${audioExt}`);
+          command = await ffmpeg.extractAudio(currentInputPath, audioOutputPath, {
+            format: audioExt,
+            audioCodec: params.audioCodec,
+            audioBitrate: params.audioBitrate,
+            ...execOptions
+          });
+          outputPath = audioOutputPath;
+          break;
+
+        case 'addWatermark':
+          const watermarkPath = params.watermarkPath ? path.join(uploadsDir, params.watermarkPath) : null;
+          if (!watermarkPath || !fs.existsSync(watermarkPath)) {
+            throw new Error('水印文件不存在');
+          }
+          command = await ffmpeg.addWatermark(currentInputPath, outputPath, {
+            watermarkPath: watermarkPath,
+            position: params.position || 'bottom-right',
+            x: parseInt(params.x) || 10,
+            y: parseInt(params.y) || 10,
+            scale: parseFloat(params.scale) || 1.0,
+            opacity: parseFloat(params.opacity) || 1.0,
+            ...execOptions
+          });
+          break;
+
+        case 'addSubtitles':
+          let subtitlePath;
+          if (params.subtitleUrl) {
+            const downloadResult = await downloader.fetch(params.subtitleUrl, `操作 ${i + 1} 字幕`);
+            subtitlePath = downloadResult.path;
+            downloads.push(downloadResult);
+          } else {
+            subtitlePath = params.subtitle ? path.join(uploadsDir, params.subtitle) : null;
+          }
+          if (!subtitlePath || !fs.existsSync(subtitlePath)) {
+            throw new Error('字幕文件不存在');
+          }
+          command = await ffmpeg.addSubtitles(currentInputPath, outputPath, {
+            subtitlePath: subtitlePath,
+            mode: params.mode || 'burn',
+            style: params.style,
+            language: params.language,
+            fontsDir: fontsDir,
+            ...execOptions
+          });
+          break;
+
+        case 'convertSubtitle':
+          const subtitleExt = params.format || 'srt';
+          const subtitleOutputPath = outputPath.replace(/\.[^.]+$/, `.${subtitleExt}`);
+          command = await ffmpeg.convertSubtitle(currentInputPath, subtitleOutputPath, {
+            format: subtitleExt,
+            ...execOptions
+          });
+          outputPath = subtitleOutputPath;
+          break;
+
+        case 'normalizeAudio':
+          command = await ffmpeg.normalizeAudio(currentInputPath, outputPath, {
+            integrated: params.integrated,
+            truePeak: params.truePeak,
+            lra: params.lra,
+            audioCodec: params.audioCodec,
+            audioBitrate: params.audioBitrate,
+            ...execOptions
+          });
+          loudness = command.loudness;
+          break;
+
+        case 'imageToVideo':
+          // 输入是图片，输出扩展名不能沿用输入文件的
+          const videoExt = params.format || 'mp4';
+          const videoOutputPath = outputPath.replace(/\.[^.]+$/, `.${videoExt}`);
+          command = await ffmpeg.imageToVideo(currentInputPath, videoOutputPath, {
+            duration: parseFloat(params.duration) || 5,
+            fps: parseInt(params.fps) || 25,
+            resolution: params.resolution || '1280x720',
+            ...execOptions
+          });
+          outputPath = videoOutputPath;
+          break;
+
+        default:
+          throw new Error(`不支持的操作类型: ${type}`);
+      }
+
+      commands.push(...(command.commands || [command.command]));
+      jobs.setProgress(job.id, ((i + 1) / operations.length) * 100);
+
+      if (i > 0 && currentInputPath !== inputPath && fs.existsSync(currentInputPath)) {
+        try {
+          fs.unlinkSync(currentInputPath);
+        } catch (e) {
+          console.warn(`删除临时文件失败: ${currentInputPath}`, e.message);
+        }
+      }
+
+      currentInputPath = outputPath;
+    }
+
+    tempFiles.forEach(tempFile => {
+      if (fs.existsSync(tempFile) && tempFile !== currentInputPath) {
+        try {
+          fs.unlinkSync(tempFile);
+        } catch (e) {
+          console.warn(`清理临时文件失败: ${tempFile}`, e.message);
+        }
+      }
+    });
+
+    const outputFilename = path.basename(currentInputPath);
+
+    const result = {
+      outputFile: outputFilename,
+      path: `/output/${outputFilename}`,
+      commands: commands
+    };
+    if (loudness) {
+      result.loudness = loudness;
+    }
+    return result;
+  } catch (error) {
+    // 清理中间文件和未完成的输出文件
+    if (outputPath && !tempFiles.includes(outputPath)) {
+      tempFiles.push(outputPath);
+    }
+    tempFiles.forEach(tempFile => {
+      if (fs.existsSync(tempFile)) {
+        try {
+          fs.unlinkSync(tempFile);
+        } catch (e) {
+        }
+      }
+    });
+    throw error;
+  } finally {
+    downloads.forEach(download => download.release());
+  }
+}
+
+/**
+ * @swagger
+ * /api/jobs/{id}:
+ *   get:
+ *     summary: 查询任务状态
+ *     description: 状态依次为 queued（排队中）、downloading（下载资源中）、encoding（编码中），最终为 done（完成）、failed（失败）或 cancelled（已取消）
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: 任务详情
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Job'
+ *       404:
+ *         description: 任务不存在
+ */
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: '任务不存在' });
+  }
+  res.json({
+    success: true,
+    job: jobs.toJSON(job)
+  });
+});
+
+/**
+ * @swagger
+ * /api/jobs/{id}:
+ *   delete:
+ *     summary: 取消任务
+ *     description: 终止正在运行的 FFmpeg 进程（先发送 q，超时后强制结束），并清理未完成的输出文件和下载的临时文件
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: 已取消
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Job'
+ *       404:
+ *         description: 任务不存在
+ *       409:
+ *         description: 任务已结束，无法取消
+ */
+app.delete('/api/jobs/:id', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: '任务不存在' });
+  }
+  if (!jobs.cancel(job.id)) {
+    return res.status(409).json({ error: `任务已结束，无法取消（状态: ${job.status}）` });
+  }
+  console.log(`[任务 ${job.id}] 收到取消请求`);
+  res.json({
+    success: true,
+    job: jobs.toJSON(job)
+  });
+});
+
+/**
+ * @swagger
+ * /api/jobs/{id}/events:
+ *   get:
+ *     summary: 订阅任务进度（Server-Sent Events）
+ *     description: |
+ *       以 `text/event-stream` 推送任务状态，每个 `job` 事件的 data 为任务详情 JSON，
+ *       其中 `stats` 包含编码帧数（frame）、编码帧率（fps）、速度（speed）、码率（bitrate）和预计剩余秒数（eta）。
+ *       任务结束（done / failed / cancelled）后服务器发送最后一个事件并关闭连接。
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: 事件流
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: 任务不存在
+ */
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: '任务不存在' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // 禁用反向代理缓冲
+  });
+
+  const send = (current) => {
+    res.write(`event: job\ndata: ${JSON.stringify(jobs.toJSON(current))}\n\n`);
+  };
+
+  // 心跳，防止代理因空闲断开连接
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    jobs.off('update', onUpdate);
+  };
+
+  const onUpdate = (updated) => {
+    if (updated.id !== job.id) {
+      return;
+    }
+    send(updated);
+    if (jobs.isFinished(updated)) {
+      cleanup();
+      res.end();
+    }
+  };
+
+  send(job);
+  if (jobs.isFinished(job)) {
+    clearInterval(heartbeat);
+    return res.end();
+  }
+
+  jobs.on('update', onUpdate);
+  req.on('close', cleanup);
+});
+
+/**
+ * @swagger
+ * /api/info:
+ *   get:
+ *     summary: 获取媒体信息（基于 ffprobe）
+ *     description: 提供 url（远程资源，自动下载并使用下载缓存）或 filename（uploads 目录中的文件）之一
+ *     tags: [Info]
+ *     parameters:
+ *       - in: query
+ *         name: url
+ *         schema:
+ *           type: string
+ *           format: uri
+ *         description: 远程资源 URL
+ *       - in: query
+ *         name: filename
+ *         schema:
+ *           type: string
+ *         description: 本地文件名（uploads 目录）
+ *     responses:
+ *       200:
+ *         description: 媒体信息
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 info:
+ *                   $ref: '#/components/schemas/VideoInfo'
+ *       400:
+ *         description: 请求参数错误
+ *       404:
+ *         description: 文件不存在
+ */
+app.get('/api/info', async (req, res) => {
+  const { url, filename } = req.query;
+  let download = null;
+
+  try {
+    let filePath;
+    if (url) {
+      try {
+        new URL(url);
+      } catch (urlError) {
+        return res.status(400).json({ error: `URL 格式无效: ${url}` });
+      }
+      download = await fetchRemoteResource(url);
+      filePath = download.path;
+    } else if (filename) {
+      if (filename.includes('..') || filename.includes('/') || filename.includes('\\')) {
+        return res.status(400).json({ error: '文件名包含非法字符' });
+      }
+      filePath = path.join(uploadsDir, filename);
+      if (!fs.existsSync(filePath)) {
+        return res.status(404).json({ error: `文件不存在: ${filename}` });
+      }
+    } else {
+      return res.status(400).json({ error: '必须提供 url（远程链接）或 filename（本地文件）' });
+    }
+
+    const info = await ffmpeg.probe(filePath);
+    res.json({
+      success: true,
+      info
+    });
+  } catch (error) {
+    // 被下载策略拒绝的地址属于参数错误
+    res.status(error.code === 'URL_BLOCKED' ? 400 : 500).json({ error: error.message });
+  } finally {
+    if (download) {
+      download.release();
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /api/resources/inspect:
+ *   post:
+ *     summary: 识别资源类型（按文件内容）
+ *     description: |
+ *       根据文件头（magic bytes）和 ffprobe 识别资源是图片、视频、音频还是字幕，不依赖 URL 扩展名或 Content-Type，
+ *       适用于没有扩展名的 CDN 地址。远程资源会下载到下载缓存中，之后合成时可直接使用。
+ *       合成资源的 type 设为 auto 时使用同样的识别规则。
+ *     tags: [Info]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *                 description: 远程资源 URL（与 filename 二选一）
+ *               filename:
+ *                 type: string
+ *                 description: 本地文件名（uploads 目录）
+ *     responses:
+ *       200:
+ *         description: 识别结果，无法识别时 type 为 unknown
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ResourceInspection'
+ *       400:
+ *         description: 请求参数错误
+ *       404:
+ *         description: 文件不存在
+ */
+app.post('/api/resources/inspect', async (req, res) => {
+  const { url, filename } = req.body || {};
+  let download = null;
+
+  try {
+    let filePath;
+    if (url) {
+      try {
+        new URL(url);
+      } catch (urlError) {
+        return res.status(400).json({ error: `URL 格式无效: ${url}` });
+      }
+      download = await fetchRemoteResource(url);
+      filePath = download.path;
+    } else if (filename) {
+      if (filename.includes('..') || filename.includes('/') || filename.includes('\\')) {
+        return res.status(400).json({ error: '文件名包含非法字符' });
+      }
+      filePath = path.join(uploadsDir, filename);
+      if (!fs.existsSync(filePath)) {
+        return res.status(404).json({ error: `文件不存在: ${filename}` });
+      }
+    } else {
+      return res.status(400).json({ error: '必须提供 url（远程链接）或 filename（本地文件）' });
+    }
+
+    const inspection = await sniffer.inspect(filePath, {
+      filename: url ? new URL(url).pathname : filename,
+      contentType: download ? download.contentType : null
+    });
+    res.json({
+      success: true,
+      ...inspection,
+      size: fs.statSync(filePath).size,
+      cache: download ? download.cache : undefined
+    });
+  } catch (error) {
+    // 被下载策略拒绝的地址属于参数错误
+    res.status(error.code === 'URL_BLOCKED' ? 400 : 500).json({ error: error.message });
+  } finally {
+    if (download) {
+      download.release();
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /api/fonts:
+ *   get:
+ *     summary: 获取可用字体列表（文字资源的 font 字段）
+ *     description: 字体文件放在 fonts 目录（可通过 FONTS_DIR 环境变量配置），支持 ttf、otf、ttc
+ *     tags: [Info]
+ *     responses:
+ *       200:
+ *         description: 字体文件列表
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 fonts:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ */
+app.get('/api/fonts', async (req, res) => {
+  try {
+    const files = await fs.promises.readdir(fontsDir);
+    const fonts = files.filter(file => FONT_EXTENSIONS.includes(path.extname(file).toLowerCase())).sort();
+    res.json({ success: true, fonts });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/presets:
+ *   get:
+ *     summary: 获取输出预设列表
+ *     description: 内置预设（按目标平台预先配置的分辨率、帧率和编码参数）和用户预设，通过 /api/compose 或 /api/process 的 options.preset 使用
+ *     tags: [Info]
+ *     responses:
+ *       200:
+ *         description: 预设列表
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 presets:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Preset'
+ */
+app.get('/api/presets', (req, res) => {
+  res.json({ success: true, presets: presets.list() });
+});
+
+// 预设接口的错误码对应的 HTTP 状态码
+const PRESET_ERROR_STATUS = {
+  INVALID_PRESET: 400,
+  PRESET_BUILTIN: 403,
+  PRESET_NOT_FOUND: 404,
+  PRESET_EXISTS: 409
+};
+
+/**
+ * 返回预设操作的错误响应
+ */
+function sendPresetError(res, error) {
+  res.status(PRESET_ERROR_STATUS[error.code] || 500).json({ error: error.message });
+}
+
+/**
+ * @swagger
+ * /api/presets:
+ *   post:
+ *     summary: 新建用户预设
+ *     description: 用户预设保存在数据目录的 presets.json 中（可通过 DATA_DIR 环境变量配置），options 按合成选项的格式校验
+ *     tags: [Info]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PresetInput'
+ *     responses:
+ *       201:
+ *         description: 已创建
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 preset:
+ *                   $ref: '#/components/schemas/Preset'
+ *       400:
+ *         description: 名称或选项不合法
+ *       409:
+ *         description: 预设已存在（包括与内置预设重名）
+ */
+app.post('/api/presets', (req, res) => {
+  try {
+    const { name, ...data } = req.body;
+    const preset = presets.create(name, data);
+    console.log(`[预设] 已创建: ${name}`);
+    res.status(201).json({ success: true, preset });
+  } catch (error) {
+    sendPresetError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/presets/{name}:
+ *   put:
+ *     summary: 修改用户预设
+ *     description: 整体替换预设的 label、description 和 options，内置预设不能修改
+ *     tags: [Info]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PresetInput'
+ *     responses:
+ *       200:
+ *         description: 已修改
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 preset:
+ *                   $ref: '#/components/schemas/Preset'
+ *       400:
+ *         description: 选项不合法
+ *       403:
+ *         description: 内置预设不能修改
+ *       404:
+ *         description: 预设不存在
+ */
+app.put('/api/presets/:name', (req, res) => {
+  try {
+    const preset = presets.update(req.params.name, req.body);
+    console.log(`[预设] 已修改: ${req.params.name}`);
+    res.json({ success: true, preset });
+  } catch (error) {
+    sendPresetError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/presets/{name}:
+ *   delete:
+ *     summary: 删除用户预设
+ *     tags: [Info]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: 已删除
+ *       403:
+ *         description: 内置预设不能删除
+ *       404:
+ *         description: 预设不存在
+ */
+app.delete('/api/presets/:name', (req, res) => {
+  try {
+    presets.remove(req.params.name);
+    console.log(`[预设] 已删除: ${req.params.name}`);
+    res.json({ success: true, message: '预设已删除' });
+  } catch (error) {
+    sendPresetError(res, error);
+  }
+});
+
+// 模板接口的错误码对应的 HTTP 状态码
+const TEMPLATE_ERROR_STATUS = {
+  INVALID_TEMPLATE: 400,
+  MISSING_VARIABLES: 400,
+  TEMPLATE_NOT_FOUND: 404,
+  TEMPLATE_EXISTS: 409
+};
+
+/**
+ * 返回模板操作的错误响应
+ */
+function sendTemplateError(res, error) {
+  res.status(TEMPLATE_ERROR_STATUS[error.code] || 500).json({ error: error.message });
+}
+
+/**
+ * @swagger
+ * /api/templates:
+ *   get:
+ *     summary: 获取合成模板列表
+ *     description: 模板保存在 template 目录，列表中不包含时间线内容
+ *     tags: [Templates]
+ *     responses:
+ *       200:
+ *         description: 模板列表
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 templates:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Template'
+ */
+app.get('/api/templates', async (req, res) => {
+  try {
+    res.json({ success: true, templates: await templates.list() });
+  } catch (error) {
+    sendTemplateError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/templates/{name}:
+ *   get:
+ *     summary: 获取合成模板详情
+ *     tags: [Templates]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: 模板详情（包含 timeline 或 resources、options 和变量列表）
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 template:
+ *                   $ref: '#/components/schemas/Template'
+ *       404:
+ *         description: 模板不存在
+ */
+app.get('/api/templates/:name', async (req, res) => {
+  try {
+    res.json({ success: true, template: await templates.get(req.params.name) });
+  } catch (error) {
+    sendTemplateError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/templates:
+ *   post:
+ *     summary: 新建合成模板
+ *     description: |
+ *       模板内容为 /api/compose 的 timeline（或 resources）和 options，任意字符串中可使用 {{变量名}} 占位符。
+ *       合成参数在渲染后按 /api/compose 的规则校验
+ *     tags: [Templates]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TemplateInput'
+ *     responses:
+ *       201:
+ *         description: 已创建
+ *       400:
+ *         description: 名称或模板内容不合法
+ *       409:
+ *         description: 模板已存在
+ */
+app.post('/api/templates', async (req, res) => {
+  try {
+    const { name, ...data } = req.body;
+    const template = await templates.create(name, data);
+    console.log(`[模板] 已创建: ${name}`);
+    res.status(201).json({ success: true, template });
+  } catch (error) {
+    sendTemplateError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/templates/{name}:
+ *   put:
+ *     summary: 修改合成模板
+ *     description: 整体替换模板内容
+ *     tags: [Templates]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TemplateInput'
+ *     responses:
+ *       200:
+ *         description: 已修改
+ *       400:
+ *         description: 模板内容不合法
+ *       404:
+ *         description: 模板不存在
+ */
+app.put('/api/templates/:name', async (req, res) => {
+  try {
+    const template = await templates.update(req.params.name, req.body);
+    console.log(`[模板] 已修改: ${req.params.name}`);
+    res.json({ success: true, template });
+  } catch (error) {
+    sendTemplateError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/templates/{name}:
+ *   delete:
+ *     summary: 删除合成模板
+ *     tags: [Templates]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: 已删除
+ *       404:
+ *         description: 模板不存在
+ */
+app.delete('/api/templates/:name', async (req, res) => {
+  try {
+    await templates.remove(req.params.name);
+    console.log(`[模板] 已删除: ${req.params.name}`);
+    res.json({ success: true, message: '模板已删除' });
+  } catch (error) {
+    sendTemplateError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/templates/{name}/render:
+ *   post:
+ *     summary: 渲染模板并创建合成任务
+ *     description: |
+ *       用 variables 替换模板中的 {{变量名}} 占位符（未提供的使用模板声明的默认值），然后按 /api/compose 创建合成任务。
+ *       整个字符串只有一个占位符时替换为变量的原始值，可用于数字、布尔或对象字段
+ *     tags: [Templates]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               variables:
+ *                 type: object
+ *                 description: 模板变量
+ *                 example: { productImage: "https://example.com/product.jpg", title: "限时特惠", music: "https://example.com/bgm.mp3" }
+ *               options:
+ *                 type: object
+ *                 description: 输出选项，逐项覆盖模板中的 options
+ *               priority:
+ *                 type: number
+ *                 default: 0
+ *                 description: 任务优先级
+ *               callbackUrl:
+ *                 type: string
+ *                 description: 任务结束后的回调地址（同 /api/compose）
+ *               callbackSecret:
+ *                 type: string
+ *                 description: 回调签名密钥（同 /api/compose）
+ *               dryRun:
+ *                 type: boolean
+ *                 default: false
+ *                 description: 只返回渲染后的合成请求，不创建任务
+ *     responses:
+ *       202:
+ *         description: 任务已创建，通过 /api/jobs/{id} 查询进度和结果
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/JobCreated'
+ *       200:
+ *         description: dryRun 时返回渲染后的合成请求 {success, payload}
+ *       400:
+ *         description: 缺少模板变量或渲染后的合成参数错误
+ *       404:
+ *         description: 模板不存在
+ *       429:
+ *         description: 任务队列已满
+ */
+app.post('/api/templates/:name/render', async (req, res) => {
+  try {
+    const payload = await templates.render(req.params.name, req.body.variables || {});
+    payload.options = { ...payload.options, ...req.body.options };
+    payload.priority = req.body.priority;
+    if (req.body.dryRun) {
+      return res.json({ success: true, payload });
     }
 
-    const result = await ffmpeg.composeVideo(resourcePaths, outputPath, {
-      resolution: resolution,
-      width: options.width || 1280,
-      height: options.height || 720,
-      fps: options.fps || 25,
-      videoCodec: options.videoCodec || 'libx264',
-      videoPreset: options.videoPreset || 'medium',
-      videoCrf: options.videoCrf !== undefined ? options.videoCrf : 23,
-      videoBitrate: options.videoBitrate || '2000k',
-      audioCodec: options.audioCodec || 'aac',
-      audioBitrate: options.audioBitrate || '192k',
-      audioSampleRate: options.audioSampleRate || 44100,
-      audioChannels: options.audioChannels || 2,
-      backgroundColor: options.backgroundColor || '#000000'
-    });
+    const callback = webhooks.parse(req.body, getBaseUrl(req));
+    if (callback && callback.error) {
+      return res.status(400).json({ error: callback.error });
+    }
 
-    // 清理临时下载的文件
-    tempFiles.forEach(tempFile => {
-      try {
-        if (fs.existsSync(tempFile)) {
-          fs.unlinkSync(tempFile);
-          console.log(`[视频合成] 已清理临时文件: ${tempFile}`);
-        }
-      } catch (cleanupError) {
-        console.warn(`[视频合成] 清理临时文件失败: ${tempFile}`, cleanupError.message);
-      }
-    });
+    const result = createComposeJob(payload, { template: req.params.name });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    if (callback) {
+      webhooks.watch(result.job, callback);
+    }
+    console.log(`[模板] 已渲染 ${req.params.name}，任务: ${result.job.id}`);
 
-    res.json({
+    res.status(202).json({
       success: true,
-      outputFile: outputFilename,
-      path: `/output/${outputFilename}`,
-      command: result.command
+      jobId: result.job.id,
+      status: result.job.status,
+      statusUrl: `/api/jobs/${result.job.id}`
     });
   } catch (error) {
-    // 发生错误时也清理临时文件
-    if (typeof tempFiles !== 'undefined' && Array.isArray(tempFiles)) {
-      tempFiles.forEach(tempFile => {
-        try {
-          if (fs.existsSync(tempFile)) {
-            fs.unlinkSync(tempFile);
-          }
-        } catch (cleanupError) {
-          // 忽略清理错误
-        }
-      });
-    }
-    res.status(500).json({ error: error.message });
+    sendTemplateError(res, error);
   }
 });
 
+// 批量合成：单次请求的最大条目数，以及同时运行的子任务数（默认等于 FFmpeg 并发数，避免子任务挤满编码队列）
+const MAX_BATCH_ITEMS = 100;
+const BATCH_CONCURRENCY = Math.max(1, parseInt(process.env.BATCH_CONCURRENCY) || pool.maxConcurrent);
+
 /**
  * @swagger
- * /api/process:
+ * /api/batch:
  *   post:
- *     summary: 链式视频处理（统一接口）
+ *     summary: 批量合成（多个合成请求作为子任务排队）
+ *     description: |
+ *       提交合成请求列表 items（每项同 /api/compose 的请求体），或一个模板 template 加变量组列表 variables（每组渲染为一个合成请求）。
+ *       所有条目先统一校验，任一条目参数错误时整批拒绝。创建的批量任务按顺序启动 compose 子任务（最多同时运行 BATCH_CONCURRENCY 个），
+ *       进度为子任务进度的平均值，items 中为每个条目的子任务 ID、状态和输出文件。
+ *       全部结束后在 output 目录写入清单文件（batch_时间戳.json），任务结果的 outputFile / path 指向该清单。
+ *       取消批量任务会同时取消未结束的子任务
  *     tags: [Process]
  *     requestBody:
  *       required: true
@@ -473,197 +2984,290 @@ app.post('/api/compose', async (req, res) => {
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - filename
- *               - operations
  *             properties:
- *               filename:
+ *               items:
+ *                 type: array
+ *                 description: 合成请求列表，每项为 /api/compose 的请求体 {resources | timeline, options, priority}
+ *                 items:
+ *                   type: object
+ *               template:
  *                 type: string
- *               operations:
+ *                 description: 模板名称（与 variables 一起使用，代替 items）
+ *                 example: product-showcase
+ *               variables:
  *                 type: array
+ *                 description: 模板变量组列表，每组生成一个合成请求
  *                 items:
  *                   type: object
- *                   required:
- *                     - type
- *                   properties:
- *                     type:
- *                       type: string
- *                       enum: [convert, resize, crop, extractFrame, extractAudio, addWatermark, imageToVideo]
- *                     params:
- *                       type: object
+ *                 example: [{ productImage: "https://example.com/a.jpg", title: "新品 A" }, { productImage: "https://example.com/b.jpg", title: "新品 B" }]
+ *               options:
+ *                 type: object
+ *                 description: 输出选项，逐项覆盖每个条目（或模板）的 options
+ *               priority:
+ *                 type: number
+ *                 default: 0
+ *                 description: 子任务的默认优先级（条目中的 priority 优先）
+ *               callbackUrl:
+ *                 type: string
+ *                 description: 批量任务结束后的回调地址（同 /api/compose，子任务不单独回调）
+ *               callbackSecret:
+ *                 type: string
+ *                 description: 回调签名密钥（同 /api/compose）
  *     responses:
- *       200:
- *         description: 处理成功
+ *       202:
+ *         description: 批量任务已创建，通过 /api/jobs/{id} 查询进度和各条目结果
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/JobCreated'
+ *       400:
+ *         description: 请求参数错误（错误信息中包含条目序号）
+ *       404:
+ *         description: 模板不存在
+ *       429:
+ *         description: 任务队列已满
  */
-app.post('/api/process', async (req, res) => {
+app.post('/api/batch', async (req, res) => {
   try {
-    const { filename, operations } = req.body;
-
-    if (!filename) {
-      return res.status(400).json({ error: '缺少必要参数: filename' });
+    const { items, template, variables } = req.body;
+    const callback = webhooks.parse(req.body, getBaseUrl(req));
+    if (callback && callback.error) {
+      return res.status(400).json({ error: callback.error });
     }
 
-    if (!Array.isArray(operations) || operations.length === 0) {
-      return res.status(400).json({ error: 'operations 必须是非空数组' });
+    let payloads;
+    if (template) {
+      if (!Array.isArray(variables) || variables.length === 0) {
+        return res.status(400).json({ error: '使用模板时 variables 必须是非空的变量组列表' });
+      }
+      payloads = [];
+      for (let i = 0; i < variables.length; i++) {
+        try {
+          payloads.push(await templates.render(template, variables[i] || {}));
+        } catch (error) {
+          if (error.code !== 'TEMPLATE_NOT_FOUND') {
+            error.message = `第 ${i + 1} 组变量: ${error.message}`;
+          }
+          return sendTemplateError(res, error);
+        }
+      }
+    } else {
+      if (!Array.isArray(items) || items.length === 0) {
+        return res.status(400).json({ error: '需要提供合成请求列表 items，或模板 template 和变量组列表 variables' });
+      }
+      payloads = items.map(item => ({ ...item }));
     }
-
-    const inputPath = path.join(uploadsDir, filename);
-    if (!fs.existsSync(inputPath)) {
-      return res.status(404).json({ error: '文件不存在' });
+    if (payloads.length > MAX_BATCH_ITEMS) {
+      return res.status(400).json({ error: `单次批量最多 ${MAX_BATCH_ITEMS} 个条目` });
     }
 
-    let currentInputPath = inputPath;
-    const commands = [];
-    const tempFiles = [];
-
-    try {
-      for (let i = 0; i < operations.length; i++) {
-        const operation = operations[i];
-        const { type, params = {} } = operation;
-
-        if (!type) {
-          throw new Error(`操作 ${i + 1} 缺少 type 字段`);
-        }
-
-        let outputPath;
-        if (i === operations.length - 1) {
-          const baseName = path.parse(filename).name;
-          const ext = params.format ? `.${params.format}` : path.extname(filename);
-          const outputFilename = `processed_${Date.now()}_${baseName}${ext}`;
-          outputPath = path.join(outputDir, outputFilename);
-        } else {
-          const tempFilename = `temp_${Date.now()}_${i}.${path.extname(currentInputPath).slice(1) || 'mp4'}`;
-          outputPath = path.join(outputDir, tempFilename);
-          tempFiles.push(outputPath);
-        }
-
-        let command;
-
-        switch (type) {
-          case 'convert':
-            command = await ffmpeg.convert(currentInputPath, outputPath, {
-              format: params.format || 'mp4',
-              videoCodec: params.videoCodec || 'libx264',
-              audioCodec: params.audioCodec || 'aac',
-              quality: params.quality,
-              size: params.size,
-              fps: params.fps,
-              audioBitrate: params.audioBitrate,
-              startTime: params.startTime,
-              duration: params.duration
-            });
-            break;
-
-          case 'resize':
-            command = await ffmpeg.resize(currentInputPath, outputPath, {
-              width: parseInt(params.width),
-              height: parseInt(params.height),
-              maintainAspectRatio: params.maintainAspectRatio !== false
-            });
-            break;
-
-          case 'crop':
-            command = await ffmpeg.crop(currentInputPath, outputPath, {
-              x: parseInt(params.x) || 0,
-              y: parseInt(params.y) || 0,
-              width: parseInt(params.width),
-              height: parseInt(params.height),
-              startTime: params.startTime,
-              duration: params.duration
-            });
-            break;
-
-          case 'extractFrame':
-            const frameExt = params.format || 'jpg';
-            const frameOutputPath = outputPath.replace(/\.[^.]+$/, `.${frameExt}`);
-            command = await ffmpeg.extractFrame(currentInputPath, frameOutputPath, {
-              time: parseFloat(params.time) || 0,
-              size: params.size
-            });
-            outputPath = frameOutputPath;
-            break;
-
-          case 'extractAudio':
-            const audioExt = params.format || 'mp3';
-            const audioOutputPath = outputPath.replace(/\.[^.]+$/, `.${audioExt}`);
-            command = await ffmpeg.extractAudio(currentInputPath, audioOutputPath, {
-              format: audioExt,
-              audioCodec: params.audioCodec,
-              audioBitrate: params.audioBitrate
-            });
-            outputPath = audioOutputPath;
-            break;
-
-          case 'addWatermark':
-            const watermarkPath = params.watermarkPath ? path.join(uploadsDir, params.watermarkPath) : null;
-            if (!watermarkPath || !fs.existsSync(watermarkPath)) {
-              throw new Error('水印文件不存在');
-            }
-            command = await ffmpeg.addWatermark(currentInputPath, outputPath, {
-              watermarkPath: watermarkPath,
-              position: params.position || 'bottom-right',
-              x: parseInt(params.x) || 10,
-              y: parseInt(params.y) || 10,
-              scale: parseFloat(params.scale) || 1.0,
-              opacity: parseFloat(params.opacity) || 1.0
-            });
-            break;
+    // 先校验所有条目，任一条目错误时整批拒绝
+    const requests = [];
+    for (let i = 0; i < payloads.length; i++) {
+      const payload = payloads[i];
+      payload.options = { ...payload.options, ...req.body.options };
+      if (payload.priority === undefined) {
+        payload.priority = req.body.priority;
+      }
+      const request = validateComposeRequest(payload);
+      if (request.error) {
+        return res.status(request.status).json({ error: `第 ${i + 1} 项: ${request.error}`, index: i });
+      }
+      requests.push({ payload, request });
+    }
 
-          case 'imageToVideo':
-            command = await ffmpeg.imageToVideo(currentInputPath, outputPath, {
-              duration: parseFloat(params.duration) || 5,
-              fps: parseInt(params.fps) || 25,
-              resolution: params.resolution || '1280x720'
-            });
-            break;
+    if (jobs.pendingCount() >= pool.capacity()) {
+      return res.status(429).json({ error: '服务繁忙，任务队列已满，请稍后重试' });
+    }
 
-          default:
-            throw new Error(`不支持的操作类型: ${type}`);
-        }
+    const job = jobs.create('batch', {
+      itemCount: requests.length,
+      template: template || undefined,
+      items: requests.map((entry, index) => ({
+        index,
+        jobId: null,
+        status: JOB_STATUS.QUEUED,
+        progress: 0,
+        variables: template ? variables[index] : undefined
+      }))
+    });
+    jobs.run(job, () => runBatchJob(job, requests));
+    if (callback) {
+      webhooks.watch(job, callback);
+    }
+    console.log(`[批量合成] 已创建任务: ${job.id}（${requests.length} 项）`);
 
-        commands.push(command.command);
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-        if (i > 0 && currentInputPath !== inputPath && fs.existsSync(currentInputPath)) {
-          try {
-            fs.unlinkSync(currentInputPath);
-          } catch (e) {
-            console.warn(`删除临时文件失败: ${currentInputPath}`, e.message);
-          }
-        }
+/**
+ * 执行批量任务：限制并发地启动合成子任务，汇总进度和结果，结束后写入输出清单
+ */
+async function runBatchJob(job, requests) {
+  const items = job.meta.items;
+  const childIndex = new Map(); // 子任务 ID -> 条目序号
+
+  // 子任务状态变化时同步到条目，并以平均进度作为批量任务进度
+  const onUpdate = (child) => {
+    const index = childIndex.get(child.id);
+    if (index === undefined) {
+      return;
+    }
+    const item = items[index];
+    item.status = child.status;
+    item.progress = child.status === JOB_STATUS.DONE || child.status === JOB_STATUS.FAILED ? 100 : child.progress;
+    if (child.result) {
+      item.outputFile = child.result.outputFile;
+      item.path = child.result.path;
+    }
+    if (child.error) {
+      item.error = child.error;
+    }
+    const progress = items.reduce((sum, entry) => sum + entry.progress, 0) / items.length;
+    jobs.setProgress(job.id, progress);
+  };
+  // 取消批量任务时取消未结束的子任务，尚未启动的条目直接标记为已取消
+  const onAbort = () => {
+    childIndex.forEach((index, childId) => jobs.cancel(childId));
+    items.filter(item => !item.jobId).forEach(item => {
+      item.status = JOB_STATUS.CANCELLED;
+    });
+  };
+  jobs.on('update', onUpdate);
+  job.signal.addEventListener('abort', onAbort);
 
-        currentInputPath = outputPath;
+  try {
+    jobs.update(job.id, { status: JOB_STATUS.ENCODING });
+    let next = 0;
+    const worker = async () => {
+      while (next < requests.length && !job.signal.aborted) {
+        const index = next++;
+        const { payload, request } = requests[index];
+        const child = startComposeJob(payload, request, { batchId: job.id, batchIndex: index });
+        childIndex.set(child.id, index);
+        items[index].jobId = child.id;
+        await jobs.wait(child);
       }
+    };
+    await Promise.all(Array.from({ length: Math.min(BATCH_CONCURRENCY, requests.length) }, worker));
+    jobs.throwIfCancelled(job);
+
+    const succeeded = items.filter(item => item.status === JOB_STATUS.DONE).length;
+    const failed = items.length - succeeded;
+    const manifestFilename = `batch_${Date.now()}.json`;
+    const manifest = {
+      batchId: job.id,
+      template: job.meta.template,
+      createdAt: job.createdAt,
+      finishedAt: new Date().toISOString(),
+      total: items.length,
+      succeeded,
+      failed,
+      items
+    };
+    await fs.promises.writeFile(path.join(outputDir, manifestFilename), JSON.stringify(manifest, null, 2));
+    console.log(`[批量合成] 任务 ${job.id} 完成: 成功 ${succeeded}，失败 ${failed}`);
+
+    if (succeeded === 0) {
+      const error = new Error(`批量任务的 ${failed} 个条目全部失败`);
+      error.details = { manifest: `/output/${manifestFilename}` };
+      throw error;
+    }
+    return {
+      outputFile: manifestFilename,
+      path: `/output/${manifestFilename}`,
+      succeeded,
+      failed
+    };
+  } finally {
+    jobs.removeListener('update', onUpdate);
+    job.signal.removeEventListener('abort', onAbort);
+  }
+}
 
-      tempFiles.forEach(tempFile => {
-        if (fs.existsSync(tempFile) && tempFile !== currentInputPath) {
-          try {
-            fs.unlinkSync(tempFile);
-          } catch (e) {
-            console.warn(`清理临时文件失败: ${tempFile}`, e.message);
-          }
-        }
-      });
-
-      const outputFilename = path.basename(currentInputPath);
-
-      res.json({
-        success: true,
-        outputFile: outputFilename,
-        path: `/output/${outputFilename}`,
-        commands: commands
-      });
+/**
+ * @swagger
+ * /api/cache:
+ *   get:
+ *     summary: 查看下载缓存
+ *     description: |
+ *       远程资源按 URL 缓存在数据目录的 cache 中（文件按内容哈希命名，相同内容只保存一份）。
+ *       有效期（CACHE_TTL）内直接使用缓存，过期后用 ETag / Last-Modified 向源站发送条件请求，304 时继续使用缓存；
+ *       总大小超过 CACHE_MAX_SIZE 时淘汰最久未使用的记录
+ *     tags: [Cache]
+ *     responses:
+ *       200:
+ *         description: 缓存统计和记录列表
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 stats:
+ *                   type: object
+ *                   description: |
+ *                     enabled、maxSize / totalSize（字节）、ttl（毫秒）、entryCount（URL 数）、fileCount（文件数）、inUse（任务使用中的文件数），
+ *                     以及启动以来的 hits（直接使用）、revalidated（304）、misses（下载）、stale（源站不可用时使用旧文件）、evicted（淘汰）次数
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       url: { type: string }
+ *                       hash: { type: string, description: 内容 SHA-256 }
+ *                       file: { type: string, description: 缓存文件名 }
+ *                       size: { type: integer }
+ *                       etag: { type: string, nullable: true }
+ *                       lastModified: { type: string, nullable: true }
+ *                       contentType: { type: string, nullable: true }
+ *                       createdAt: { type: string }
+ *                       lastAccessedAt: { type: string }
+ *                       validatedAt: { type: string, description: 最近一次下载或源站确认未变化的时间 }
+ *                       hits: { type: integer }
+ *                       inUse: { type: boolean }
+ *   delete:
+ *     summary: 清除下载缓存
+ *     description: 提供 url 时只清除该记录，否则清除全部；正在被任务使用的文件在任务结束后删除
+ *     tags: [Cache]
+ *     parameters:
+ *       - in: query
+ *         name: url
+ *         schema:
+ *           type: string
+ *         description: 要清除的资源地址
+ *     responses:
+ *       200:
+ *         description: 清除成功 {success, purged}
+ *       404:
+ *         description: 指定的 URL 没有缓存
+ */
+app.get('/api/cache', (req, res) => {
+  res.json({
+    success: true,
+    stats: cache.stats(),
+    entries: cache.list()
+  });
+});
 
-    } catch (error) {
-      tempFiles.forEach(tempFile => {
-        if (fs.existsSync(tempFile)) {
-          try {
-            fs.unlinkSync(tempFile);
-          } catch (e) {
-          }
-        }
-      });
-      throw error;
+app.delete('/api/cache', (req, res) => {
+  try {
+    const { url } = req.query;
+    if (url && !cache.get(url)) {
+      return res.status(404).json({ error: `没有该资源的缓存: ${url}` });
     }
+    const purged = cache.purge(url);
+    console.log(`[下载缓存] 已清除 ${purged} 条记录${url ? `: ${url}` : ''}`);
+    res.json({ success: true, purged });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -677,14 +3281,22 @@ app.post('/api/process', async (req, res) => {
  *     tags: [Health]
  *     responses:
  *       200:
- *         description: 服务状态
+ *         description: 服务状态（包含 FFmpeg 状态和任务队列深度）
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/HealthResponse'
  */
 app.get('/api/health', async (req, res) => {
   try {
     const ffmpegStatus = await ffmpeg.checkInstallation();
     res.json({
       status: 'healthy',
-      ffmpeg: ffmpegStatus
+      ffmpeg: ffmpegStatus,
+      queue: {
+        ...pool.stats(),
+        pendingJobs: jobs.pendingCount()
+      }
     });
   } catch (error) {
     res.status(500).json({
@@ -34,6 +34,18 @@ const options = {
         name: 'Process',
         description: '视频处理',
       },
+      {
+        name: 'Jobs',
+        description: '异步任务',
+      },
+      {
+        name: 'Templates',
+        description: '合成模板',
+      },
+      {
+        name: 'Cache',
+        description: '下载缓存',
+      },
       {
         name: '文件管理',
         description: '文件管理',
@@ -81,6 +93,35 @@ const options = {
               type: 'integer',
               description: '文件大小（字节）',
             },
+            sha256: {
+              type: 'string',
+              description: '文件内容的 SHA-256（十六进制）',
+            },
+            type: {
+              type: 'string',
+              enum: ['image', 'video', 'audio', 'subtitle', 'unknown'],
+              description: '按文件内容识别的资源类型',
+            },
+          },
+        },
+        Upload: {
+          type: 'object',
+          description: '断点续传上传',
+          properties: {
+            id: { type: 'string' },
+            originalName: { type: 'string', description: '客户端的文件名（Upload-Metadata 中的 filename）' },
+            filetype: { type: 'string', nullable: true },
+            size: { type: 'integer', description: '文件总字节数' },
+            offset: { type: 'integer', description: '已接收的字节数' },
+            sha256: { type: 'string', nullable: true, description: '整个文件的 SHA-256，上传完成后为实际摘要' },
+            status: { type: 'string', enum: ['uploading', 'processing', 'completed', 'failed'], description: 'processing 为全部接收后正在后台校验和识别' },
+            error: { type: 'string', description: '处理失败（failed）时的错误信息' },
+            filename: { type: 'string', description: '上传完成后 uploads 目录中的文件名，合成和处理接口通过它使用文件' },
+            path: { type: 'string', description: '上传完成后的文件访问路径' },
+            type: { type: 'string', enum: ['image', 'video', 'audio', 'subtitle', 'unknown'], description: '上传完成后按文件内容识别的资源类型' },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' },
+            expiresAt: { type: 'string', format: 'date-time', nullable: true, description: '未完成的上传在此时间后删除（每次接收数据后顺延）' },
           },
         },
         VideoInfo: {
@@ -88,7 +129,11 @@ const options = {
           properties: {
             format: {
               type: 'string',
-              description: '视频格式',
+              description: '容器格式（如 mov,mp4,m4a,3gp,3g2,mj2）',
+            },
+            formatLongName: {
+              type: 'string',
+              description: '容器格式全称',
             },
             duration: {
               type: 'number',
@@ -102,8 +147,24 @@ const options = {
               type: 'integer',
               description: '比特率',
             },
+            streams: {
+              type: 'array',
+              description: '所有流（视频、音频、字幕等）',
+              items: {
+                type: 'object',
+                properties: {
+                  index: { type: 'integer' },
+                  type: { type: 'string' },
+                  codec: { type: 'string' },
+                  duration: { type: 'number' },
+                  bitrate: { type: 'integer' },
+                  language: { type: 'string', nullable: true },
+                },
+              },
+            },
             video: {
               type: 'object',
+              nullable: true,
               properties: {
                 codec: { type: 'string' },
                 width: { type: 'integer' },
@@ -111,19 +172,49 @@ const options = {
                 fps: { type: 'number' },
                 bitrate: { type: 'integer' },
                 pixelFormat: { type: 'string' },
+                rotation: { type: 'integer', description: '旋转角度（度）' },
               },
             },
             audio: {
               type: 'object',
+              nullable: true,
               properties: {
                 codec: { type: 'string' },
                 sampleRate: { type: 'integer' },
                 channels: { type: 'integer' },
+                channelLayout: { type: 'string', description: '声道布局（如 stereo、5.1）' },
                 bitrate: { type: 'integer' },
               },
             },
           },
         },
+        ResourceInspection: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            type: {
+              type: 'string',
+              enum: ['image', 'video', 'audio', 'subtitle', 'unknown'],
+              description: '识别出的资源类型',
+            },
+            ext: { type: 'string', nullable: true, description: '对应的扩展名（如 .mp4）' },
+            mime: { type: 'string', nullable: true, description: 'MIME 类型' },
+            format: { type: 'string', nullable: true, description: 'ffprobe 识别的容器格式' },
+            detectedBy: {
+              type: 'string',
+              nullable: true,
+              enum: ['magic', 'ffprobe', 'extension', 'content-type'],
+              description: '识别依据 - magic（文件头）、ffprobe（流信息）、extension（扩展名）、content-type（响应头），文件内容无法识别时才参考后两者',
+            },
+            size: { type: 'integer', description: '文件大小（字节）' },
+            cache: { type: 'string', description: '远程资源的缓存结果（hit / revalidated / miss / stale / disabled）' },
+            info: {
+              allOf: [{ $ref: '#/components/schemas/VideoInfo' }],
+              nullable: true,
+              description: '媒体信息（ffprobe 无法读取时为 null）',
+            },
+          },
+        },
         ProcessResponse: {
           type: 'object',
           properties: {
@@ -144,6 +235,260 @@ const options = {
             },
           },
         },
+        JobCreated: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean',
+            },
+            jobId: {
+              type: 'string',
+              description: '任务 ID',
+            },
+            status: {
+              type: 'string',
+              description: '任务初始状态',
+              example: 'queued',
+            },
+            statusUrl: {
+              type: 'string',
+              description: '任务状态查询路径',
+            },
+          },
+        },
+        Job: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean',
+            },
+            job: {
+              type: 'object',
+              properties: {
+                id: { type: 'string' },
+                type: {
+                  type: 'string',
+                  enum: ['compose', 'process', 'batch'],
+                },
+                status: {
+                  type: 'string',
+                  enum: ['queued', 'downloading', 'encoding', 'done', 'failed', 'cancelled'],
+                },
+                progress: {
+                  type: 'number',
+                  description: '进度百分比（0-100）',
+                },
+                preset: {
+                  type: 'string',
+                  nullable: true,
+                  description: '使用的输出预设',
+                },
+                template: {
+                  type: 'string',
+                  description: '渲染的合成模板（模板渲染创建的任务）',
+                },
+                batchId: {
+                  type: 'string',
+                  description: '所属批量任务 ID（批量合成的子任务）',
+                },
+                items: {
+                  type: 'array',
+                  description: '批量任务的条目（batch 任务）',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      index: { type: 'integer', description: '条目序号（从 0 开始）' },
+                      jobId: { type: 'string', nullable: true, description: '子任务 ID（启动后）' },
+                      status: { type: 'string', description: '子任务状态' },
+                      progress: { type: 'number', description: '子任务进度' },
+                      outputFile: { type: 'string', description: '输出文件名（完成后）' },
+                      path: { type: 'string', description: '输出文件访问路径（完成后）' },
+                      error: { type: 'string', description: '错误信息（失败时）' },
+                      variables: { type: 'object', description: '模板变量组（模板批量时）' },
+                    },
+                  },
+                },
+                succeeded: {
+                  type: 'integer',
+                  description: '成功的条目数（batch 任务完成后）',
+                },
+                failed: {
+                  type: 'integer',
+                  description: '失败的条目数（batch 任务完成后）',
+                },
+                stats: {
+                  type: 'object',
+                  description: '编码统计（编码中才有）',
+                  properties: {
+                    frame: { type: 'integer', description: '已编码帧数' },
+                    fps: { type: 'number', description: '编码帧率' },
+                    speed: { type: 'number', description: '编码速度（倍速）' },
+                    bitrate: { type: 'string', description: '当前码率' },
+                    eta: { type: 'integer', nullable: true, description: '预计剩余时间（秒）' },
+                  },
+                },
+                downloads: {
+                  type: 'array',
+                  description: '远程资源的下载状态（任务包含远程资源时）',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      label: { type: 'string', description: '资源位置（如 资源 1、轨道 2 片段 1）' },
+                      url: { type: 'string' },
+                      status: { type: 'string', enum: ['pending', 'downloading', 'done', 'failed', 'cancelled'] },
+                      receivedBytes: { type: 'integer', description: '已接收字节数' },
+                      totalBytes: { type: 'integer', nullable: true, description: '总字节数（源站未返回 Content-Length 时下载完成前为 null）' },
+                      attempts: { type: 'integer', description: '下载次数（含重试，使用缓存时为 0）' },
+                      cache: { type: 'string', description: '缓存使用方式（hit、revalidated、miss、stale、disabled）' },
+                      error: { type: 'string', description: '失败原因' },
+                    },
+                  },
+                },
+                outputFile: {
+                  type: 'string',
+                  description: '输出文件名（完成后）',
+                },
+                path: {
+                  type: 'string',
+                  description: '输出文件访问路径（完成后）',
+                },
+                loudness: {
+                  type: 'object',
+                  description: '响度标准化结果（开启 loudnorm 或执行 normalizeAudio 时）',
+                  properties: {
+                    target: {
+                      type: 'object',
+                      description: '目标值',
+                      properties: {
+                        integrated: { type: 'number', description: '综合响度（LUFS）' },
+                        truePeak: { type: 'number', description: '真峰值（dBTP）' },
+                        lra: { type: 'number', description: '响度范围（LU）' },
+                      },
+                    },
+                    measured: {
+                      type: 'object',
+                      description: '第一遍测量的原始响度 {integrated, truePeak, lra, threshold}',
+                    },
+                    output: {
+                      type: 'object',
+                      nullable: true,
+                      description: '标准化后的响度 {integrated, truePeak, lra, threshold}，静音输入无法测量时为 null',
+                    },
+                    normalizationType: {
+                      type: 'string',
+                      description: 'linear（线性增益）、dynamic（目标无法线性达到时的动态处理）或 none（静音输入，未调整响度）',
+                    },
+                  },
+                },
+                webhook: {
+                  type: 'object',
+                  description: '任务回调（请求中提供 callbackUrl 时）',
+                  properties: {
+                    url: { type: 'string', description: '回调地址' },
+                    signed: { type: 'boolean', description: '是否带 HMAC 签名' },
+                    status: { type: 'string', enum: ['pending', 'delivering', 'delivered', 'failed'], description: '投递状态' },
+                    event: { type: 'string', description: '事件名（job.done / job.failed / job.cancelled）' },
+                    deliveries: {
+                      type: 'array',
+                      description: '投递记录',
+                      items: {
+                        type: 'object',
+                        properties: {
+                          attempt: { type: 'integer', description: '第几次投递' },
+                          at: { type: 'string', description: '投递时间' },
+                          statusCode: { type: 'integer', description: '回调地址返回的 HTTP 状态码' },
+                          success: { type: 'boolean' },
+                          error: { type: 'string', description: '失败原因' },
+                          durationMs: { type: 'integer', description: '请求耗时（毫秒）' },
+                          retryIn: { type: 'integer', description: '距下次重试的等待时间（毫秒）' },
+                        },
+                      },
+                    },
+                  },
+                },
+                error: {
+                  type: 'string',
+                  description: '错误信息（失败时）',
+                },
+                createdAt: { type: 'string', format: 'date-time' },
+                startedAt: { type: 'string', format: 'date-time', nullable: true },
+                finishedAt: { type: 'string', format: 'date-time', nullable: true },
+              },
+            },
+          },
+        },
+        Preset: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', description: '预设名称（options.preset 的取值）', example: 'youtube-1080p' },
+            label: { type: 'string', description: '显示名称' },
+            description: { type: 'string' },
+            builtin: { type: 'boolean', description: '是否为内置预设（内置预设不能修改或删除）' },
+            options: {
+              type: 'object',
+              description: '预设的输出选项（format、width、height、fps、videoCodec、videoCrf、audioCodec 等）',
+            },
+          },
+        },
+        PresetInput: {
+          type: 'object',
+          required: ['options'],
+          properties: {
+            name: {
+              type: 'string',
+              description: '预设名称（仅新建时需要），字母或数字开头，可包含字母、数字、- 和 _',
+              example: 'team-vertical',
+            },
+            label: { type: 'string', description: '显示名称（默认为名称）' },
+            description: { type: 'string' },
+            options: {
+              type: 'object',
+              description: '合成选项，支持 format、width、height、resolution、fps、videoCodec、videoPreset、videoCrf、videoBitrate、videoProfile、pixelFormat、audioCodec、audioBitrate、audioSampleRate、audioChannels、backgroundColor、keepClipAudio、clipAudioRole、ducking、loudnorm',
+              example: { width: 1080, height: 1920, fps: 30, videoCrf: 21 },
+            },
+          },
+        },
+        Template: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', description: '模板名称（template 目录中的文件名，不含 .json）' },
+            label: { type: 'string', description: '显示名称' },
+            description: { type: 'string' },
+            variables: {
+              type: 'array',
+              description: '模板变量（声明的变量和内容中出现的占位符）',
+              items: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string' },
+                  description: { type: 'string' },
+                  default: { description: '默认值' },
+                  required: { type: 'boolean', description: '没有默认值且在内容中使用' },
+                },
+              },
+            },
+            timeline: { type: 'object', description: '时间线（同 /api/compose，仅详情返回）' },
+            resources: { type: 'array', items: { type: 'object' }, description: '资源列表（同 /api/compose，仅详情返回）' },
+            options: { type: 'object', description: '输出选项（仅详情返回）' },
+            updatedAt: { type: 'string', format: 'date-time' },
+          },
+        },
+        TemplateInput: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', description: '模板名称（仅新建时需要），字母或数字开头，可包含字母、数字、- 和 _', example: 'product-showcase' },
+            label: { type: 'string' },
+            description: { type: 'string' },
+            variables: {
+              type: 'object',
+              description: '变量声明 {变量名: {description, default}}，可选',
+              example: { title: { description: '标题文字', default: '新品上市' } },
+            },
+            timeline: { type: 'object', description: '时间线（与 resources 二选一），字符串中可使用 {{变量名}}' },
+            resources: { type: 'array', items: { type: 'object' }, description: '资源列表（与 timeline 二选一）' },
+            options: { type: 'object', description: '输出选项' },
+          },
+        },
         HealthResponse: {
           type: 'object',
           properties: {
@@ -166,6 +511,31 @@ const options = {
                 },
               },
             },
+            queue: {
+              type: 'object',
+              properties: {
+                maxConcurrent: {
+                  type: 'integer',
+                  description: '最大并发编码数',
+                },
+                maxQueued: {
+                  type: 'integer',
+                  description: '最大排队数',
+                },
+                running: {
+                  type: 'integer',
+                  description: '正在运行的 FFmpeg 进程数',
+                },
+                queued: {
+                  type: 'integer',
+                  description: '等待编码的 FFmpeg 进程数',
+                },
+                pendingJobs: {
+                  type: 'integer',
+                  description: '未结束的任务数（含下载中）',
+                },
+              },
+            },
           },
         },
         FFmpegStatus: {
@@ -0,0 +1,24 @@
+const assert = require('node:assert');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const ffmpeg = require('../../lib/ffmpeg');
+
+const execFileAsync = promisify(execFile);
+
+// 像素格式对应的每像素字节数
+const PIXEL_BYTES = { gray: 1, rgb24: 3 };
+
+/**
+ * 抽取指定时间的一帧，按最近邻缩放为 width x height 的原始像素数据
+ * @param {Object} options - {width, height, pixelFormat: gray | rgb24}
+ */
+async function grabFrame(videoPath, time, { width, height, pixelFormat = 'rgb24' }) {
+  const { stdout } = await execFileAsync(ffmpeg.ffmpegPath, [
+    '-v', 'error', '-ss', String(time), '-i', videoPath, '-frames:v', '1',
+    '-vf', `scale=${width}:${height}:flags=neighbor`, '-f', 'rawvideo', '-pix_fmt', pixelFormat, '-'
+  ], { encoding: 'buffer', maxBuffer: 1024 * 1024 });
+  assert.strictEqual(stdout.length, width * height * PIXEL_BYTES[pixelFormat], `无法抽取 ${time}s 处的画面`);
+  return stdout;
+}
+
+module.exports = { grabFrame };
@@ -0,0 +1,20 @@
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 逐个直接运行测试文件（不使用 node --test）
+ * Node 20 的 node --test 通过子进程 stdout 收集测试结果，测试中输出的中文日志紧跟在结果消息之后时
+ * 会被误当成消息解析（Unable to deserialize cloned data），导致用例随机失败；直接运行时日志原样输出
+ */
+const files = process.argv.length > 2
+  ? process.argv.slice(2)
+  : fs.readdirSync(__dirname).filter(file => file.endsWith('.test.js')).sort().map(file => path.join(__dirname, file));
+
+for (const file of files) {
+  const result = spawnSync(process.execPath, [file], { stdio: 'inherit' });
+  if (result.status !== 0) {
+    console.error(`测试失败: ${path.relative(process.cwd(), file)}`);
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,115 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ffmpeg = require('../lib/ffmpeg');
+const templates = require('../lib/templates');
+const { grabFrame } = require('./helpers/frames');
+
+const execFileAsync = promisify(execFile);
+
+// 竖屏模板按比例缩小渲染
+const WIDTH = 180;
+const HEIGHT = 320;
+const DURATION = 2;
+
+let workDir;
+let imagePath;
+let musicPath;
+
+describe('内置模板 product-showcase', () => {
+  before(async () => {
+    templates.setDirectory(path.join(__dirname, '..', 'template'));
+    await ffmpeg.ensureChecked();
+    if (!ffmpeg.isInstalled) {
+      return;
+    }
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yishe-templates-'));
+    imagePath = path.join(workDir, 'product.png');
+    musicPath = path.join(workDir, 'music.wav');
+    // 灰色商品图加白色边框：Ken Burns 放大后边框移出画面
+    await execFileAsync(ffmpeg.ffmpegPath, [
+      '-v', 'error', '-y', '-f', 'lavfi', '-i', 'color=c=gray:s=720x1152',
+      '-vf', 'pad=900:1440:90:144:color=white', '-frames:v', '1', imagePath
+    ]);
+    await execFileAsync(ffmpeg.ffmpegPath, [
+      '-v', 'error', '-y', '-f', 'lavfi', '-i', 'sine=frequency=440:duration=1', musicPath
+    ]);
+  });
+
+  after(() => {
+    if (workDir) {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+  });
+
+  it('商品图片的 motion 随时间放大画面', async (t) => {
+    if (!ffmpeg.isInstalled) {
+      t.skip('未检测到 FFmpeg');
+      return;
+    }
+    const rendered = await templates.render('product-showcase', {
+      productImage: 'https://example.com/product.png',
+      music: 'https://example.com/music.mp3',
+      duration: DURATION
+    });
+    const image = rendered.timeline.tracks[0].items[0];
+    assert.strictEqual(image.motion, 'zoomIn');
+
+    // 远程地址替换为本地测试文件（对应下载后的路径）
+    const files = { 'https://example.com/product.png': imagePath, 'https://example.com/music.mp3': musicPath };
+    const tracks = rendered.timeline.tracks.map(track => ({
+      layer: track.layer,
+      items: track.items.map(item => (item.url ? { ...item, path: files[item.url] } : item))
+    }));
+    const outputPath = path.join(workDir, 'showcase.mp4');
+    await ffmpeg.composeTimeline(tracks, outputPath, { width: WIDTH, height: HEIGHT, duration: rendered.timeline.duration });
+
+    const start = await grabFrame(outputPath, 0, { width: WIDTH, height: HEIGHT, pixelFormat: 'gray' });
+    const end = await grabFrame(outputPath, DURATION - 0.1, { width: WIDTH, height: HEIGHT, pixelFormat: 'gray' });
+    // 左上角：开始时为白色边框，放大后为灰色商品图
+    const corner = WIDTH * 4 + 4;
+    assert.ok(start[corner] > 200, `开始时应显示边框，实际亮度 ${start[corner]}`);
+    assert.ok(end[corner] < 180, `放大后边框应移出画面，实际亮度 ${end[corner]}`);
+  });
+});
+
+describe('模板渲染', () => {
+  let templateDir;
+
+  before(() => {
+    templateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yishe-template-render-'));
+  });
+
+  after(() => {
+    fs.rmSync(templateDir, { recursive: true, force: true });
+  });
+
+  it('product-showcase 的标题显示到结束，退场动画在时间线内', async () => {
+    templates.setDirectory(path.join(__dirname, '..', 'template'));
+    const rendered = await templates.render('product-showcase', {
+      productImage: 'https://example.com/product.png',
+      music: 'https://example.com/music.mp3',
+      duration: 6
+    });
+    const title = rendered.timeline.tracks[1].items[0];
+    assert.strictEqual(title.exit, 'fade');
+    assert.strictEqual(title.start + title.duration, rendered.timeline.duration);
+  });
+
+  it('Object.prototype 上的名称不会被当作已提供的变量', async () => {
+    templates.setDirectory(templateDir);
+    await templates.create('prototype-names', {
+      timeline: { tracks: [{ items: [{ type: 'text', text: '{{constructor}} {{toString}}', duration: 1 }] }] }
+    });
+    await assert.rejects(templates.render('prototype-names', {}), (error) => {
+      assert.strictEqual(error.code, 'MISSING_VARIABLES');
+      assert.match(error.message, /constructor/);
+      assert.match(error.message, /toString/);
+      return true;
+    });
+  });
+});
@@ -0,0 +1,161 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ffmpeg = require('../lib/ffmpeg');
+const { grabFrame: grabFrameAt } = require('./helpers/frames');
+
+const execFileAsync = promisify(execFile);
+
+// 输出画布和抽帧采样尺寸
+const WIDTH = 320;
+const HEIGHT = 240;
+const SAMPLE_WIDTH = 32;
+const SAMPLE_HEIGHT = 24;
+const CLIP_DURATION = 2;
+const TRANSITION_DURATION = 1;
+
+const RED = [255, 0, 0];
+const WHITE = [255, 255, 255];
+const BLACK = [0, 0, 0];
+
+let workDir;
+let imagePath;
+
+/**
+ * 抽取指定时间的一帧，缩小为 SAMPLE_WIDTH x SAMPLE_HEIGHT 的 RGB 数据
+ */
+function grabFrame(videoPath, time) {
+  return grabFrameAt(videoPath, time, { width: SAMPLE_WIDTH, height: SAMPLE_HEIGHT });
+}
+
+/**
+ * 读取画面中按比例（0-1）定位的像素
+ */
+function pixelAt(frame, x, y) {
+  const px = Math.min(SAMPLE_WIDTH - 1, Math.floor(x * SAMPLE_WIDTH));
+  const py = Math.min(SAMPLE_HEIGHT - 1, Math.floor(y * SAMPLE_HEIGHT));
+  const offset = (py * SAMPLE_WIDTH + px) * 3;
+  return [frame[offset], frame[offset + 1], frame[offset + 2]];
+}
+
+/**
+ * 断言像素接近指定颜色（容差吸收 YUV 转换和编码误差）
+ */
+function assertColor(frame, x, y, expected, message) {
+  const actual = pixelAt(frame, x, y);
+  const close = actual.every((value, i) => Math.abs(value - expected[i]) <= 60);
+  assert.ok(close, `${message}：(${x}, ${y}) 处为 rgb(${actual.join(', ')})，期望接近 rgb(${expected.join(', ')})`);
+}
+
+/**
+ * 两帧的平均像素差（0-255）
+ */
+function frameDifference(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += Math.abs(a[i] - b[i]);
+  }
+  return sum / a.length;
+}
+
+/**
+ * 用测试图片渲染带入场转场的短片
+ */
+async function renderTransition(transition) {
+  const outputPath = path.join(workDir, `${transition}.mp4`);
+  await ffmpeg.composeVideo([{
+    type: 'image',
+    path: imagePath,
+    duration: CLIP_DURATION,
+    scaleMode: 'crop',
+    transition,
+    transitionDuration: TRANSITION_DURATION
+  }], outputPath, { width: WIDTH, height: HEIGHT, fps: 25, backgroundColor: '#000000' });
+  return outputPath;
+}
+
+describe('入场转场（slide / zoom）', () => {
+  before(async () => {
+    await ffmpeg.ensureChecked();
+    if (!ffmpeg.isInstalled) {
+      return;
+    }
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yishe-transitions-'));
+    imagePath = path.join(workDir, 'frame.png');
+    // 红色画面加 10% 宽的白色边框：缩放时边框进出画面，滑动时红色区域随之移动
+    await execFileAsync(ffmpeg.ffmpegPath, [
+      '-v', 'error', '-y', '-f', 'lavfi', '-i', `color=c=red:s=${WIDTH * 0.8}x${HEIGHT * 0.8}`,
+      '-vf', `pad=${WIDTH}:${HEIGHT}:${WIDTH * 0.1}:${HEIGHT * 0.1}:color=white`, '-frames:v', '1', imagePath
+    ]);
+  });
+
+  after(() => {
+    if (workDir) {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+  });
+
+  // 转场进行到一半时（0.5s）画面移动了一半：进入方向一侧为图片，另一侧仍为背景色
+  const slides = {
+    slideLeft: { image: [0.3, 0.5], background: [0.7, 0.5] },
+    slideRight: { image: [0.7, 0.5], background: [0.3, 0.5] },
+    slideUp: { image: [0.5, 0.7], background: [0.5, 0.3] },
+    slideDown: { image: [0.5, 0.3], background: [0.5, 0.7] }
+  };
+
+  Object.entries(slides).forEach(([transition, points]) => {
+    it(transition, async (t) => {
+      if (!ffmpeg.isInstalled) {
+        t.skip('未检测到 FFmpeg');
+        return;
+      }
+      const outputPath = await renderTransition(transition);
+      const start = await grabFrame(outputPath, 0);
+      const middle = await grabFrame(outputPath, TRANSITION_DURATION / 2);
+      const end = await grabFrame(outputPath, CLIP_DURATION - 0.2);
+
+      assertColor(start, 0.5, 0.5, BLACK, '转场开始时画面应在画布外');
+      assertColor(middle, ...points.image, RED, '转场中途图片应已滑入一半');
+      assertColor(middle, ...points.background, BLACK, '转场中途另一半应为背景色');
+      assertColor(end, 0.5, 0.5, RED, '转场结束后应显示完整画面');
+      assertColor(end, 0.02, 0.02, WHITE, '转场结束后边框应回到原位');
+      assert.ok(frameDifference(start, middle) > 20, '转场中途的画面应与开始时不同');
+      assert.ok(frameDifference(middle, end) > 20, '转场结束时的画面应与中途不同');
+    });
+  });
+
+  it('zoomIn', async (t) => {
+    if (!ffmpeg.isInstalled) {
+      t.skip('未检测到 FFmpeg');
+      return;
+    }
+    const outputPath = await renderTransition('zoomIn');
+    const start = await grabFrame(outputPath, 0);
+    const end = await grabFrame(outputPath, CLIP_DURATION - 0.2);
+
+    // 开始时画面缩小为一半居中，四周为背景色
+    assertColor(start, 0.5, 0.5, RED, '缩小的画面应居中');
+    assertColor(start, 0.05, 0.05, BLACK, '缩小的画面四周应为背景色');
+    assertColor(end, 0.02, 0.02, WHITE, '转场结束后应显示完整画面');
+    assert.ok(frameDifference(start, end) > 20, '转场前后的画面应不同');
+  });
+
+  it('zoomOut', async (t) => {
+    if (!ffmpeg.isInstalled) {
+      t.skip('未检测到 FFmpeg');
+      return;
+    }
+    const outputPath = await renderTransition('zoomOut');
+    const start = await grabFrame(outputPath, 0);
+    const end = await grabFrame(outputPath, CLIP_DURATION - 0.2);
+
+    // 开始时放大 1.5 倍，边框在画面外
+    assertColor(start, 0.02, 0.02, RED, '放大的画面不应显示边框');
+    assertColor(end, 0.02, 0.02, WHITE, '转场结束后应显示完整画面');
+    assert.ok(frameDifference(start, end) > 20, '转场前后的画面应不同');
+  });
+});
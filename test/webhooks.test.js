@@ -0,0 +1,157 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const jobs = require('../lib/jobs');
+const { WebhookNotifier } = require('../lib/webhooks');
+const { UrlPolicy } = require('../lib/urlpolicy');
+
+const SECRET = 'test-secret';
+const RETRY_DELAY = 20;
+
+let server;
+let baseUrl;
+// 本地回调接收端依次返回的状态码，用完后返回 200
+let statusCodes = [];
+let received = [];
+
+/**
+ * 创建已完成的任务，并按 watch 的方式初始化回调记录
+ */
+function createFinishedJob(url) {
+  const job = jobs.create('compose', { resourceCount: 1 });
+  const now = new Date().toISOString();
+  jobs.update(job.id, {
+    status: 'done',
+    progress: 100,
+    result: { outputFile: 'composed_test.mp4', path: '/output/composed_test.mp4' },
+    startedAt: now,
+    finishedAt: now,
+    webhook: { url, signed: true, status: 'pending', deliveries: [] }
+  });
+  return job;
+}
+
+/**
+ * 按 readme 中接收方的写法校验签名
+ */
+function verifySignature(headers, rawBody) {
+  const expected = crypto.createHmac('sha256', SECRET).update(`${headers['x-webhook-timestamp']}.${rawBody}`).digest('hex');
+  const signature = Buffer.from(headers['x-webhook-signature'] || '');
+  const wanted = Buffer.from(`sha256=${expected}`);
+  return signature.length === wanted.length && crypto.timingSafeEqual(signature, wanted);
+}
+
+describe('任务回调', () => {
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+    server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        const rawBody = Buffer.concat(chunks).toString();
+        received.push({ headers: req.headers, rawBody, at: Date.now() });
+        res.statusCode = statusCodes.length > 0 ? statusCodes.shift() : 200;
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    mock.restoreAll();
+    return new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    statusCodes = [];
+    received = [];
+  });
+
+  it('默认拒绝内网和本机回调地址，显式允许后可以使用', () => {
+    const notifier = new WebhookNotifier();
+    for (const url of ['http://127.0.0.1/hook', 'http://10.0.0.1/hook', 'http://169.254.169.254/latest', 'http://[::1]/hook']) {
+      const callback = notifier.parse({ callbackUrl: url });
+      assert.ok(callback && callback.error, `${url} 应被拒绝`);
+      assert.match(callback.error, /禁止访问内网或本机地址/);
+    }
+    assert.deepStrictEqual(notifier.parse({ callbackUrl: 'https://example.com/hook' }), { url: 'https://example.com/hook', secret: null, baseUrl: undefined });
+
+    const local = new WebhookNotifier({ policy: new UrlPolicy({ allowPrivate: true }) });
+    assert.strictEqual(local.parse({ callbackUrl: `${baseUrl}/hook` }).error, undefined);
+  });
+
+  it('投递时按解析后的地址拒绝指向本机的域名，且不重试', async () => {
+    const notifier = new WebhookNotifier({ maxAttempts: 3, retryDelay: RETRY_DELAY });
+    const url = `http://localhost:${server.address().port}/hook`;
+    const job = createFinishedJob(url);
+    const delivered = await notifier.deliver(job, { url, secret: SECRET });
+
+    assert.strictEqual(delivered, false);
+    assert.strictEqual(received.length, 0);
+    assert.strictEqual(job.webhook.status, 'failed');
+    assert.strictEqual(job.webhook.deliveries.length, 1);
+    assert.match(job.webhook.deliveries[0].error, /禁止访问内网或本机地址/);
+  });
+
+  it('签名可按文档的方式校验', async () => {
+    const notifier = new WebhookNotifier({ maxAttempts: 3, retryDelay: RETRY_DELAY, policy: new UrlPolicy({ allowPrivate: true }) });
+    const url = `${baseUrl}/hook`;
+    const job = createFinishedJob(url);
+    const delivered = await notifier.deliver(job, { url, secret: SECRET, baseUrl: 'https://video.example.com' });
+
+    assert.strictEqual(delivered, true);
+    assert.strictEqual(received.length, 1);
+    const { headers, rawBody } = received[0];
+    assert.ok(verifySignature(headers, rawBody), '签名校验失败');
+    assert.strictEqual(headers['x-webhook-event'], 'job.done');
+    assert.strictEqual(headers['x-webhook-job-id'], job.id);
+
+    // 篡改请求体后签名不再匹配
+    assert.ok(!verifySignature(headers, rawBody.replace('job.done', 'job.failed')));
+
+    const payload = JSON.parse(rawBody);
+    assert.strictEqual(payload.job.outputUrl, 'https://video.example.com/output/composed_test.mp4');
+    assert.strictEqual(job.webhook.status, 'delivered');
+  });
+
+  it('5xx 按指数退避重试直到成功', async () => {
+    statusCodes = [500, 503];
+    const notifier = new WebhookNotifier({ maxAttempts: 5, retryDelay: RETRY_DELAY, policy: new UrlPolicy({ allowPrivate: true }) });
+    const url = `${baseUrl}/hook`;
+    const job = createFinishedJob(url);
+    const delivered = await notifier.deliver(job, { url, secret: SECRET });
+
+    assert.strictEqual(delivered, true);
+    assert.deepStrictEqual(received.map(entry => entry.headers['x-webhook-attempt']), ['1', '2', '3']);
+    assert.ok(received.every(entry => verifySignature(entry.headers, entry.rawBody)), '重试请求的签名校验失败');
+
+    const deliveries = job.webhook.deliveries;
+    assert.deepStrictEqual(deliveries.map(delivery => delivery.statusCode), [500, 503, 200]);
+    assert.deepStrictEqual(deliveries.map(delivery => delivery.retryIn), [RETRY_DELAY, RETRY_DELAY * 2, undefined]);
+    assert.ok(received[1].at - received[0].at >= RETRY_DELAY - 5, '第一次重试的等待时间过短');
+    assert.ok(received[2].at - received[1].at >= RETRY_DELAY * 2 - 5, '第二次重试的等待时间过短');
+    assert.strictEqual(job.webhook.status, 'delivered');
+  });
+
+  it('达到最大次数或 4xx 时放弃', async () => {
+    const notifier = new WebhookNotifier({ maxAttempts: 2, retryDelay: RETRY_DELAY, policy: new UrlPolicy({ allowPrivate: true }) });
+    const url = `${baseUrl}/hook`;
+
+    statusCodes = [500, 500, 500];
+    const exhausted = createFinishedJob(url);
+    assert.strictEqual(await notifier.deliver(exhausted, { url, secret: SECRET }), false);
+    assert.strictEqual(received.length, 2);
+    assert.strictEqual(exhausted.webhook.status, 'failed');
+
+    received = [];
+    statusCodes = [400];
+    const rejected = createFinishedJob(url);
+    assert.strictEqual(await notifier.deliver(rejected, { url, secret: SECRET }), false);
+    assert.strictEqual(received.length, 1);
+    assert.strictEqual(rejected.webhook.deliveries[0].error, 'HTTP 400');
+  });
+});